@@ -1,9 +1,12 @@
 const Discord = require('discord.js');
 const FrameRegistry = require('./registry.js');
 const FrameDispatcher = require('./dispatcher.js');
-const FrameDispatcherOld = require('./dispatcher-old.js');
 const FrameMessage = require('./message.js');
-const SQLiteProvider = require('./providers/sqlite.js');
+require('./guild.js');
+const SettingProvider = require('./providers/base.js');
+const GuildSettingsHelper = require('./providers/helper.js');
+const ThrottleStore = require('./throttles/base.js');
+const MemoryThrottleStore = require('./throttles/memory.js');
 
 /**
  * Discord.js modified Client with a built-in command framework
@@ -15,6 +18,10 @@ class FrameClient extends Discord.Client {
    * @typedef {Object} FrameClientOptions
    * @property {string} [commandPrefix=!] - Default prefix for the commands
    * @property {Array<String>} owners - An array of the bot's owners
+   * @property {boolean} [migrationDryRun=false] - Whether settings migrations should only be reported
+   * (see {@link SettingProvider#migrate}) instead of being stored when a provider is set
+   * @property {ThrottleStore} [throttleStore] - Store to keep the throttles of commands in
+   * (defaults to a {@link MemoryThrottleStore})
    */
 
   /**
@@ -38,23 +45,73 @@ class FrameClient extends Discord.Client {
      * Dispatcher to use for handling commands
      * @type {FrameDispatcher}
      */
-    this.dispatcher = new FrameDispatcherOld(this, this.registry);
+    this.dispatcher = new FrameDispatcher(this, this.registry);
 
     /**
-     * The database provider to use for storing settings
-     * @type {SQLiteProvider}
+     * The provider to use for storing settings
+     * @type {?SettingProvider}
      */
     this.provider = null;
 
+    /**
+     * Shortcut to use setting provider methods for the global settings
+     * @type {GuildSettingsHelper}
+     */
+    this.settings = new GuildSettingsHelper(this, null);
+
+    if(options.throttleStore && !(options.throttleStore instanceof ThrottleStore)) {
+      throw new TypeError('The throttleStore option must be a ThrottleStore.');
+    }
+
+    /**
+     * Store that the throttles of commands are kept in
+     * @type {ThrottleStore}
+     */
+    this.throttleStore = options.throttleStore || new MemoryThrottleStore();
+    this.throttleStore.init(this);
+
+    /**
+     * Internal global command prefix, controlled by the {@link FrameClient#commandPrefix} getter/setter
+     * @type {?string}
+     * @private
+     */
+    this._commandPrefix = null;
+
     this.on('messageCreate', msg => {
-      let message = Object.setPrototypeOf(msg, FrameMessage);
+      let message = Object.setPrototypeOf(msg, FrameMessage.prototype);
       this.dispatcher.handleMessage(message);
     });
     this.on('messageUpdate', (oldMsg, newMsg) => {
-      let newMessage = Object.setPrototypeOf(newMsg, FrameMessage);
-      let oldMessage = Object.setPrototypeOf(oldMsg, FrameMessage);
+      let newMessage = Object.setPrototypeOf(newMsg, FrameMessage.prototype);
+      let oldMessage = Object.setPrototypeOf(oldMsg, FrameMessage.prototype);
       this.dispatcher.handleMessage(newMessage, oldMessage);
-    })
+    });
+    this.on('interactionCreate', interaction => {
+      this.dispatcher.handleInteraction(interaction).catch(err => this.emit('error', err));
+    });
+  }
+
+  /**
+   * Global command prefix. An empty string indicates that there is no default prefix, and only mentions will be used.
+   * Setting to `null` means that the default prefix from {@link FrameClient#options} will be used instead.
+   * @type {string}
+   * @emits {@link FrameClient#commandPrefixChange}
+   */
+  get commandPrefix() {
+    if(typeof this._commandPrefix === 'undefined' || this._commandPrefix === null) return this.options.commandPrefix;
+    return this._commandPrefix;
+  }
+
+  set commandPrefix(prefix) {
+    this._commandPrefix = prefix;
+
+    /**
+     * Emitted whenever a guild's or the global command prefix is changed
+     * @event FrameClient#commandPrefixChange
+     * @param {?Guild} guild - Guild that the prefix was changed in (null for global)
+     * @param {?string} prefix - New command prefix (null for default)
+     */
+    this.emit('commandPrefixChange', null, this._commandPrefix);
   }
 
   /**
@@ -95,19 +152,19 @@ class FrameClient extends Discord.Client {
   }
 
   /**
-   * Sets a new database provider to use for storing settings
-   * @param {SQLiteProvider} provider - The new provider to set
+   * Sets a new provider to use for storing settings
+   * @param {SettingProvider} provider - The new provider to set
    * @returns {FrameClient} client
    */
   async setProvider(provider) {
-    if(!provider instanceof SQLiteProvider) throw new TypeError('provider must be of type SQLiteProvider');
+    if(!(provider instanceof SettingProvider)) throw new TypeError('provider must be a SettingProvider');
     await provider.init(this);
     this.provider = provider;
     /**
      * When the provider for the client is changed
      * @event FrameClient#providerChange
      * @param {FrameClient} client - The client that the provider was changed for
-     * @param {SQLiteProvider} provider - The newly set provider
+     * @param {SettingProvider} provider - The newly set provider
      */
      this.emit('providerChange', this, provider);
     return this;
@@ -119,12 +176,11 @@ class FrameClient extends Discord.Client {
    * @returns {Boolean} - True if the user is a owner of the bot
    */
   isOwner(user) {
-    return this.options.owners.has(this.users.resolve(user).id);
-  }
-
-  async login(token) {
-    super.login(token);
-    if(this.provider) this.provider.init(this);
+    if(!this.options.owners) return false;
+    user = this.users.resolve(user);
+    if(!user) throw new RangeError('Unable to resolve user.');
+    if(this.options.owners instanceof Set) return this.options.owners.has(user.id);
+    return this.options.owners.includes(user.id);
   }
 }
 
@@ -1,13 +1,21 @@
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 const { oneLine, stripIndents } = require('common-tags');
 const isPromise = require('is-promise');
 const ArgumentUnionType = require('../types/union');
 
+/**
+ * Pattern that the names of slash command options must match
+ * @type {RegExp}
+ * @private
+ */
+const slashOptionNamePattern = /^[\w-]{1,32}$/;
+
 /** A fancy argument */
 class Argument {
 	/**
 	 * @typedef {Object} ArgumentInfo
-	 * @property {string} key - Key for the argument
+	 * @property {string} key - Key for the argument (its lowercase version is the name of the slash command option,
+	 * so it may only have up to 32 letters, numbers, underscores or dashes if the command is a slash command)
 	 * @property {string} [label=key] - Label for the argument
 	 * @property {string} prompt - First prompt for the argument when it wasn't specified
 	 * @property {string} [error] - Predefined error message to output for the argument when it isn't valid
@@ -24,6 +32,8 @@ class Argument {
 	 * @property {Function} [validate] - Validator function for the argument (see {@link ArgumentType#validate})
 	 * @property {Function} [parse] - Parser function for the argument (see {@link ArgumentType#parse})
 	 * @property {Function} [isEmpty] - Empty checker for the argument (see {@link ArgumentType#isEmpty})
+	 * @property {Function} [autocomplete] - Autocomplete suggestion provider for the argument
+	 * (see {@link ArgumentType#autocomplete})
 	 * @property {number} [wait=30] - How long to wait for input (in seconds)
 	 */
 
@@ -126,6 +136,13 @@ class Argument {
 		 */
 		this.emptyChecker = info.isEmpty || null;
 
+		/**
+		 * Function to get autocomplete suggestions for a partially entered value for the argument
+		 * @type {?Function}
+		 * @see {@link ArgumentType#autocomplete}
+		 */
+		this.autocompleter = info.autocomplete || null;
+
 		/**
 		 * How long to wait for input (in seconds)
 		 * @type {number}
@@ -190,7 +207,8 @@ class Argument {
 			`));
 
 			// Get the user's response
-			const responses = await msg.channel.awaitMessages(msg2 => msg2.author.id === msg.author.id, {
+			const responses = await msg.channel.awaitMessages({
+				filter: msg2 => msg2.author.id === msg.author.id,
 				max: 1,
 				time: wait
 			});
@@ -288,7 +306,8 @@ class Argument {
 				}
 
 				// Get the user's response
-				const responses = await msg.channel.awaitMessages(msg2 => msg2.author.id === msg.author.id, {
+				const responses = await msg.channel.awaitMessages({
+					filter: msg2 => msg2.author.id === msg.author.id,
 					max: 1,
 					time: wait
 				});
@@ -387,6 +406,64 @@ class Argument {
 		return !val;
 	}
 
+	/**
+	 * Gets autocomplete suggestions for a partially entered value for the argument.
+	 * Suggestions come from the argument's autocomplete function, its type, or else its `oneOf` values.
+	 * @param {string} partial - Value entered so far
+	 * @param {AutocompleteInteraction} interaction - Interaction the suggestions are for
+	 * @return {Promise<ApplicationCommandOptionChoice[]>} Up to 25 suggestions
+	 */
+	async autocomplete(partial, interaction) {
+		let choices = null;
+		if(this.autocompleter) {
+			choices = await this.autocompleter(partial, interaction, this);
+		} else if(this.type && this.type.hasAutocomplete()) {
+			choices = await this.type.autocomplete(partial, interaction, this);
+		} else if(this.oneOf) {
+			const search = partial.toLowerCase();
+			choices = this.oneOf
+				.filter(value => String(value).toLowerCase().includes(search))
+				.map(value => ({ name: String(value), value }));
+		}
+		if(!choices) return [];
+		return choices.slice(0, 25).map(choice => ({
+			name: choice.name.length > 100 ? `${choice.name.slice(0, 97)}...` : choice.name,
+			value: choice.value
+		}));
+	}
+
+	/**
+	 * Checks whether the argument provides autocomplete suggestions
+	 * @return {boolean}
+	 */
+	hasAutocomplete() {
+		return Boolean(this.autocompleter || (this.type && this.type.hasAutocomplete()) || this.oneOf);
+	}
+
+	/**
+	 * Creates the slash command option definition for the argument
+	 * @return {ApplicationCommandOptionData}
+	 */
+	toSlashOption() {
+		const option = {
+			...this.type ? this.type.slashOption(this) : { type: 'STRING' },
+			name: this.key.toLowerCase(),
+			description: this.prompt.length > 100 ? `${this.prompt.slice(0, 97)}...` : this.prompt,
+			required: this.default === null
+		};
+		const valued = ['STRING', 'INTEGER', 'NUMBER'].includes(option.type);
+		if(valued && this.oneOf && this.oneOf.length <= 25) {
+			option.choices = this.oneOf.map(choice => ({ name: String(choice), value: choice }));
+		} else if(valued && this.hasAutocomplete()) {
+			option.autocomplete = true;
+		}
+		if(option.type === 'INTEGER' || option.type === 'NUMBER') {
+			if(this.min !== null) option.minValue = this.min;
+			if(this.max !== null) option.maxValue = this.max;
+		}
+		return option;
+	}
+
 	/**
 	 * Validates the constructor parameters
 	 * @param {FrameClient} client - Client to validate
@@ -413,6 +490,9 @@ class Argument {
 		if(info.parse && typeof info.parse !== 'function') {
 			throw new TypeError('Argument parse must be a function.');
 		}
+		if(info.autocomplete && typeof info.autocomplete !== 'function') {
+			throw new TypeError('Argument autocomplete must be a function.');
+		}
 		if(!info.type && (!info.validate || !info.parse)) {
 			throw new Error('Argument must have both validate and parse since it doesn\'t have a type.');
 		}
@@ -421,6 +501,30 @@ class Argument {
 		}
 	}
 
+	/**
+	 * Validates that the keys of arguments can be used as the names of their slash command options
+	 * @param {ArgumentInfo[]} args - Info of the arguments to validate
+	 * @param {string} owner - What the arguments belong to (for the error messages)
+	 * @private
+	 */
+	static validateSlashKeys(args, owner) {
+		const names = new Set();
+		for(const info of args) {
+			if(!info || typeof info.key !== 'string') continue;
+			const name = info.key.toLowerCase();
+			if(!slashOptionNamePattern.test(name)) {
+				throw new RangeError(oneLine`
+					${owner} argument key "${info.key}" can't be used as a slash command option name
+					(it may only have up to 32 letters, numbers, underscores or dashes).
+				`);
+			}
+			if(names.has(name)) {
+				throw new Error(`${owner} argument keys must be unique regardless of case ("${info.key}" isn't).`);
+			}
+			names.add(name);
+		}
+	}
+
 	/**
 	 * Gets the argument type to use from an ID
 	 * @param {FrameClient} client - Client to use the registry of
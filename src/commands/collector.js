@@ -1,3 +1,4 @@
+const { InteractionCollector, MessageActionRow, MessageButton, Modal, TextInputComponent } = require('discord.js');
 const Argument = require('./argument');
 
 /** Obtains, validates, and prompts for argument values */
@@ -100,6 +101,236 @@ class ArgumentCollector {
 			answers: [].concat(...results.map(res => res.answers))
 		};
 	}
+
+	/**
+	 * Result object from parsing argument values from the options of a slash command
+	 * @typedef {Object} ArgumentInteractionResult
+	 * @property {?Object} values - Final values for the arguments, mapped by their keys
+	 * @property {?string} cancelled - `invalid` if one of the values didn't pass validation
+	 * @property {?Argument} invalid - Argument that had an invalid value
+	 * @property {?string} response - Validation error message for the invalid value, if the type provided one
+	 */
+
+	/**
+	 * Validates and parses the values for the arguments from the options of a slash command
+	 * @param {CommandInteraction} interaction - Interaction that the collector is being triggered by
+	 * @return {Promise<ArgumentInteractionResult>}
+	 */
+	async parseInteraction(interaction) {
+		const provided = this.interactionValues(interaction);
+		const values = {};
+		for(const arg of this.args) {
+			/* eslint-disable no-await-in-loop */
+			if(typeof provided[arg.key] === 'undefined') {
+				if(arg.default === null) return { values: null, cancelled: 'invalid', invalid: arg, response: null };
+				values[arg.key] = typeof arg.default === 'function' ? await arg.default(interaction, arg) : arg.default;
+				continue;
+			}
+
+			const raw = provided[arg.key];
+			const result = await this.resolveValue(arg, arg.infinite ? raw.trim().split(/\s+/) : [raw], interaction);
+			if(!result.valid) return { values: null, cancelled: 'invalid', invalid: arg, response: result.response };
+			values[arg.key] = result.value;
+			/* eslint-enable no-await-in-loop */
+		}
+
+		return { values, cancelled: null, invalid: null, response: null };
+	}
+
+	/**
+	 * Result object from obtaining argument values with a modal
+	 * @typedef {Object} ArgumentModalResult
+	 * @property {?Object} values - Final values for the arguments, mapped by their keys
+	 * @property {?string} cancelled - One of:
+	 * - `user` (user cancelled)
+	 * - `time` (wait time exceeded)
+	 * - `promptLimit` (prompt limit exceeded)
+	 * @property {?Interaction} interaction - The modal submission to respond to,
+	 * or `null` if the modal wasn't needed or the collection was cancelled
+	 * @property {ModalSubmitInteraction[]} submissions - All submissions of the modal
+	 */
+
+	/**
+	 * Obtains values for the arguments, showing a modal with a text input for each missing or invalid one if necessary.
+	 * When submitted values are invalid, the user is shown the errors and can open the modal again to correct them.
+	 * @param {CommandInteraction|MessageComponentInteraction} interaction - Interaction to show the modal for
+	 * (it must not have been replied to yet)
+	 * @param {Object} [provided={}] - Raw values that are already available, mapped by the arguments' keys
+	 * @param {Object} [options] - Options for the modal
+	 * @param {string} [options.title='Command arguments'] - Title of the modal
+	 * @param {number} [options.wait=300] - How long to wait for the user to submit the modal (in seconds)
+	 * @param {number} [options.promptLimit=this.promptLimit] - Maximum number of times to show the modal
+	 * @return {Promise<ArgumentModalResult>}
+	 */
+	async obtainModal(interaction, provided = {}, { title = 'Command arguments', wait = 300, promptLimit = this.promptLimit } = {}) { // eslint-disable-line max-len, complexity
+		/* eslint-disable no-await-in-loop */
+		const values = {};
+		let errors = {};
+		const fields = [];
+		for(const arg of this.args) {
+			const val = provided[arg.key];
+			if(typeof val === 'undefined' || arg.isEmpty(val, interaction)) {
+				fields.push(arg);
+				continue;
+			}
+			const result = await this.resolveValue(arg, arg.infinite ? val.split(/\n+/) : [val], interaction);
+			if(result.valid) {
+				values[arg.key] = result.value;
+			} else {
+				errors[arg.key] = result.response || `You provided an invalid ${arg.label}.`;
+				fields.push(arg);
+			}
+		}
+
+		if(!fields.some(arg => arg.default === null || errors[arg.key])) {
+			for(const arg of fields) {
+				values[arg.key] = typeof arg.default === 'function' ? await arg.default(interaction, arg) : arg.default;
+			}
+			return { values, cancelled: null, interaction: null, submissions: [] };
+		}
+		if(fields.length > 5) throw new RangeError('A modal can only collect up to 5 arguments at once.');
+
+		const modalId = `${interaction.id}:args`;
+		const filter = int => int.user.id === interaction.user.id && int.customId.startsWith(modalId);
+		const previous = { ...provided };
+		const submissions = [];
+		let current = interaction;
+		while(true) { // eslint-disable-line no-constant-condition
+			await current.showModal(this.buildModal(modalId, title, fields, previous));
+			const submission = await current.awaitModalSubmit({ filter, time: wait * 1000 }).catch(() => null);
+			if(!submission) return { values: null, cancelled: 'time', interaction: null, submissions };
+			submissions.push(submission);
+
+			errors = {};
+			for(const arg of fields) {
+				const val = submission.fields.getTextInputValue(arg.key);
+				previous[arg.key] = val;
+				if(arg.isEmpty(val, interaction)) {
+					if(arg.default === null) {
+						errors[arg.key] = `The ${arg.label} is required.`;
+						continue;
+					}
+					values[arg.key] = typeof arg.default === 'function' ? await arg.default(interaction, arg) : arg.default;
+					continue;
+				}
+				const result = await this.resolveValue(arg, arg.infinite ? val.split(/\n+/) : [val], interaction);
+				if(result.valid) values[arg.key] = result.value;
+				else errors[arg.key] = result.response || `You provided an invalid ${arg.label}.`;
+			}
+			if(Object.keys(errors).length === 0) return { values, cancelled: null, interaction: submission, submissions };
+
+			const errorList = fields.filter(arg => errors[arg.key]).map(arg => `**${arg.label}:** ${errors[arg.key]}`);
+			if(submissions.length >= promptLimit) {
+				await submission.reply({ content: errorList.join('\n'), ephemeral: true });
+				return { values: null, cancelled: 'promptLimit', interaction: null, submissions };
+			}
+			const reply = await submission.reply({
+				content: `${errorList.join('\n')}\nPlease correct the values and submit them again.`,
+				components: [new MessageActionRow().addComponents(
+					new MessageButton().setCustomId(`${modalId}:retry`).setLabel('Edit values').setStyle('PRIMARY'),
+					new MessageButton().setCustomId(`${modalId}:cancel`).setLabel('Cancel').setStyle('SECONDARY')
+				)],
+				ephemeral: true,
+				fetchReply: true
+			});
+			const click = await this.awaitButton(reply, filter, wait * 1000);
+			if(!click) return { values: null, cancelled: 'time', interaction: null, submissions };
+			if(click.customId === `${modalId}:cancel`) {
+				await click.update({ content: 'Cancelled command.', components: [] });
+				return { values: null, cancelled: 'user', interaction: null, submissions };
+			}
+			current = click;
+		}
+		/* eslint-enable no-await-in-loop */
+	}
+
+	/**
+	 * Waits for a button of a reply to be clicked.
+	 * Ephemeral replies aren't always fetched as full messages, so the clicks are collected by the reply's ID.
+	 * @param {Message|APIMessage} reply - Reply that has the buttons
+	 * @param {Function} filter - Filter for the clicks
+	 * @param {number} time - How long to wait for a click (in milliseconds)
+	 * @return {Promise<?ButtonInteraction>} The click, or `null` if there wasn't any in time
+	 * @private
+	 */
+	awaitButton(reply, filter, time) {
+		return new Promise(resolve => {
+			const collector = new InteractionCollector(this.client, {
+				message: reply,
+				interactionType: 'MESSAGE_COMPONENT',
+				componentType: 'BUTTON',
+				max: 1,
+				time,
+				filter
+			});
+			collector.once('end', collected => resolve(collected.first() || null));
+		});
+	}
+
+	/**
+	 * Gets the raw values of the arguments from the options of a slash command
+	 * @param {CommandInteraction} interaction - Interaction to get the options of
+	 * @return {Object} The values as strings, mapped by the arguments' keys
+	 */
+	interactionValues(interaction) {
+		const values = {};
+		for(const arg of this.args) {
+			const option = interaction.options.get(arg.key.toLowerCase());
+			if(option && option.value !== null && typeof option.value !== 'undefined') values[arg.key] = String(option.value);
+		}
+		return values;
+	}
+
+	/**
+	 * Validates and parses raw values for an argument
+	 * @param {Argument} arg - Argument to resolve the values for
+	 * @param {string[]} vals - Raw values (only the first is used if the argument isn't infinite)
+	 * @param {Message|Interaction} msg - Message or interaction the values are for
+	 * @return {Promise<Object>} Whether the values are `valid`, and either the parsed `value`
+	 * or the validation error `response`
+	 * @private
+	 */
+	async resolveValue(arg, vals, msg) {
+		const parsed = [];
+		for(const val of arg.infinite ? vals.filter(Boolean) : vals.slice(0, 1)) {
+			/* eslint-disable no-await-in-loop */
+			const valid = await arg.validate(val, msg);
+			if(!valid || typeof valid === 'string') {
+				return { valid: false, value: null, response: typeof valid === 'string' ? valid : null };
+			}
+			parsed.push(await arg.parse(val, msg));
+			/* eslint-enable no-await-in-loop */
+		}
+		return { valid: true, value: arg.infinite ? parsed : parsed[0], response: null };
+	}
+
+	/**
+	 * Creates the modal for obtaining argument values
+	 * @param {string} customId - Custom ID of the modal
+	 * @param {string} title - Title of the modal
+	 * @param {Argument[]} args - Arguments to add text inputs for
+	 * @param {Object} previous - Previously entered raw values, mapped by the arguments' keys
+	 * @return {Modal}
+	 * @private
+	 */
+	buildModal(customId, title, args, previous) {
+		const modal = new Modal().setCustomId(customId).setTitle(title.length > 45 ? `${title.slice(0, 42)}...` : title);
+		for(const arg of args) {
+			const input = new TextInputComponent()
+				.setCustomId(arg.key)
+				.setLabel(arg.label.length > 45 ? `${arg.label.slice(0, 42)}...` : arg.label)
+				.setStyle(arg.infinite ? 'PARAGRAPH' : 'SHORT')
+				.setPlaceholder(arg.prompt.length > 100 ? `${arg.prompt.slice(0, 97)}...` : arg.prompt)
+				.setRequired(arg.default === null);
+			if(arg.type && arg.type.id === 'string') {
+				if(arg.min !== null) input.setMinLength(Math.max(0, Math.min(arg.min, 4000)));
+				if(arg.max !== null) input.setMaxLength(Math.max(1, Math.min(arg.max, 4000)));
+			}
+			if(previous[arg.key]) input.setValue(previous[arg.key]);
+			modal.addComponents(new MessageActionRow().addComponents(input));
+		}
+		return modal;
+	}
 }
 
-module.exports = ArgumentCollector;
\ No newline at end of file
+module.exports = ArgumentCollector;
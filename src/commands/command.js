@@ -1,8 +1,19 @@
 const path = require('path');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 const { oneLine, stripIndents } = require('common-tags');
+const { Collection } = require('discord.js');
+const Argument = require('./argument');
 const ArgumentCollector = require('./collector');
-const { permissions } = require('../util');
+const FrameSubcommand = require('./subcommand');
+const ThrottleBucket = require('../throttles/bucket');
+const { permissions, scopeTarget, missingPermissions } = require('../util');
+
+/**
+ * Prefix of the custom IDs of components that are routed to commands
+ * @type {string}
+ * @private
+ */
+const customIdPrefix = 'djsframe:';
 
 /**
  * Class for creating a new command
@@ -24,7 +35,9 @@ class FrameCommand {
    * @property {Boolean} [ownerOnly=false] - Whether the command should be restricted to the bot owner
    * @property {boolean} [guildOnly=false] - Whether or not the command should only function in a guild channel
    * @property {boolean} [nsfw=false] - Whether the command is usable only in NSFW channels.
-   * @property {ThrottlingOptions} [throttling] - Options for throttling usages of the command.
+   * @property {ThrottlingOptions|ThrottlingOptions[]} [throttling] - Options for throttling usages of the command.
+	 * With an Array, each entry is counted in its own bucket, and the command is throttled when any of them is full.
+   * @property {ConcurrencyOptions} [concurrency] - Options for limiting how many times the command can run at once.
    * @property {boolean} [defaultHandling=true] - Whether or not the default command handling should be used.
 	 * If false, then only patterns will trigger the command.
    * @property {ArgumentInfo[]} [args] - Arguments for the command.
@@ -42,8 +55,33 @@ class FrameCommand {
 	 * @property {boolean} [hidden=false] - Whether the command should be hidden from the help command
 	 * @property {boolean} [unknown=false] - Whether the command should be run when an unknown command is used - there
 	 * may only be one command registered with this property as `true`.
+	 * @property {boolean} [slash=true] - Whether the command should be registered as a slash command
+	 * @property {SubcommandInfo[]} [subcommands] - Subcommands of the command. A command with subcommands can't have
+	 * arguments of its own, and is only run through its subcommands.
+	 * @property {ContextMenuInfo} [contextMenu] - Context menu command to register for the command
+	 * @property {boolean} [argsModal=false] - Whether missing or invalid arguments of slash commands should be
+	 * collected with a modal instead of being rejected (all of the command's slash options become optional). A modal
+	 * has at most 5 fields, so the command and each of its subcommands may have at most 5 args.
    */
 
+	/**
+	 * @typedef {Object} ConcurrencyOptions
+	 * @property {number} limit - Maximum number of runs of the command at the same time (including the time spent
+	 * obtaining its arguments)
+	 * @property {string} [scope=user] - What the runs are counted for: `user`, `member`, `channel`, `guild`, or
+	 * `global` (see {@link ThrottlingOptions})
+	 * @property {boolean} [queue=false] - Whether usages over the limit should wait for a run to finish,
+	 * instead of being blocked. Slash command usages are deferred while they wait, unless the command collects its
+	 * arguments with a modal (see {@link CommandInfo#argsModal}) - a modal can't be shown once the usage is deferred,
+	 * so those are still blocked.
+	 */
+
+	/**
+	 * @typedef {Object} ContextMenuInfo
+	 * @property {string} type - Type of the context menu command, either `USER` or `MESSAGE`
+	 * @property {string} [name] - Name shown in the context menu (defaults to the command's name)
+	 */
+
   /**
    * Creates the command instance
    * @param {FrameClient} client - The client to bind the command to
@@ -84,10 +122,16 @@ class FrameCommand {
     this.aliases = info.aliases || [];
 
     /**
-     * The command group
+     * The ID of the command group
      * @type {String}
      * @readonly
      */
+    this.groupID = info.group;
+
+    /**
+     * The command group (the group's ID until the command is registered)
+     * @type {FrameGroup|String}
+     */
     this.group = info.group;
 
     /**
@@ -158,10 +202,24 @@ class FrameCommand {
 
 		/**
 		 * Options for throttling command usages
-		 * @type {?ThrottlingOptions}
+		 * @type {?ThrottlingOptions|?ThrottlingOptions[]}
 		 */
 		this.throttling = info.throttling || null;
 
+		/**
+		 * Buckets that usages of the command are counted in, created from {@link FrameCommand#throttling}
+		 * @type {ThrottleBucket[]}
+		 */
+		this.throttleBuckets = this.throttling ?
+			[].concat(this.throttling).map(options => new ThrottleBucket(this, options)) :
+			[];
+
+		/**
+		 * Options for limiting how many times the command can run at once
+		 * @type {?ConcurrencyOptions}
+		 */
+		this.concurrency = info.concurrency ? { scope: 'user', queue: false, ...info.concurrency } : null;
+
     /**
 		 * The argument collector for the command
 		 * @type {?ArgumentCollector}
@@ -219,6 +277,35 @@ class FrameCommand {
 		 */
 		this.unknown = Boolean(info.unknown);
 
+		/**
+		 * Whether the command should be registered as a slash command
+		 * @type {boolean}
+		 */
+		this.slash = 'slash' in info ? Boolean(info.slash) : true;
+
+		/**
+		 * Whether missing or invalid arguments of slash commands should be collected with a modal
+		 * @type {boolean}
+		 */
+		this.argsModal = Boolean(info.argsModal);
+
+		/**
+		 * Subcommands of the command, mapped by their names
+		 * @type {Collection<string, FrameSubcommand>}
+		 */
+		this.subcommands = new Collection();
+		if(info.subcommands) {
+			for(const sub of info.subcommands) this.subcommands.set(sub.name, new FrameSubcommand(this, sub));
+		}
+
+		/**
+		 * Context menu command registered for the command
+		 * @type {?ContextMenuInfo}
+		 */
+		this.contextMenu = info.contextMenu ?
+			{ type: info.contextMenu.type, name: info.contextMenu.name || this.name } :
+			null;
+
 		/**
 		 * Whether the command is enabled globally
 		 * @type {boolean}
@@ -227,38 +314,42 @@ class FrameCommand {
 		this._globalEnabled = true;
 
 		/**
-		 * Current throttle objects for the command, mapped by user ID
-		 * @type {Map<string, Object>}
+		 * Current runs of the command and the usages waiting for one to finish, mapped by the target they are counted for
+		 * @type {Map<string, {count: number, queue: Function[]}>}
 		 * @private
 		 */
-		this._throttles = new Map();
+		this._runs = new Map();
   }
 
   /**
-	 * Checks whether the user has permission to use the command
-	 * @param {Message} message - The triggering command message
+	 * Checks whether the user has permission to use the command. The guild's permission overrides
+	 * (see {@link FrameGuild#setPermissionOverride}) take precedence over {@link FrameCommand#userPermissions}, which
+	 * are checked in every kind of guild channel (the permissions of a thread are the ones of its parent channel).
+	 * @param {CommandContext|FrameMessage} message - The context or message the command is being used from
 	 * @param {boolean} [ownerOverride=true] - Whether the bot owner(s) will always have permission
 	 * @return {boolean|string} Whether the user has permission, or an error message to respond with if they don't
 	 */
 	hasPermission(message, ownerOverride = true) {
-		if(!this.ownerOnly && !this.userPermissions) return true;
 		if(ownerOverride && this.client.isOwner(message.author)) return true;
 
 		if(this.ownerOnly && (ownerOverride || !this.client.isOwner(message.author))) {
 			return `The \`${this.name}\` command can only be used by the bot owner.`;
 		}
 
-		if(message.channel.type === 'text' && this.userPermissions) {
-			const missing = message.channel.permissionsFor(message.author).missing(this.userPermissions);
-			if(missing.length > 0) {
-				if(missing.length === 1) {
-					return `The \`${this.name}\` command requires you to have the "${permissions[missing[0]]}" permission.`;
-				}
-				return oneLine`
-					The \`${this.name}\` command requires you to have the following permissions:
-					${missing.map(perm => permissions[perm]).join(', ')}
-				`;
+		// Permission overrides of the guild take precedence over the permissions the command requires
+		const override = message.guild ? message.guild.resolvePermissionOverride(this, message) : null;
+		if(override === false) return `You may not use the \`${this.name}\` command here.`;
+		if(override === true || !this.userPermissions) return true;
+
+		const missing = missingPermissions(message.channel, message.author, this.userPermissions);
+		if(missing.length > 0) {
+			if(missing.length === 1) {
+				return `The \`${this.name}\` command requires you to have the "${permissions[missing[0]]}" permission.`;
 			}
+			return oneLine`
+				The \`${this.name}\` command requires you to have the following permissions:
+				${missing.map(perm => permissions[perm]).join(', ')}
+			`;
 		}
 
 		return true;
@@ -266,14 +357,16 @@ class FrameCommand {
 
   /**
 	 * Called when the command is prevented from running
-	 * @param {Message} message - Command message that the command is running from
+	 * @param {CommandContext} message - Context that the command is running from
 	 * @param {string} reason - Reason that the command was blocked
-	 * (built-in reasons are `guildOnly`, `nsfw`, `permission`, `throttling`, and `clientPermissions`)
+	 * (built-in reasons are `guildOnly`, `nsfw`, `permission`, `throttling`, `concurrency`, and `clientPermissions`)
 	 * @param {Object} [data] - Additional data associated with the block. Built-in reason data properties:
 	 * - guildOnly: none
 	 * - nsfw: none
 	 * - permission: `response` ({@link string}) to send
-	 * - throttling: `throttle` ({@link Object}), `remaining` ({@link number}) time in seconds
+	 * - throttling: `throttle` ({@link Throttle}), `bucket` ({@link ThrottleBucket}) that is full,
+	 * `remaining` ({@link number}) time in seconds
+	 * - concurrency: `limit` ({@link number}) of runs at once, `scope` ({@link string}) they are counted in
 	 * - clientPermissions: `missing` ({@link Array}<{@link string}>) permission names
 	 * @returns {Promise<?Message|?Array<Message>>}
 	 */
@@ -299,9 +392,28 @@ class FrameCommand {
 				`);
 			}
 			case 'throttling': {
-				return message.reply(
-					`You may not use the \`${this.name}\` command again for another ${data.remaining.toFixed(1)} seconds.`
-				);
+				const remaining = `for another ${data.remaining.toFixed(1)} seconds`;
+				switch(data.bucket.scope) {
+					case 'global':
+						return message.reply(`The \`${this.name}\` command may not be used again ${remaining}.`);
+					case 'guild':
+						return message.reply(`The \`${this.name}\` command may not be used here again ${remaining}.`);
+					case 'channel':
+						return message.reply(`The \`${this.name}\` command may not be used in this channel again ${remaining}.`);
+					default:
+						return message.reply(`You may not use the \`${this.name}\` command again ${remaining}.`);
+				}
+			}
+			case 'concurrency': {
+				const where = { guild: ' in this server', channel: ' in this channel' }[data.scope] || '';
+				if(data.scope === 'user' || data.scope === 'member') {
+					return message.reply(data.limit === 1 ?
+						`You are already using the \`${this.name}\` command. Please wait for it to finish.` :
+						`You may only use the \`${this.name}\` command ${data.limit} times at once.`);
+				}
+				return message.reply(data.limit === 1 ?
+					`The \`${this.name}\` command is already running${where}. Please try again later.` :
+					`The \`${this.name}\` command may only run ${data.limit} times at once${where}. Please try again later.`);
 			}
 			default:
 				return null;
@@ -311,7 +423,7 @@ class FrameCommand {
 	/**
 	 * Called when the command produces an error while running
 	 * @param {Error} err - Error that was thrown
-	 * @param {Message} message - Command message that the command is running from (see {@link Command#run})
+	 * @param {CommandContext} message - Context that the command is running from (see {@link FrameCommand#run})
 	 * @param {Object|string|string[]} args - Arguments for the command (see {@link Command#run})
 	 * @param {boolean} fromPattern - Whether the args are pattern matches (see {@link Command#run})
 	 * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
@@ -334,27 +446,69 @@ class FrameCommand {
 	}
 
 	/**
-	 * Creates/obtains the throttle object for a user, if necessary (owners are excluded)
-	 * @param {string} userID - ID of the user to throttle for
-	 * @return {?Object}
+	 * Counts a usage of the command in its throttling buckets, if necessary (owners are excluded).
+	 * If any of the buckets is full, the usage isn't counted in any of them.
+	 * @param {CommandContext} ctx - The context of the command's usage
+	 * @return {Promise<?Throttle[]>}
+	 * @protected
+	 */
+	async throttle(ctx) {
+		if(this.throttleBuckets.length === 0 || this.client.isOwner(ctx.author)) return null;
+		const throttles = (await Promise.all(this.throttleBuckets.map(bucket => bucket.hit(ctx)))).filter(Boolean);
+		// A usage that is throttled by one of the buckets doesn't count in the others
+		if(throttles.some(throttle => throttle.remaining > 0)) await this.releaseThrottle(throttles);
+		return throttles;
+	}
+
+	/**
+	 * Takes back a usage of the command counted in its throttling buckets, for when it isn't run after all
+	 * @param {Throttle[]} throttles - States of the buckets for the usage (from {@link FrameCommand#throttle})
+	 * @return {Promise<void>}
 	 * @protected
 	 */
-	throttle(userID) {
-		if(!this.throttling || this.client.isOwner(userID)) return null;
-
-		let throttle = this._throttles.get(userID);
-		if(!throttle) {
-			throttle = {
-				start: Date.now(),
-				usages: 0,
-				timeout: this.client.setTimeout(() => {
-					this._throttles.delete(userID);
-				}, this.throttling.duration * 1000)
-			};
-			this._throttles.set(userID, throttle);
+	async releaseThrottle(throttles) {
+		await Promise.all(throttles.map(throttle => throttle.bucket.release(throttle)));
+	}
+
+	/**
+	 * Reserves one of the runs at once allowed by {@link FrameCommand#concurrency} for a usage of the command,
+	 * waiting for another run to finish if the limit is reached and usages are queued (deferring slash command usages
+	 * while they wait)
+	 * @param {CommandContext} ctx - The context of the command's usage
+	 * @return {Promise<?Function>} Function to call once the run has finished, or null if the limit is reached
+	 * @protected
+	 */
+	async startRun(ctx) {
+		if(!this.concurrency) return () => null;
+		const target = scopeTarget(this.concurrency.scope, ctx);
+		let runs = this._runs.get(target);
+		if(!runs) {
+			runs = { count: 0, queue: [] };
+			this._runs.set(target, runs);
 		}
 
-		return throttle;
+		if(runs.count >= this.concurrency.limit) {
+			if(!this.concurrency.queue || (ctx.interaction && this.argsModal)) return null;
+			// Interactions must be acknowledged within 3 seconds, which the usage might spend waiting
+			if(ctx.interaction) await ctx.defer();
+			// The run that finishes hands its place over to this one
+			await new Promise(resolve => runs.queue.push(resolve));
+		} else {
+			runs.count++;
+		}
+
+		let finished = false;
+		return () => {
+			if(finished) return;
+			finished = true;
+			const next = runs.queue.shift();
+			if(next) {
+				next();
+				return;
+			}
+			runs.count--;
+			if(runs.count === 0) this._runs.delete(target);
+		};
 	}
 
 	/**
@@ -411,6 +565,86 @@ class FrameCommand {
 		return this.constructor.usage(`${this.name}${argString ? ` ${argString}` : ''}`, prefix, user);
 	}
 
+	/**
+	 * Creates a custom ID for a button or select menu, so interactions with it are routed to the command's
+	 * {@link FrameCommand#button} or {@link FrameCommand#selectMenu} method. The custom ID is namespaced
+	 * (`djsframe:<command>:<payload>`), so components with other custom IDs are left to their own collectors.
+	 * @param {string} [payload] - State to pass to the handler (e.g. the action and the ID of the target)
+	 * @return {string}
+	 * @example
+	 * new MessageButton()
+	 * 	.setCustomId(this.customId(`confirm:${member.id}`))
+	 * 	.setLabel('Confirm')
+	 * 	.setStyle('DANGER');
+	 */
+	customId(payload) {
+		const data = typeof payload !== 'undefined' && payload !== null ? payload : '';
+		const customId = `${customIdPrefix}${this.name}:${data}`;
+		if(customId.length > 100) throw new RangeError('Component custom IDs may not be longer than 100 characters.');
+		return customId;
+	}
+
+	/**
+	 * Creates the application command definition for the command's slash command
+	 * @return {ApplicationCommandData}
+	 */
+	toSlashCommand() {
+		return {
+			type: 'CHAT_INPUT',
+			name: this.name,
+			description: this.description.length > 100 ? `${this.description.slice(0, 97)}...` : this.description,
+			options: this.subcommands.size > 0 ?
+				this.subcommands.map(sub => sub.toSlashOption()) :
+				this.argsCollector ? this.argsCollector.args.map(arg => {
+					const option = arg.toSlashOption();
+					if(this.argsModal) option.required = false;
+					return option;
+				}) : []
+		};
+	}
+
+	/**
+	 * Finds a subcommand (or subcommand group) of the command by its path
+	 * @param {string[]} path - Names of the subcommand group (if any) and the subcommand
+	 * @return {?FrameSubcommand}
+	 */
+	resolveSubcommand(path) {
+		let subcommand = null;
+		for(const name of path) {
+			const found = (subcommand || this).subcommands.get(name.toLowerCase());
+			if(!found) return null;
+			subcommand = found;
+		}
+		return subcommand;
+	}
+
+	/**
+	 * Matches the leading words of an argument string against the command's subcommands
+	 * @param {string} argString - Argument string of a command message
+	 * @return {Object} The deepest `subcommand` that matched (or `null`),
+	 * and the `argString` remaining after its name
+	 */
+	matchSubcommand(argString) {
+		let subcommand = null;
+		while((subcommand || this).subcommands.size > 0) {
+			const matches = /^\s*(\S+)/.exec(argString);
+			const found = matches ? (subcommand || this).subcommands.get(matches[1].toLowerCase()) : null;
+			if(!found) break;
+			subcommand = found;
+			argString = argString.substring(matches[0].length);
+		}
+		return { subcommand, argString };
+	}
+
+	/**
+	 * Creates the application command definition for the command's context menu command
+	 * @return {?UserApplicationCommandData|?MessageApplicationCommandData}
+	 */
+	toContextMenuCommand() {
+		if(!this.contextMenu) return null;
+		return { type: this.contextMenu.type, name: this.contextMenu.name };
+	}
+
 	/**
 	 * Reloads the command
 	 */
@@ -471,6 +705,32 @@ class FrameCommand {
 		return `${prefixPart || ''}${prefix && user ? ' or ' : ''}${mentionPart || ''}`;
 	}
 
+	/**
+	 * Parses a custom ID created with {@link FrameCommand#customId}
+	 * @param {string} customId - The custom ID of the component
+	 * @return {?Object} The `command` name and the `payload` (`null` if there is none),
+	 * or `null` if the custom ID wasn't created by a command
+	 */
+	static parseCustomId(customId) {
+		if(!customId.startsWith(customIdPrefix)) return null;
+		customId = customId.slice(customIdPrefix.length);
+		const index = customId.indexOf(':');
+		if(index < 1) return null;
+		return {
+			command: customId.slice(0, index),
+			payload: index < customId.length - 1 ? customId.slice(index + 1) : null
+		};
+	}
+
+	/**
+	 * Gets the path of the subcommand used in a slash command interaction
+	 * @param {CommandInteraction|AutocompleteInteraction} interaction - Interaction to get the path from
+	 * @return {string[]} Names of the subcommand group (if any) and the subcommand
+	 */
+	static subcommandPath(interaction) {
+		return [interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand(false)].filter(Boolean);
+	}
+
   /**
    * Validates the provided client and info to check for any errors
    * @param {FrameClient} client - The client that the command was created with
@@ -508,17 +768,22 @@ class FrameCommand {
 			}
 		}
     if(info.throttling) {
-			if(typeof info.throttling !== 'object') throw new TypeError('Command throttling must be an Object.');
-			if(typeof info.throttling.usages !== 'number' || isNaN(info.throttling.usages)) {
-				throw new TypeError('Command throttling usages must be a number.');
+			for(const options of [].concat(info.throttling)) ThrottleBucket.validateOptions(options);
+		}
+		if(info.concurrency) {
+			if(typeof info.concurrency !== 'object') throw new TypeError('Command concurrency must be an Object.');
+			if(!Number.isInteger(info.concurrency.limit) || info.concurrency.limit < 1) {
+				throw new RangeError('Command concurrency limit must be an integer of at least 1.');
 			}
-			if(info.throttling.usages < 1) throw new RangeError('Command throttling usages must be at least 1.');
-			if(typeof info.throttling.duration !== 'number' || isNaN(info.throttling.duration)) {
-				throw new TypeError('Command throttling duration must be a number.');
+			if(info.concurrency.scope && !['user', 'member', 'channel', 'guild', 'global'].includes(info.concurrency.scope)) {
+				throw new RangeError('Command concurrency scope must be one of: user, member, channel, guild, global.');
 			}
-			if(info.throttling.duration < 1) throw new RangeError('Command throttling duration must be at least 1.');
 		}
 		if(info.args && !Array.isArray(info.args)) throw new TypeError('Command args must be an Array.');
+		if(info.args && (!('slash' in info) || info.slash)) Argument.validateSlashKeys(info.args, 'Command');
+		if(info.argsModal && info.args && info.args.length > 5) {
+			throw new RangeError('Commands with argsModal may not have more than 5 args.');
+		}
 		if('argsPromptLimit' in info && typeof info.argsPromptLimit !== 'number') {
 			throw new TypeError('Command argsPromptLimit must be a number.');
 		}
@@ -534,36 +799,79 @@ class FrameCommand {
 		if(info.patterns && (!Array.isArray(info.patterns) || info.patterns.some(pat => !(pat instanceof RegExp)))) {
 			throw new TypeError('Command patterns must be an Array of regular expressions.');
 		}
+		if(info.subcommands) {
+			if(!Array.isArray(info.subcommands)) throw new TypeError('Command subcommands must be an Array.');
+			if(info.args) throw new Error('Commands with subcommands may not have args.');
+		}
+		if(info.contextMenu) {
+			if(typeof info.contextMenu !== 'object') throw new TypeError('Command contextMenu must be an Object.');
+			if(!['USER', 'MESSAGE'].includes(info.contextMenu.type)) {
+				throw new RangeError('Command contextMenu type must be one of "USER" or "MESSAGE".');
+			}
+			const { name } = info.contextMenu;
+			if(typeof name !== 'undefined' && (typeof name !== 'string' || name.length < 1 || name.length > 32)) {
+				throw new RangeError('Command contextMenu name must be a string of 1 to 32 characters.');
+			}
+		}
   }
 
   /**
-   * Runs the command
-   * @param {Message} message - The message object which was received from discord
-   * @param {Object} args - The command's arguments
+   * Runs the command. This is used for prefix and mention usages, and for slash commands unless
+   * {@link FrameCommand#runSlash} is overridden.
+   * @param {CommandContext} ctx - The context of the command's invocation
+   * @param {Object|string|string[]} args - The command's arguments
+   * @param {boolean} fromPattern - Whether the args are pattern matches
+   * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
    * @abstract
    */
-  async run(message, args) {
+  async run(ctx, args, fromPattern, result) { // eslint-disable-line no-unused-vars
     this.client.emit('warn', 'This command has no run method: ' + this.name);
   }
 
   /**
-   * Runs a command from a slash command
-   * @param {Interaction} interaction - The interaction that was received from discord
-   * @param {Object} args - The command's arguments
+   * Runs a command from a slash command, by default the same as {@link FrameCommand#run}
+   * @param {CommandContext} ctx - The context of the command's invocation, wrapping the interaction
+   * @param {Object} args - The command's arguments, validated and parsed from the interaction's options
+   * @return {Promise<*>}
+   */
+  async runSlash(ctx, args) {
+    return this.run(ctx, args, false, null);
+  }
+
+  /**
+   * Runs the command from its context menu command (see {@link FrameCommand#contextMenu})
+   * @param {CommandContext} ctx - The context of the command's invocation, wrapping the interaction
+   * @param {GuildMember|User|Message} target - The member (or user, outside of guilds) or message
+   * the context menu was used on
+   * @return {Promise<*>}
    * @abstract
    */
-  async runSlash(interaction, args) {
-    this.client.emit('warn', 'This command has no runSlash method: ' + this.name);
+  async runContextMenu(ctx, target) { // eslint-disable-line no-unused-vars
+    this.client.emit('warn', 'This command has no runContextMenu method: ' + this.name);
   }
 
   /**
-   * Runs when a button is clicked
-   * @param {Interaction} interaction - The button interaction received from discord
+   * Runs when a button created with one of the command's custom IDs is clicked
+   * @param {CommandContext} ctx - The context of the click, wrapping the button interaction
+   * @param {?string} payload - The state payload encoded in the button's custom ID
    * @abstract
+   * @see {@link FrameCommand#customId}
    */
-  async button(interaction) {
+  async button(ctx, payload) { // eslint-disable-line no-unused-vars
     this.client.emit('warn', 'This command has no button method: ' + this.name);
   }
+
+  /**
+   * Runs when an option is chosen in a select menu created with one of the command's custom IDs
+   * @param {CommandContext} ctx - The context of the selection, wrapping the select menu interaction
+   * @param {string[]} values - The values that were selected
+   * @param {?string} payload - The state payload encoded in the select menu's custom ID
+   * @abstract
+   * @see {@link FrameCommand#customId}
+   */
+  async selectMenu(ctx, values, payload) { // eslint-disable-line no-unused-vars
+    this.client.emit('warn', 'This command has no selectMenu method: ' + this.name);
+  }
 }
 
 module.exports = FrameCommand;
\ No newline at end of file
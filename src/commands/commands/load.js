@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { oneLine } = require('common-tags');
+const Command = require('../command');
+
+module.exports = class LoadCommandCommand extends Command {
+  constructor(client) {
+    super(client, {
+        name: 'load',
+        aliases: ['load-command'],
+        group: 'commands',
+        memberName: 'load',
+        description: 'Loads a new command.',
+        details: oneLine`
+            The argument must be full name of the command in the format of \`group:memberName\`.
+            Only the bot owner(s) may use this command.
+        `,
+        examples: ['load some-command'],
+        ownerOnly: true,
+        guarded: true,
+
+        args: [
+            {
+                key: 'command',
+                prompt: 'Which command would you like to load?',
+                validate: async val => {
+                    if(!val) return false;
+                    const split = val.split(':');
+                    if(split.length !== 2) return false;
+                    if(client.registry.findCommands(val).length > 0) return 'That command is already registered.';
+                    const cmdPath = client.registry.resolveCommandPath(split[0], split[1]);
+                    return fs.promises.access(cmdPath, fs.constants.R_OK).then(() => true, () => false);
+                },
+                parse: val => {
+                    const split = val.split(':');
+                    const cmdPath = client.registry.resolveCommandPath(split[0], split[1]);
+                    delete require.cache[cmdPath];
+                    return require(cmdPath);
+                }
+            }
+        ]
+    });
+  }
+
+  async run(msg, args) {
+    this.client.registry.registerCommand(args.command);
+    const command = this.client.registry.commands.last();
+    const cmdPath = this.client.registry.resolveCommandPath(command.groupID, command.memberName);
+
+    if(this.client.shard) {
+        try {
+            await this.client.shard.broadcastEval((client, { ids, path }) => {
+                if(client.shard.ids.some(shardId => ids.includes(shardId))) return;
+                delete require.cache[path];
+                client.registry.registerCommand(require(path));
+            }, { context: { ids: this.client.shard.ids, path: cmdPath } });
+        } catch(err) {
+            this.client.emit('warn', 'Error when broadcasting command load to other shards');
+            this.client.emit('error', err);
+            await msg.reply(`Loaded \`${command.name}\` command, but failed to load on other shards.`);
+            return null;
+        }
+    }
+
+    await msg.reply(`Loaded \`${command.name}\` command${this.client.shard ? ' on all shards' : ''}.`);
+    return null;
+  }
+};
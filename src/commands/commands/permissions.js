@@ -0,0 +1,150 @@
+const { stripIndents, oneLine } = require('common-tags');
+const { Role, Channel } = require('discord.js');
+const Command = require('../command');
+
+module.exports = class PermissionsCommand extends Command {
+  constructor(client) {
+    const target = {
+        key: 'target',
+        label: 'role/user/channel',
+        prompt: 'Which role, user or channel would you like to change the permission of?',
+        type: 'role|member|channel'
+    };
+    const cmdOrGrp = {
+        key: 'cmdOrGrp',
+        label: 'command/group',
+        prompt: 'Which command or group would you like to change the permission of?',
+        type: 'group|command'
+    };
+
+    super(client, {
+        name: 'permissions',
+        aliases: ['perms', 'permission-overrides'],
+        group: 'commands',
+        memberName: 'permissions',
+        description: 'Lists, allows or denies commands and groups to roles, users or channels.',
+        details: oneLine`
+            Allowing or denying a command or group to a role, user or channel overrides the permissions the command
+            normally requires. User overrides take precedence over role overrides, which take precedence over channel
+            overrides, and command overrides take precedence over group overrides.
+            Only administrators may use this command.
+        `,
+        examples: ['permissions list', 'permissions allow prefix @Moderators', 'permissions deny music #general'],
+        guildOnly: true,
+        guarded: true,
+
+        subcommands: [
+            {
+                name: 'list',
+                description: 'Lists the permission overrides of the server.',
+                run(msg) {
+                    return this.list(msg);
+                }
+            },
+            {
+                name: 'allow',
+                description: 'Allows a command or group to a role, user or channel.',
+                args: [cmdOrGrp, target],
+                run(msg, args) {
+                    return this.change(msg, args.cmdOrGrp, args.target, true);
+                }
+            },
+            {
+                name: 'deny',
+                description: 'Denies a command or group to a role, user or channel.',
+                args: [cmdOrGrp, target],
+                run(msg, args) {
+                    return this.change(msg, args.cmdOrGrp, args.target, false);
+                }
+            },
+            {
+                name: 'reset',
+                description: 'Removes the permission overrides of a command or group.',
+                args: [
+                    cmdOrGrp,
+                    { ...target, prompt: 'Which role, user or channel would you like to reset?', default: '' }
+                ],
+                run(msg, args) {
+                    return this.change(msg, args.cmdOrGrp, args.target || null, null);
+                }
+            }
+        ]
+    });
+  }
+
+  hasPermission(msg) {
+    if(!msg.guild) return this.client.isOwner(msg.author);
+    return msg.member.permissions.has('ADMINISTRATOR') || this.client.isOwner(msg.author);
+  }
+
+  /**
+   * Lists the permission overrides of the guild
+   * @param {CommandContext} msg - The context of the command
+   * @return {Promise<Message>}
+   * @private
+   */
+  list(msg) {
+    const overrides = msg.guild.permissionOverrides;
+    if(overrides.length === 0) return msg.reply('There are no permission overrides in this server.');
+
+    const lines = new Map();
+    for(const override of overrides) {
+        const name = `**${override.name}** (${override.type})`;
+        if(!lines.has(name)) lines.set(name, []);
+        lines.get(name).push(`${override.allow ? 'allowed' : 'denied'} ${this.describe(msg, override)}`);
+    }
+    return msg.reply(stripIndents`
+        __**Permission overrides**__
+        ${Array.from(lines).map(([name, changes]) => `${name}: ${changes.join(', ')}`).join('\n')}
+    `);
+  }
+
+  /**
+   * Allows, denies or resets a command or group
+   * @param {CommandContext} msg - The context of the command
+   * @param {FrameCommand|FrameGroup} cmdOrGrp - The command or group
+   * @param {?Role|?GuildMember|?GuildChannel} target - What to change the permission of (null to reset all of them)
+   * @param {?boolean} allow - Whether to allow or deny the command or group (null to reset it)
+   * @return {Promise<Message>}
+   * @private
+   */
+  change(msg, cmdOrGrp, target, allow) {
+    const type = cmdOrGrp.group ? 'command' : 'group';
+    if(cmdOrGrp.guarded) return msg.reply(`The permissions of the \`${cmdOrGrp.name}\` ${type} can't be changed.`);
+
+    if(!target) {
+        msg.guild.clearPermissionOverrides(cmdOrGrp);
+        return msg.reply(`Removed all permission overrides of the \`${cmdOrGrp.name}\` ${type}.`);
+    }
+    msg.guild.setPermissionOverride(cmdOrGrp, target, allow);
+    const override = {
+        target: target instanceof Role ? 'role' : target instanceof Channel ? 'channel' : 'user',
+        id: target.id
+    };
+    const described = `the \`${cmdOrGrp.name}\` ${type} ${this.describe(msg, override)}`;
+    if(allow === null) return msg.reply(`Removed the permission override of ${described}.`);
+    return msg.reply(`${allow ? 'Allowed' : 'Denied'} ${described}.`);
+  }
+
+  /**
+   * Describes what a permission override applies to, without mentioning anyone
+   * @param {CommandContext} msg - The context of the command
+   * @param {PermissionOverride} override - The override
+   * @return {string}
+   * @private
+   */
+  describe(msg, override) {
+    switch(override.target) {
+        case 'role': {
+            const role = msg.guild.roles.cache.get(override.id);
+            return `to the ${role ? role.name : override.id} role`;
+        }
+        case 'channel':
+            return `in <#${override.id}>`;
+        default: {
+            const user = this.client.users.cache.get(override.id);
+            return `to ${user ? user.tag : override.id}`;
+        }
+    }
+  }
+};
@@ -0,0 +1,55 @@
+const { oneLine } = require('common-tags');
+const Command = require('../command');
+
+module.exports = class ReloadCommandCommand extends Command {
+  constructor(client) {
+    super(client, {
+        name: 'reload',
+        aliases: ['reload-command'],
+        group: 'commands',
+        memberName: 'reload',
+        description: 'Reloads a command or command group.',
+        details: oneLine`
+            The argument must be the name/ID (partial or whole) of a command or command group.
+            Providing a command group will reload all of the commands in that group.
+            Only the bot owner(s) may use this command.
+        `,
+        examples: ['reload some-command'],
+        ownerOnly: true,
+        guarded: true,
+
+        args: [
+            {
+                key: 'cmdOrGrp',
+                label: 'command/group',
+                prompt: 'Which command or group would you like to reload?',
+                type: 'group|command'
+            }
+        ]
+    });
+  }
+
+  async run(msg, args) {
+    const { cmdOrGrp } = args;
+    const isCmd = Boolean(cmdOrGrp.groupID);
+    const what = isCmd ? `\`${cmdOrGrp.name}\` command` : `all of the commands in the \`${cmdOrGrp.name}\` group`;
+    cmdOrGrp.reload();
+
+    if(this.client.shard) {
+        try {
+            await this.client.shard.broadcastEval((client, { ids, isCommand, id }) => {
+                if(client.shard.ids.some(shardId => ids.includes(shardId))) return;
+                client.registry[isCommand ? 'commands' : 'groups'].get(id).reload();
+            }, { context: { ids: this.client.shard.ids, isCommand: isCmd, id: isCmd ? cmdOrGrp.name : cmdOrGrp.id } });
+        } catch(err) {
+            this.client.emit('warn', 'Error when broadcasting command reload to other shards');
+            this.client.emit('error', err);
+            await msg.reply(`Reloaded ${what}, but failed to reload on other shards.`);
+            return null;
+        }
+    }
+
+    await msg.reply(`Reloaded ${what}${this.client.shard ? ' on all shards' : ''}.`);
+    return null;
+  }
+};
@@ -0,0 +1,50 @@
+const { oneLine } = require('common-tags');
+const Command = require('../command');
+
+module.exports = class UnloadCommandCommand extends Command {
+  constructor(client) {
+    super(client, {
+        name: 'unload',
+        aliases: ['unload-command'],
+        group: 'commands',
+        memberName: 'unload',
+        description: 'Unloads a command.',
+        details: oneLine`
+            The argument must be the name/ID (partial or whole) of a command.
+            Only the bot owner(s) may use this command.
+        `,
+        examples: ['unload some-command'],
+        ownerOnly: true,
+        guarded: true,
+
+        args: [
+            {
+                key: 'command',
+                prompt: 'Which command would you like to unload?',
+                type: 'command'
+            }
+        ]
+    });
+  }
+
+  async run(msg, args) {
+    args.command.unload();
+
+    if(this.client.shard) {
+        try {
+            await this.client.shard.broadcastEval((client, { ids, name }) => {
+                if(client.shard.ids.some(shardId => ids.includes(shardId))) return;
+                client.registry.commands.get(name).unload();
+            }, { context: { ids: this.client.shard.ids, name: args.command.name } });
+        } catch(err) {
+            this.client.emit('warn', 'Error when broadcasting command unload to other shards');
+            this.client.emit('error', err);
+            await msg.reply(`Unloaded \`${args.command.name}\` command, but failed to unload on other shards.`);
+            return null;
+        }
+    }
+
+    await msg.reply(`Unloaded \`${args.command.name}\` command${this.client.shard ? ' on all shards' : ''}.`);
+    return null;
+  }
+};
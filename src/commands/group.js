@@ -1,3 +1,5 @@
+const { Collection } = require('discord.js');
+
 /**
  * Class for storing info about a group as an object
  */
@@ -7,8 +9,9 @@ class FrameGroup {
    * @param {FrameClient} client - The client to be used for this group
    * @param {String} id - The id of the group (must be lowercase)
    * @param {String} name - The name of the group
+   * @param {boolean} [guarded=false] - Whether the group should be protected from disabling
    */
-  constructor(client, id, name) {
+  constructor(client, id, name, guarded = false) {
     if(!client) throw new Error('A client must be specified.');
 		if(typeof id !== 'string') throw new TypeError('Group ID must be a string.');
 		if(id !== id.toLowerCase()) throw new Error('Group ID must be lowercase.');
@@ -33,7 +36,63 @@ class FrameGroup {
      * @readonly
      */
     this.name = name || id;
+
+    /**
+     * The commands in the group, mapped by their names
+     * @type {Collection<string, FrameCommand>}
+     */
+    this.commands = new Collection();
+
+    /**
+     * Whether the group is protected from being disabled
+     * @type {boolean}
+     */
+    this.guarded = Boolean(guarded);
+
+    /**
+     * Whether the group is enabled globally
+     * @type {boolean}
+     * @private
+     */
+    this._globalEnabled = true;
   }
+
+	/**
+	 * Enables or disables the group in a guild
+	 * @param {?GuildResolvable} guild - Guild to enable/disable the group in
+	 * @param {boolean} enabled - Whether the group should be enabled or disabled
+	 */
+	setEnabledIn(guild, enabled) {
+		if(typeof guild === 'undefined') throw new TypeError('Guild must not be undefined.');
+		if(typeof enabled === 'undefined') throw new TypeError('Enabled must not be undefined.');
+		if(this.guarded) throw new Error('The group is guarded.');
+		if(!guild) {
+			this._globalEnabled = enabled;
+			this.client.emit('groupStatusChange', null, this, enabled);
+			return;
+		}
+		guild = this.client.guilds.resolve(guild);
+		guild.setGroupEnabled(this, enabled);
+	}
+
+	/**
+	 * Checks if the group is enabled in a guild
+	 * @param {?GuildResolvable} guild - Guild to check in
+	 * @return {boolean} Whether or not the group is enabled
+	 */
+	isEnabledIn(guild) {
+		if(this.guarded) return true;
+		if(!guild) return this._globalEnabled;
+		guild = this.client.guilds.resolve(guild);
+		return guild.isGroupEnabled(this);
+	}
+
+	/**
+	 * Reloads all of the group's commands
+	 */
+	reload() {
+		for(const command of this.commands.values()) command.reload();
+	}
 }
 
 module.exports = FrameGroup;
\ No newline at end of file
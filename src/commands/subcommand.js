@@ -0,0 +1,250 @@
+const { Collection } = require('discord.js');
+const { oneLine } = require('common-tags');
+const Argument = require('./argument');
+const ArgumentCollector = require('./collector');
+const { permissions, missingPermissions } = require('../util');
+
+/** A subcommand (or subcommand group) of a {@link FrameCommand} */
+class FrameSubcommand {
+	/**
+	 * @typedef {Object} SubcommandInfo
+	 * @property {string} name - Name of the subcommand (must be lowercase)
+	 * @property {string} description - Short description of the subcommand
+	 * @property {string} [format] - The usage format of the subcommand's arguments
+	 * (generated from the arguments if not specified)
+	 * @property {ArgumentInfo[]} [args] - Arguments for the subcommand
+	 * @property {number} [argsPromptLimit=Infinity] - Maximum number of times to prompt a user for a single argument
+	 * @property {boolean} [ownerOnly=false] - Whether the subcommand should be restricted to the bot owner(s)
+	 * @property {PermissionResolvable[]} [userPermissions] - Permissions required by the user to use the subcommand,
+	 * in addition to the ones of the command
+	 * @property {PermissionResolvable[]} [clientPermissions] - Permissions required by the client to use the
+	 * subcommand, in addition to the ones of the command
+	 * @property {Function} [run] - Runs the subcommand. It is called with the command as `this` and the same
+	 * parameters as {@link FrameCommand#run}.
+	 * @property {SubcommandInfo[]} [subcommands] - Subcommands of the subcommand, which makes it a subcommand group.
+	 * Subcommand groups can't have arguments or be run themselves, and can't be nested.
+	 */
+
+	/**
+	 * @param {FrameCommand} command - Command the subcommand belongs to
+	 * @param {SubcommandInfo} info - Information for the subcommand
+	 * @param {FrameCommand|FrameSubcommand} [parent=command] - The command or subcommand group the subcommand is in
+	 */
+	constructor(command, info, parent = command) {
+		this.constructor.validateInfo(command, info, parent);
+
+		/**
+		 * Client that the subcommand is for
+		 * @name FrameSubcommand#client
+		 * @type {FrameClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: command.client });
+
+		/**
+		 * Command that the subcommand belongs to
+		 * @name FrameSubcommand#command
+		 * @type {FrameCommand}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'command', { value: command });
+
+		/**
+		 * The command or subcommand group that the subcommand is in
+		 * @name FrameSubcommand#parent
+		 * @type {FrameCommand|FrameSubcommand}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'parent', { value: parent });
+
+		/**
+		 * Name of the subcommand
+		 * @type {string}
+		 */
+		this.name = info.name;
+
+		/**
+		 * Short description of the subcommand
+		 * @type {string}
+		 */
+		this.description = info.description;
+
+		/**
+		 * Whether the subcommand can only be used by an owner
+		 * @type {boolean}
+		 */
+		this.ownerOnly = Boolean(info.ownerOnly);
+
+		/**
+		 * Permissions required by the user to use the subcommand
+		 * @type {?PermissionResolvable[]}
+		 */
+		this.userPermissions = info.userPermissions || null;
+
+		/**
+		 * Permissions required by the client to use the subcommand
+		 * @type {?PermissionResolvable[]}
+		 */
+		this.clientPermissions = info.clientPermissions || null;
+
+		/**
+		 * The argument collector for the subcommand
+		 * @type {?ArgumentCollector}
+		 */
+		this.argsCollector = info.args && info.args.length ?
+			new ArgumentCollector(command.client, info.args, info.argsPromptLimit) :
+			null;
+
+		/**
+		 * Usage format of the subcommand's arguments
+		 * @type {?string}
+		 */
+		this.format = info.format || null;
+		if(this.argsCollector && !this.format) {
+			this.format = this.argsCollector.args.reduce((prev, arg) => {
+				const wrapL = arg.default !== null ? '[' : '<';
+				const wrapR = arg.default !== null ? ']' : '>';
+				return `${prev}${prev ? ' ' : ''}${wrapL}${arg.label}${arg.infinite ? '...' : ''}${wrapR}`;
+			}, '');
+		}
+
+		/**
+		 * Function that runs the subcommand
+		 * @type {?Function}
+		 * @private
+		 */
+		this.runner = info.run || null;
+
+		/**
+		 * Subcommands of the subcommand, if it is a subcommand group, mapped by their names
+		 * @type {Collection<string, FrameSubcommand>}
+		 */
+		this.subcommands = new Collection();
+		if(info.subcommands) {
+			for(const sub of info.subcommands) this.subcommands.set(sub.name, new FrameSubcommand(command, sub, this));
+		}
+	}
+
+	/**
+	 * Names leading to the subcommand, starting with the command's name
+	 * @type {string[]}
+	 * @readonly
+	 */
+	get path() {
+		return [...this.parent instanceof FrameSubcommand ? this.parent.path : [this.parent.name], this.name];
+	}
+
+	/**
+	 * Checks whether the user has permission to use the subcommand, including the permissions of the command
+	 * and subcommand group it is in
+	 * @param {CommandContext} ctx - The triggering context
+	 * @param {boolean} [ownerOverride=true] - Whether the bot owner(s) will always have permission
+	 * @return {boolean|string} Whether the user has permission, or an error message to respond with if they don't
+	 */
+	hasPermission(ctx, ownerOverride = true) {
+		const parentPermission = this.parent.hasPermission(ctx, ownerOverride);
+		if(!parentPermission || typeof parentPermission === 'string') return parentPermission;
+
+		if(!this.ownerOnly && !this.userPermissions) return true;
+		if(ownerOverride && this.client.isOwner(ctx.author)) return true;
+
+		const name = this.path.join(' ');
+		if(this.ownerOnly && (ownerOverride || !this.client.isOwner(ctx.author))) {
+			return `The \`${name}\` command can only be used by the bot owner.`;
+		}
+
+		const missing = missingPermissions(ctx.channel, ctx.author, this.userPermissions || []);
+		if(missing.length > 0) {
+			if(missing.length === 1) {
+				return `The \`${name}\` command requires you to have the "${permissions[missing[0]]}" permission.`;
+			}
+			return oneLine`
+				The \`${name}\` command requires you to have the following permissions:
+				${missing.map(perm => permissions[perm]).join(', ')}
+			`;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Runs the subcommand
+	 * @param {CommandContext} ctx - The context of the command's invocation
+	 * @param {Object|string|string[]} args - The subcommand's arguments
+	 * @param {boolean} fromPattern - Whether the args are pattern matches
+	 * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
+	 * @return {Promise<*>}
+	 */
+	async run(ctx, args, fromPattern, result) {
+		if(!this.runner) {
+			this.client.emit('warn', `This subcommand has no run function: ${this.path.join(' ')}`);
+			return null;
+		}
+		return this.runner.call(this.command, ctx, args, fromPattern, result);
+	}
+
+	/**
+	 * Creates the slash command option definition for the subcommand
+	 * @return {ApplicationCommandSubCommandData|ApplicationCommandSubGroupData}
+	 */
+	toSlashOption() {
+		const description = this.description.length > 100 ? `${this.description.slice(0, 97)}...` : this.description;
+		if(this.subcommands.size > 0) {
+			return {
+				type: 'SUB_COMMAND_GROUP',
+				name: this.name,
+				description,
+				options: this.subcommands.map(sub => sub.toSlashOption())
+			};
+		}
+		return {
+			type: 'SUB_COMMAND',
+			name: this.name,
+			description,
+			options: this.argsCollector ? this.argsCollector.args.map(arg => {
+				const option = arg.toSlashOption();
+				if(this.command.argsModal) option.required = false;
+				return option;
+			}) : []
+		};
+	}
+
+	/**
+	 * Validates the constructor parameters
+	 * @param {FrameCommand} command - Command to validate
+	 * @param {SubcommandInfo} info - Info to validate
+	 * @param {FrameCommand|FrameSubcommand} parent - Parent to validate
+	 * @private
+	 */
+	static validateInfo(command, info, parent) { // eslint-disable-line complexity
+		if(!command) throw new Error('A subcommand must belong to a command.');
+		if(typeof info !== 'object') throw new TypeError('Subcommand info must be an Object.');
+		if(typeof info.name !== 'string') throw new TypeError('Subcommand name must be a string.');
+		if(info.name !== info.name.toLowerCase()) throw new Error('Subcommand name must be lowercase.');
+		if(/\s/.test(info.name)) throw new Error('Subcommand name must not contain whitespace.');
+		if(typeof info.description !== 'string') throw new TypeError('Subcommand description must be a string.');
+		if(info.format && typeof info.format !== 'string') throw new TypeError('Subcommand format must be a string.');
+		if(info.args && !Array.isArray(info.args)) throw new TypeError('Subcommand args must be an Array.');
+		if(info.args && command.slash) Argument.validateSlashKeys(info.args, 'Subcommand');
+		if(command.argsModal && info.args && info.args.length > 5) {
+			throw new RangeError('Subcommands of commands with argsModal may not have more than 5 args.');
+		}
+		if(info.run && typeof info.run !== 'function') throw new TypeError('Subcommand run must be a function.');
+		if(info.subcommands) {
+			if(!Array.isArray(info.subcommands)) throw new TypeError('Subcommand subcommands must be an Array.');
+			if(parent instanceof FrameSubcommand) throw new Error('Subcommand groups may not be nested.');
+			if(info.args || info.run) throw new Error('Subcommand groups may not have args or a run function.');
+		}
+		for(const key of ['userPermissions', 'clientPermissions']) {
+			if(!info[key]) continue;
+			if(!Array.isArray(info[key])) {
+				throw new TypeError(`Subcommand ${key} must be an Array of permission key strings.`);
+			}
+			for(const perm of info[key]) {
+				if(!permissions[perm]) throw new RangeError(`Invalid subcommand ${key.slice(0, -1)}: ${perm}`);
+			}
+		}
+	}
+}
+
+module.exports = FrameSubcommand;
@@ -0,0 +1,164 @@
+const http = require('http');
+const https = require('https');
+const { oneLine } = require('common-tags');
+const Command = require('../command');
+
+/**
+ * Largest settings file that can be imported (in bytes)
+ * @type {number}
+ * @private
+ */
+const maxFileSize = 8 * 1024 * 1024;
+
+/**
+ * How long downloading a settings file may take (in milliseconds)
+ * @type {number}
+ * @private
+ */
+const downloadTimeout = 30000;
+
+module.exports = class BackupCommand extends Command {
+  constructor(client) {
+    super(client, {
+        name: 'backup',
+        group: 'util',
+        memberName: 'backup',
+        description: 'Exports or restores the bot\'s settings.',
+        details: oneLine`
+            The export subcommand sends you the settings of every guild (or only of the specified guild) as a JSON file.
+            To restore them, use the import subcommand with the file attached. Imported settings replace the settings
+            of their guilds, users and channels, unless "merge" is specified.
+            Only the bot owner(s) may use this command.
+        `,
+        examples: ['backup export', 'backup export 123456789012345678', 'backup import', 'backup import merge'],
+        ownerOnly: true,
+        slash: false,
+
+        subcommands: [
+            {
+                name: 'export',
+                description: 'Sends you the settings as a JSON file.',
+                args: [
+                    {
+                        key: 'guild',
+                        label: 'guild ID',
+                        prompt: 'Which guild would you like to export the settings of?',
+                        type: 'string',
+                        default: ''
+                    }
+                ],
+                run(msg, args) {
+                    return this.export(msg, args.guild);
+                }
+            },
+            {
+                name: 'import',
+                description: 'Restores the settings from an attached JSON file.',
+                args: [
+                    {
+                        key: 'mode',
+                        prompt: 'Would you like to replace or merge the existing settings?',
+                        type: 'string',
+                        oneOf: ['replace', 'merge'],
+                        default: 'replace'
+                    }
+                ],
+                run(msg, args) {
+                    return this.import(msg, args.mode === 'merge');
+                }
+            }
+        ]
+    });
+  }
+
+  /**
+   * Sends the exported settings to the user
+   * @param {CommandContext} msg - The context of the command
+   * @param {string} guild - ID of the guild to export the settings of, or an empty string for all settings
+   * @return {Promise<Message>}
+   * @private
+   */
+  async export(msg, guild) {
+    if(!this.client.provider) return msg.reply('There is no settings provider to export settings from.');
+    if(guild && !/^\d+$/.test(guild)) return msg.reply('Please specify the ID of a guild.');
+
+    const data = this.client.provider.export(guild || null);
+    const targets = Object.keys(data.settings).length;
+    const name = `settings-${guild || 'all'}-${data.exportedAt.slice(0, 10)}.json`;
+    try {
+        await msg.author.send({
+            content: `Here are the settings of ${targets} guild(s), user(s) and channel(s).`,
+            files: [{ attachment: Buffer.from(JSON.stringify(data, null, 2)), name }]
+        });
+    } catch(err) {
+        return msg.reply('Unable to send you the settings. You probably have direct messages disabled.');
+    }
+    if(!msg.guild) return null;
+    return msg.reply('Sent you a DM with the settings.');
+  }
+
+  /**
+   * Imports the settings from the JSON file attached to the command message
+   * @param {CommandContext} msg - The context of the command
+   * @param {boolean} merge - Whether to merge the imported settings with the existing ones
+   * @return {Promise<Message>}
+   * @private
+   */
+  async import(msg, merge) {
+    if(!this.client.provider) return msg.reply('There is no settings provider to import settings into.');
+    const attachment = msg.message ? msg.message.attachments.first() : null;
+    if(!attachment) return msg.reply('Please attach a settings file created with the export subcommand.');
+    if(attachment.size > maxFileSize) return msg.reply('The settings file is too large.');
+
+    let result;
+    try {
+        result = await this.client.provider.import(await this.constructor.download(attachment.url), { merge });
+    } catch(err) {
+        return msg.reply(`Unable to import the settings: ${err.message}`);
+    }
+    return msg.reply(oneLine`
+        ${merge ? 'Merged' : 'Imported'} ${result.settings} setting(s)
+        of ${result.targets} guild(s), user(s) and channel(s).
+    `);
+  }
+
+  /**
+   * Downloads a file, giving up if it is too large or takes too long
+   * @param {string} url - URL of the file
+   * @param {Object} [options] - Options for the download
+   * @param {number} [options.maxSize=8388608] - Largest size of the file (in bytes)
+   * @param {number} [options.timeout=30000] - How long the download may take (in milliseconds)
+   * @return {Promise<Buffer>}
+   * @private
+   */
+  static download(url, { maxSize = maxFileSize, timeout = downloadTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+        const fail = err => {
+            reject(err);
+            req.destroy();
+        };
+        const req = (url.startsWith('http:') ? http : https).get(url, res => {
+            res.on('error', reject);
+            if(res.statusCode !== 200) {
+                fail(new Error(`The file couldn't be downloaded (status ${res.statusCode}).`));
+                return;
+            }
+            if(Number(res.headers['content-length']) > maxSize) {
+                fail(new Error('The file is too large.'));
+                return;
+            }
+            const chunks = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if(size > maxSize) fail(new Error('The file is too large.'));
+                else chunks.push(chunk);
+            });
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+        });
+        const timer = setTimeout(() => fail(new Error('Downloading the file took too long.')), timeout);
+        req.on('error', reject);
+        req.on('close', () => clearTimeout(timer));
+    });
+  }
+};
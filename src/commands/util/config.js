@@ -0,0 +1,198 @@
+const { stripIndents, oneLine } = require('common-tags');
+const Command = require('../command');
+
+module.exports = class ConfigCommand extends Command {
+  constructor(client) {
+    const key = {
+        key: 'key',
+        prompt: 'Which setting would you like to view or change?',
+        type: 'string',
+        autocomplete: (partial, interaction) => interaction.client.registry.settings
+            .filter(setting => setting.key.includes(partial.toLowerCase()))
+            .map(setting => ({ name: setting.key, value: setting.key }))
+    };
+
+    super(client, {
+        name: 'config',
+        aliases: ['settings', 'setting'],
+        group: 'util',
+        memberName: 'config',
+        description: 'Lists, shows or changes the bot\'s settings.',
+        details: oneLine`
+            Values are validated with the type of the setting, so an invalid value is never saved.
+            Guild and channel settings may only be changed by administrators, global settings only by the bot owner(s),
+            and user and member settings are changed for yourself.
+        `,
+        examples: ['config list', 'config show volume', 'config set volume 40', 'config reset volume'],
+
+        subcommands: [
+            {
+                name: 'list',
+                description: 'Lists all settings with their current values.',
+                run(msg) {
+                    return this.list(msg);
+                }
+            },
+            {
+                name: 'show',
+                description: 'Shows the current value of a setting.',
+                args: [key],
+                run(msg, args) {
+                    return this.show(msg, args.key);
+                }
+            },
+            {
+                name: 'set',
+                description: 'Changes the value of a setting.',
+                args: [key, { key: 'value', prompt: 'What would you like to set the setting to?', type: 'string' }],
+                run(msg, args) {
+                    return this.change(msg, args.key, args.value);
+                }
+            },
+            {
+                name: 'reset',
+                description: 'Resets a setting to its default.',
+                args: [key],
+                run(msg, args) {
+                    return this.change(msg, args.key);
+                }
+            }
+        ]
+    });
+  }
+
+  /**
+   * Lists all settings with their current values
+   * @param {CommandContext} msg - The context of the command
+   * @return {Promise<Message>}
+   * @private
+   */
+  list(msg) {
+    if(!this.client.provider) return msg.reply('There is no settings provider to store settings with.');
+    const { settings } = this.client.registry;
+    if(settings.size === 0) return msg.reply('There are no settings to configure.');
+    return msg.reply(stripIndents`
+        __**Settings**__
+        ${settings.filter(setting => setting.scope !== 'member' || msg.guild).map(setting => oneLine`
+            **${setting.key}** (${setting.scope}): ${this.format(this.getValue(msg, setting))}
+            ${setting.description ? `- ${setting.description}` : ''}
+        `).join('\n')}
+    `);
+  }
+
+  /**
+   * Shows the current value of a setting
+   * @param {CommandContext} msg - The context of the command
+   * @param {string} key - Key of the setting
+   * @return {Promise<Message>}
+   * @private
+   */
+  show(msg, key) {
+    const setting = this.find(msg, key);
+    if(typeof setting === 'string') return msg.reply(setting);
+    return msg.reply(stripIndents`
+        The \`${setting.key}\` setting is ${this.format(this.getValue(msg, setting))}.
+        ${setting.description || ''}
+    `);
+  }
+
+  /**
+   * Sets or resets a setting
+   * @param {CommandContext} msg - The context of the command
+   * @param {string} key - Key of the setting
+   * @param {string} [value] - Value to set the setting to (resets the setting if not specified)
+   * @return {Promise<Message>}
+   * @private
+   */
+  async change(msg, key, value) {
+    const setting = this.find(msg, key);
+    if(typeof setting === 'string') return msg.reply(setting);
+
+    // Check the user's permission before changing anything
+    const denied = this.checkChange(msg, setting);
+    if(denied) return msg.reply(denied);
+
+    const target = this.target(msg, setting);
+    if(typeof value === 'undefined') {
+        await this.client.provider.remove(target, setting.key);
+        return msg.reply(`Reset the \`${setting.key}\` setting to ${this.format(setting.default)}.`);
+    }
+
+    // The provider validates the value, and invalid values are reported to the user by the SettingValueError it throws
+    const stored = await this.client.provider.set(target, setting.key, value);
+    return msg.reply(`Set the \`${setting.key}\` setting to ${this.format(stored)}.`);
+  }
+
+  /**
+   * Finds the setting that a command is about
+   * @param {CommandContext} msg - The context of the command
+   * @param {string} key - Key of the setting
+   * @return {FrameSetting|string} The setting, or why it can't be used
+   * @private
+   */
+  find(msg, key) {
+    if(!this.client.provider) return 'There is no settings provider to store settings with.';
+    const { settings } = this.client.registry;
+    const setting = settings.get(key.toLowerCase()) || settings.get(key);
+    if(!setting) return `There is no setting with the key \`${key}\`.`;
+    if(setting.scope === 'member' && !msg.guild) return `The \`${setting.key}\` setting can only be used in a server.`;
+    return setting;
+  }
+
+  /**
+   * Gets what a setting is stored for in the context of a command
+   * @param {CommandContext} msg - The context of the command
+   * @param {FrameSetting} setting - The setting
+   * @return {SettingTarget}
+   * @private
+   */
+  target(msg, setting) {
+    switch(setting.scope) {
+        case 'user': return msg.author;
+        case 'member': return { guild: msg.guild, user: msg.author };
+        case 'channel': return msg.channel;
+        case 'guild': return msg.guild || 'global';
+        default: return 'global';
+    }
+  }
+
+  /**
+   * Gets the current value of a setting in the context of a command
+   * @param {CommandContext} msg - The context of the command
+   * @param {FrameSetting} setting - The setting
+   * @return {*}
+   * @private
+   */
+  getValue(msg, setting) {
+    return this.client.provider.get(this.target(msg, setting), setting.key);
+  }
+
+  /**
+   * Checks whether the user may change a setting
+   * @param {CommandContext} msg - The context of the command
+   * @param {FrameSetting} setting - The setting
+   * @return {?string} Why the user may not change the setting, if they may not
+   * @private
+   */
+  checkChange(msg, setting) {
+    if(this.client.isOwner(msg.author) || setting.scope === 'user' || setting.scope === 'member') return null;
+    if(setting.scope === 'global' || !msg.guild) {
+        return `Only the bot owner(s) may change the global \`${setting.key}\` setting.`;
+    }
+    if(!msg.member.permissions.has('ADMINISTRATOR')) {
+        return `Only administrators may change the \`${setting.key}\` setting.`;
+    }
+    return null;
+  }
+
+  /**
+   * Formats a setting value to be shown to the user
+   * @param {*} value - The value
+   * @return {string}
+   * @private
+   */
+  format(value) {
+    if(typeof value === 'undefined' || value === null) return 'not set';
+    return `\`\`${typeof value === 'string' ? value : JSON.stringify(value)}\`\``;
+  }
+};
@@ -1,8 +1,8 @@
-const { Command } = require('djsframe');
+const Command = require('../command');
 const { stripIndents, oneLine } = require('common-tags');
-const { disambiguation } = require('../../util');
+const { disambiguation, isGuildChannel } = require('../../util');
 
-module.exports = class DemoCommand extends Command {
+module.exports = class HelpCommand extends Command {
   constructor(client) {
     super(client, {
         name: 'help',
@@ -49,11 +49,14 @@ module.exports = class DemoCommand extends Command {
             `}`;
             if(commands[0].details) help += `\n**Details:** ${commands[0].details}`;
             if(commands[0].examples) help += `\n**Examples:**\n${commands[0].examples.join('\n')}`;
+            if(commands[0].subcommands.size > 0) {
+                help += `\n**Subcommands:**\n${listSubcommands(commands[0].subcommands, msg)}`;
+            }
 
             const messages = [];
             try {
                 messages.push(await msg.direct(help));
-                if(msg.channel.type !== 'dm') messages.push(await msg.reply('Sent you a DM with information.'));
+                if(isGuildChannel(msg.channel)) messages.push(await msg.reply('Sent you a DM with information.'));
             } catch(err) {
                 messages.push(await msg.reply('Unable to send you the help DM. You probably have DMs disabled.'));
             }
@@ -65,7 +68,7 @@ module.exports = class DemoCommand extends Command {
         } else {
             return msg.reply(
                 `Unable to identify command. Use ${msg.usage(
-                    null, msg.channel.type === 'dm' ? null : undefined, msg.channel.type === 'dm' ? null : undefined
+                    null, isGuildChannel(msg.channel) ? undefined : null, isGuildChannel(msg.channel) ? undefined : null
                 )} to view the list of all commands.`
             );
         }
@@ -91,11 +94,18 @@ module.exports = class DemoCommand extends Command {
                     `).join('\n\n')
                 }
             `, { split: true }));
-            if(msg.channel.type !== 'dm') messages.push(await msg.reply('Sent you a DM with information.'));
+            if(isGuildChannel(msg.channel)) messages.push(await msg.reply('Sent you a DM with information.'));
         } catch(err) {
             messages.push(await msg.reply('Unable to send you the help DM. You probably have DMs disabled.'));
         }
         return messages;
     }
   }
-}
\ No newline at end of file
+}
+
+function listSubcommands(subcommands, msg) {
+    return subcommands.map(sub => {
+        if(sub.subcommands.size > 0) return listSubcommands(sub.subcommands, msg);
+        return `${msg.anyUsage(`${sub.path.join(' ')}${sub.format ? ` ${sub.format}` : ''}`)}: ${sub.description}`;
+    }).join('\n');
+}
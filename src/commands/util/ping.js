@@ -0,0 +1,27 @@
+const { oneLine } = require('common-tags');
+const Command = require('../command');
+
+module.exports = class PingCommand extends Command {
+  constructor(client) {
+    super(client, {
+        name: 'ping',
+        group: 'util',
+        memberName: 'ping',
+        description: 'Checks the bot\'s ping to the Discord server.',
+        throttling: {
+            usages: 5,
+            duration: 10
+        }
+    });
+  }
+
+  async run(msg) {
+    const pingMsg = await msg.reply({ content: 'Pinging...', fetchReply: true });
+    const sent = msg.source.editedTimestamp || msg.source.createdTimestamp;
+    const content = oneLine`
+        Pong! The message round-trip took ${(pingMsg.editedTimestamp || pingMsg.createdTimestamp) - sent}ms.
+        ${this.client.ws.ping ? `The heartbeat ping is ${Math.round(this.client.ws.ping)}ms.` : ''}
+    `;
+    return msg.isInteraction() ? msg.interaction.editReply(content) : pingMsg.edit(content);
+  }
+};
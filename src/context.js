@@ -0,0 +1,589 @@
+const { Message } = require('discord.js');
+const { oneLine } = require('common-tags');
+const FriendlyError = require('./errors/friendly');
+const CommandFormatError = require('./errors/command-format');
+const { isGuildChannel, missingPermissions } = require('./util');
+
+/**
+ * A single invocation of a command, wrapping either the command message or the interaction
+ * that triggered it, so commands can respond in the same way no matter how they were used
+ */
+class CommandContext {
+	/**
+	 * @param {FrameCommand} command - Command that is being invoked
+	 * @param {FrameMessage|Interaction} source - Message or interaction that triggered the command
+	 */
+	constructor(command, source) {
+		/**
+		 * Client that the command is being invoked on
+		 * @name CommandContext#client
+		 * @type {FrameClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: source.client });
+
+		/**
+		 * Command that is being invoked
+		 * @type {FrameCommand}
+		 */
+		this.command = command;
+
+		/**
+		 * Message or interaction that triggered the command
+		 * @type {FrameMessage|Interaction}
+		 */
+		this.source = source;
+
+		/**
+		 * Command message that triggered the command, if it was used with a prefix or mention
+		 * @type {?FrameMessage}
+		 */
+		this.message = source instanceof Message ? source : null;
+
+		/**
+		 * Interaction that triggered the command, if it was used as a slash command or from a component
+		 * @type {?CommandInteraction|?MessageComponentInteraction}
+		 */
+		this.interaction = this.message ? null : source;
+
+		/**
+		 * Subcommand that is being invoked, if any
+		 * @type {?FrameSubcommand}
+		 */
+		this.subcommand = null;
+		if(this.message) this.subcommand = source.subcommand;
+		else if(source.isCommand()) this.subcommand = command.resolveSubcommand(command.constructor.subcommandPath(source));
+
+		/**
+		 * Final values of the command's arguments (set once they have been obtained)
+		 * @type {?Object|string|string[]}
+		 */
+		this.args = null;
+
+		/**
+		 * States of the command's throttling buckets for this usage, if it is throttled
+		 * (set once the command has been checked)
+		 * @type {?Throttle[]}
+		 * @private
+		 */
+		this.throttle = null;
+
+		/**
+		 * Function that finishes the run reserved for this usage (see {@link FrameCommand#concurrency}),
+		 * set once the command has been checked
+		 * @type {?Function}
+		 * @private
+		 */
+		this.finishRun = null;
+	}
+
+	/**
+	 * User that invoked the command
+	 * @type {User}
+	 * @readonly
+	 */
+	get author() {
+		return this.message ? this.message.author : this.interaction.user;
+	}
+
+	/**
+	 * Member that invoked the command, if it was used in a guild
+	 * @type {?GuildMember}
+	 * @readonly
+	 */
+	get member() {
+		return this.source.member || null;
+	}
+
+	/**
+	 * Guild the command was used in
+	 * @type {?Guild}
+	 * @readonly
+	 */
+	get guild() {
+		return this.source.guild || null;
+	}
+
+	/**
+	 * Channel the command was used in
+	 * @type {?TextBasedChannels}
+	 * @readonly
+	 */
+	get channel() {
+		return this.source.channel || null;
+	}
+
+	/**
+	 * Argument string for the command (only for command messages)
+	 * @type {?string}
+	 * @readonly
+	 */
+	get argString() {
+		return this.message ? this.message.argString : null;
+	}
+
+	/**
+	 * Whether the command was invoked from an interaction
+	 * @return {boolean}
+	 */
+	isInteraction() {
+		return Boolean(this.interaction);
+	}
+
+	/**
+	 * Responds with a reply. For interactions this replies to the interaction, edits the deferred reply,
+	 * or follows up if a reply was already sent.
+	 * @param {string|MessageOptions|InteractionReplyOptions} content - Content for the reply
+	 * @param {MessageOptions|InteractionReplyOptions} [options] - Options for the reply
+	 * @return {Promise<?Message|?Message[]>}
+	 */
+	reply(content, options) {
+		if(this.message) return this.message.reply(content, options);
+		const data = resolveReplyOptions(content, options);
+		if(this.interaction.replied) return this.interaction.followUp(data);
+		if(this.interaction.deferred) return this.interaction.editReply(data);
+		return this.interaction.reply(data);
+	}
+
+	/**
+	 * Responds with a plain message. For interactions this is the same as {@link CommandContext#reply}.
+	 * @param {string|MessageOptions|InteractionReplyOptions} content - Content for the message
+	 * @param {MessageOptions|InteractionReplyOptions} [options] - Options for the message
+	 * @return {Promise<?Message|?Message[]>}
+	 */
+	say(content, options) {
+		if(this.message) return this.message.say(content, options);
+		return this.reply(content, options);
+	}
+
+	/**
+	 * Responds with a direct message to the user that invoked the command
+	 * @param {string|MessageOptions} content - Content for the message
+	 * @param {MessageOptions} [options] - Options for the message
+	 * @return {Promise<Message|Message[]>}
+	 */
+	direct(content, options) {
+		if(this.message) return this.message.direct(content, options);
+		return this.author.send(resolveReplyOptions(content, options));
+	}
+
+	/**
+	 * Acknowledges the command for a longer running response. For interactions this defers the reply,
+	 * for messages this shows the typing indicator in the channel.
+	 * @param {InteractionDeferReplyOptions} [options] - Options for deferring the interaction's reply
+	 * @return {Promise<void>}
+	 */
+	async defer(options) {
+		if(this.message) {
+			await this.channel.sendTyping();
+			return;
+		}
+		if(!this.interaction.deferred && !this.interaction.replied) await this.interaction.deferReply(options);
+	}
+
+	/**
+	 * Sends an additional response after the first one
+	 * @param {string|MessageOptions|InteractionReplyOptions} content - Content for the message
+	 * @param {MessageOptions|InteractionReplyOptions} [options] - Options for the message
+	 * @return {Promise<Message|Message[]>}
+	 */
+	followUp(content, options) {
+		if(this.message) return this.channel.send(resolveReplyOptions(content, options));
+		if(!this.interaction.replied && !this.interaction.deferred) return this.reply(content, options);
+		return this.interaction.followUp(resolveReplyOptions(content, options));
+	}
+
+	/**
+	 * Creates a usage string for the invoked command
+	 * @param {string} [argString] - A string of arguments for the command
+	 * @return {string}
+	 * @see {@link FrameMessage#usage}
+	 */
+	usage(argString) {
+		if(this.message) return this.message.usage(argString);
+		return this.anyUsage(`${this.command.name}${argString ? ` ${argString}` : ''}`);
+	}
+
+	/**
+	 * Creates a usage string for any command
+	 * @param {string} [command] - A command + arg string
+	 * @param {string} [prefix] - Prefix to use for the prefixed command format (only for command messages)
+	 * @param {User} [user] - User to use for the mention command format (only for command messages)
+	 * @return {string}
+	 * @see {@link FrameMessage#anyUsage}
+	 */
+	anyUsage(command, prefix, user) {
+		if(this.message) return this.message.anyUsage(command, prefix, user);
+		return `\`/${command.replace(/ /g, '\xa0')}\``;
+	}
+
+	/**
+	 * Runs the command after making sure it can be used in this context
+	 * @return {Promise<?Message|?Array<Message>>}
+	 */
+	async run() {
+		const block = await this.check();
+		if(block) return block.response;
+		try {
+			return await this.runCommand();
+		} finally {
+			this.finishRun();
+		}
+	}
+
+	/**
+	 * Obtains the arguments and runs the command, once it has been checked
+	 * @return {Promise<?Message|?Array<Message>>}
+	 * @private
+	 */
+	async runCommand() {
+		const { command, source } = this;
+
+		// Commands and subcommand groups with subcommands can only be run through one of them
+		const parent = this.subcommand || command;
+		if(parent.subcommands.size > 0) {
+			// Like a cancelled usage, this doesn't count towards the throttling
+			if(this.throttle) await command.releaseThrottle(this.throttle);
+			const path = this.subcommand ? this.subcommand.path.join(' ') : command.name;
+			return this.reply(oneLine`
+				Please specify one of the subcommands of ${this.anyUsage(path)}:
+				${parent.subcommands.map(sub => `\`${sub.name}\``).join(', ')}.
+			`);
+		}
+
+		let collResult = null;
+		const fromPattern = Boolean(this.message && this.message.patternMatches);
+		try {
+			// Figure out the command arguments
+			collResult = this.interaction ? await this.obtainInteractionArgs() : await this.obtainMessageArgs();
+			if(collResult && collResult.cancelled) {
+				// A cancelled usage doesn't count towards the throttling
+				if(this.throttle) await command.releaseThrottle(this.throttle);
+				return this.cancel(collResult);
+			}
+
+			// Run the command
+			const args = this.args;
+			this.client.emit('debug', `Running command ${command.groupID}:${command.memberName}.`);
+			let promise;
+			if(this.subcommand) promise = this.subcommand.run(this, args, fromPattern, collResult);
+			else if(this.interaction) promise = command.runSlash(this, args);
+			else promise = command.run(this, args, fromPattern, collResult);
+
+			/**
+			 * Emitted when running a command
+			 * @event FrameClient#commandRun
+			 * @param {FrameCommand} command - Command that is being run
+			 * @param {Promise} promise - Promise for the command result
+			 * @param {FrameMessage|CommandInteraction} message - Message or interaction that the command is running from
+			 * @param {Object|string|string[]} args - Arguments for the command (see {@link FrameCommand#run})
+			 * @param {boolean} fromPattern - Whether the args are pattern matches (see {@link FrameCommand#run})
+			 * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
+			 * (if applicable - see {@link FrameCommand#run})
+			 */
+			this.client.emit('commandRun', command, promise, source, args, fromPattern, collResult);
+			const retVal = await promise;
+			if(this.message &&
+				!(retVal instanceof Message || retVal instanceof Array || retVal === null || retVal === undefined)) {
+				throw new TypeError(oneLine`
+					Command ${command.name}'s run() resolved with an unknown type
+					(${retVal !== null ? retVal && retVal.constructor ? retVal.constructor.name : typeof retVal : null}).
+					Command run methods must return a Promise that resolve with a Message, Array of Messages, or null/undefined.
+				`);
+			}
+			return retVal;
+		} catch(err) {
+			return this.error(err, this.args, fromPattern, collResult);
+		}
+	}
+
+	/**
+	 * Runs the command from its context menu command after making sure it can be used in this context
+	 * @return {Promise<*>}
+	 * @see {@link FrameCommand#runContextMenu}
+	 */
+	async runContextMenu() {
+		const { command, interaction } = this;
+		const block = await this.check();
+		if(block) return block.response;
+
+		const target = interaction.targetType === 'MESSAGE' ?
+			interaction.options.getMessage('message') :
+			interaction.options.getMember('user') || interaction.options.getUser('user');
+		this.args = { target };
+		try {
+			this.client.emit('debug', `Running context menu of command ${command.groupID}:${command.memberName}.`);
+			const promise = command.runContextMenu(this, target);
+			this.client.emit('commandRun', command, promise, interaction, this.args, false, null);
+			return await promise;
+		} catch(err) {
+			return this.error(err, this.args, false, null);
+		} finally {
+			this.finishRun();
+		}
+	}
+
+	/**
+	 * Runs the command's handler for a button or select menu interaction after making sure it can be used
+	 * in this context. Clicks aren't usages of the command, so they aren't throttled or limited by its concurrency.
+	 * @param {?string} payload - State payload that was encoded in the component's custom ID
+	 * @return {Promise<*>}
+	 * @see {@link FrameCommand#customId}
+	 */
+	async runComponent(payload) {
+		const { command, interaction } = this;
+		const block = await this.check(false);
+		if(block) return block.response;
+
+		this.args = payload;
+		try {
+			this.client.emit('debug', `Running component handler of command ${command.groupID}:${command.memberName}.`);
+			const promise = interaction.isButton() ?
+				command.button(this, payload) :
+				command.selectMenu(this, interaction.values, payload);
+
+			/**
+			 * Emitted when running a command's button or select menu handler
+			 * @event FrameClient#componentRun
+			 * @param {FrameCommand} command - Command that owns the component
+			 * @param {Promise} promise - Promise for the handler's result
+			 * @param {ButtonInteraction|SelectMenuInteraction} interaction - Interaction the handler is running from
+			 * @param {?string} payload - State payload that was encoded in the component's custom ID
+			 */
+			this.client.emit('componentRun', command, promise, interaction, payload);
+			return await promise;
+		} catch(err) {
+			return this.error(err, payload, false, null);
+		}
+	}
+
+	/**
+	 * Makes sure the command can be used in this context, responding to the user if it can't
+	 * @return {Promise<?Object>} `null` if the command can be used, otherwise an object with the `reason`
+	 * the command was blocked for and the `response` to the user
+	 * @param {boolean} [usage=true] - Whether this is a usage of the command, which is throttled and limited by the
+	 * command's concurrency
+	 * @private
+	 */
+	async check(usage = true) { // eslint-disable-line complexity
+		const { command } = this;
+
+		if(this.guild && isGuildChannel(this.channel)) {
+			// Obtain the member if we don't have it
+			if(!this.guild.members.cache.has(this.author.id) && !(this.message && this.message.webhookId)) {
+				await this.guild.members.fetch(this.author);
+			}
+
+			// Obtain the member for the ClientUser if it doesn't already exist
+			if(!this.guild.members.cache.has(this.client.user.id)) await this.guild.members.fetch(this.client.user.id);
+
+			// Obtain the parent of a thread, which the permissions in the thread are resolved from
+			if(this.channel.isThread() && !this.channel.parent && this.channel.parentId) {
+				await this.guild.channels.fetch(this.channel.parentId);
+			}
+		}
+
+		// Make sure the command is usable in this context
+		if(command.guildOnly && !this.guild) return this.block('guildOnly');
+
+		// Ensure the channel is a NSFW one if required
+		if(command.nsfw && !(this.channel && this.channel.nsfw)) return this.block('nsfw');
+
+		// Ensure the user has permission to use the command
+		const hasPermission = (this.subcommand || command).hasPermission(this);
+		if(!hasPermission || typeof hasPermission === 'string') {
+			return this.block('permission', { response: typeof hasPermission === 'string' ? hasPermission : undefined });
+		}
+
+		// Ensure the client user has the required permissions
+		const clientPermissions = [];
+		for(let cmd = this.subcommand || command; cmd; cmd = cmd.parent) {
+			if(cmd.clientPermissions) clientPermissions.push(...cmd.clientPermissions);
+		}
+		const missing = missingPermissions(this.channel, this.client.user, clientPermissions);
+		if(missing.length > 0) return this.block('clientPermissions', { missing });
+		if(!usage) return null;
+
+		// Throttle the command
+		const throttles = await command.throttle(this);
+		if(throttles) {
+			// Report the bucket that will stay full for the longest
+			const throttle = throttles.filter(throt => throt.remaining > 0).sort((a, b) => b.remaining - a.remaining)[0];
+			if(throttle) {
+				return this.block('throttling', { throttle, bucket: throttle.bucket, remaining: throttle.remaining / 1000 });
+			}
+		}
+
+		// Limit how many times the command runs at once
+		let finishRun;
+		try {
+			finishRun = await command.startRun(this);
+		} catch(err) {
+			if(throttles) await command.releaseThrottle(throttles);
+			throw err;
+		}
+		if(!finishRun) {
+			if(throttles) await command.releaseThrottle(throttles);
+			return this.block('concurrency', { limit: command.concurrency.limit, scope: command.concurrency.scope });
+		}
+
+		this.throttle = throttles;
+		this.finishRun = finishRun;
+		return null;
+	}
+
+	/**
+	 * Blocks the command from running
+	 * @param {string} reason - Reason that the command is blocked
+	 * @param {Object} [data] - Additional data associated with the block
+	 * @return {Object} The `reason` and the `response` to the user
+	 * @private
+	 */
+	block(reason, data) {
+		/**
+		 * Emitted when a command is prevented from running
+		 * @event FrameClient#commandBlock
+		 * @param {FrameMessage|Interaction} message - Message or interaction that the command is running from
+		 * @param {string} reason - Reason that the command was blocked
+		 * (built-in reasons are `guildOnly`, `nsfw`, `permission`, `throttling`, `concurrency`, and `clientPermissions`)
+		 * @param {Object} [data] - Additional data associated with the block. Built-in reason data properties:
+		 * - guildOnly: none
+		 * - nsfw: none
+		 * - permission: `response` ({@link string}) to send
+		 * - throttling: `throttle` ({@link Throttle}), `bucket` ({@link ThrottleBucket}) that is full,
+		 * `remaining` ({@link number}) time in seconds
+		 * - concurrency: `limit` ({@link number}) of runs at once, `scope` ({@link string}) they are counted in
+		 * - clientPermissions: `missing` ({@link Array}<{@link string}>) permission names
+		 */
+		this.client.emit('commandBlock', this.source, reason, data);
+		return { reason, response: this.command.onBlock(this, reason, data) };
+	}
+
+	/**
+	 * Handles an error thrown while running the command
+	 * @param {Error} err - Error that was thrown
+	 * @param {*} args - Arguments the command was run with
+	 * @param {boolean} fromPattern - Whether the args are pattern matches
+	 * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
+	 * @return {Promise<?Message|?Array<Message>>}
+	 * @private
+	 */
+	error(err, args, fromPattern, result) {
+		/**
+		 * Emitted when a command produces an error while running
+		 * @event FrameClient#commandError
+		 * @param {FrameCommand} command - Command that produced an error
+		 * @param {Error} err - Error that was thrown
+		 * @param {FrameMessage|Interaction} message - Message or interaction that the command is running from
+		 * @param {Object|string|string[]} args - Arguments for the command (see {@link FrameCommand#run})
+		 * @param {boolean} fromPattern - Whether the args are pattern matches (see {@link FrameCommand#run})
+		 * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
+		 * (if applicable - see {@link FrameCommand#run})
+		 */
+		this.client.emit('commandError', this.command, err, this.source, args, fromPattern, result);
+		if(err instanceof FriendlyError) return this.reply(err.message);
+		return this.command.onError(err, this, args, fromPattern, result);
+	}
+
+	/**
+	 * Obtains the arguments for a command message, prompting the user for them if necessary
+	 * @return {Promise<?ArgumentCollectorResult>}
+	 * @private
+	 */
+	async obtainMessageArgs() {
+		const { command, message } = this;
+		const collector = (this.subcommand || command).argsCollector;
+		let collResult = null;
+		this.args = message.patternMatches;
+		if(!this.args && collector) {
+			const collArgs = collector.args;
+			const count = collArgs[collArgs.length - 1].infinite ? Infinity : collArgs.length;
+			const provided = message.constructor.parseArgs(message.argString.trim(), count, command.argsSingleQuotes);
+
+			collResult = await collector.obtain(message, provided);
+			if(collResult.cancelled) return collResult;
+			this.args = collResult.values;
+		}
+		if(!this.args) this.args = message.parseArgs();
+		return collResult;
+	}
+
+	/**
+	 * Validates and parses the arguments from a slash command's options
+	 * @return {Promise<?ArgumentInteractionResult>}
+	 * @private
+	 */
+	async obtainInteractionArgs() {
+		const { command, interaction } = this;
+		const collector = (this.subcommand || command).argsCollector;
+		this.args = {};
+		if(!collector) return null;
+
+		if(command.argsModal) return this.obtainModal(collector, collector.interactionValues(interaction));
+		const result = await collector.parseInteraction(interaction);
+		if(!result.cancelled) this.args = result.values;
+		return result;
+	}
+
+	/**
+	 * Obtains argument values with a modal, switching the context over to the modal submission so that
+	 * further replies respond to it. Only usable for interactions that haven't been replied to yet.
+	 * @param {ArgumentCollector} [collector] - Collector to obtain the arguments with
+	 * (defaults to the one of the subcommand or command being invoked)
+	 * @param {Object} [provided={}] - Raw values that are already available, mapped by the arguments' keys
+	 * @param {Object} [options] - Options for the modal (see {@link ArgumentCollector#obtainModal})
+	 * @return {Promise<ArgumentModalResult>}
+	 */
+	async obtainModal(collector = (this.subcommand || this.command).argsCollector, provided = {}, options = {}) {
+		if(!this.interaction) throw new Error('Modals can only be shown for interactions.');
+		const result = await collector.obtainModal(this.interaction, provided, { title: this.command.name, ...options });
+		if(result.interaction) this.interaction = result.interaction;
+		if(!result.cancelled) this.args = result.values;
+		return result;
+	}
+
+	/**
+	 * Responds to the command being cancelled while obtaining its arguments
+	 * @param {ArgumentCollectorResult|ArgumentInteractionResult|ArgumentModalResult} result - Result from
+	 * obtaining the arguments
+	 * @return {Promise<?Message|?Array<Message>>}
+	 * @private
+	 */
+	cancel(result) {
+		/**
+		 * Emitted when a command is cancelled (either by typing 'cancel', not responding in time,
+		 * or providing an invalid slash command option)
+		 * @event FrameClient#commandCancel
+		 * @param {FrameCommand} command - Command that was cancelled
+		 * @param {string} reason - Reason for the command being cancelled
+		 * @param {FrameMessage|CommandInteraction} message - Message or interaction that the command ran from
+		 * @param {?ArgumentCollectorResult|?ArgumentInteractionResult|?ArgumentModalResult} result - Result from
+		 * obtaining the arguments
+		 * from the collector (if applicable - see {@link FrameCommand#run})
+		 */
+		this.client.emit('commandCancel', this.command, result.cancelled, this.source, result);
+
+		if(this.interaction) {
+			// Modal cancellations have already been responded to, or have nothing left to respond to
+			if(result.cancelled !== 'invalid') return null;
+			return this.reply({
+				content: result.response || oneLine`
+					You provided an invalid ${result.invalid.label}.
+					Please check the options of the \`${this.command.name}\` command and try again.
+				`,
+				ephemeral: true
+			});
+		}
+		if(result.prompts.length === 0 || result.cancelled === 'promptLimit') {
+			return this.reply(new CommandFormatError(this.message).message);
+		}
+		return this.reply('Cancelled command.');
+	}
+}
+
+function resolveReplyOptions(content, options) {
+	if(typeof content === 'object' && content !== null) return { ...content, ...options };
+	return { ...options, content };
+}
+
+module.exports = CommandContext;
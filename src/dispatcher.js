@@ -1,5 +1,7 @@
 const { escapeRegex } = require('./util');
 const isPromise = require('is-promise');
+const CommandContext = require('./context');
+const FrameCommand = require('./commands/command');
 
 /** Handles parsing messages and running commands from them */
 class CommandDispatcher {
@@ -59,7 +61,7 @@ class CommandDispatcher {
 	/**
 	 * A function that decides whether the usage of a command should be blocked
 	 * @callback Inhibitor
-	 * @param {CommandoMessage} msg - Message triggering the command
+	 * @param {CommandoMessage|CommandInteraction} msg - Message or slash command interaction triggering the command
 	 * @return {boolean|string|Inhibition} `false` if the command should *not* be blocked.
 	 * If the command *should* be blocked, then one of the following:
 	 * - A single string identifying the reason the command is blocked
@@ -163,6 +165,116 @@ class CommandDispatcher {
 		/* eslint-enable max-depth */
 	}
 
+	/**
+	 * Handle a new interaction
+	 * @param {Interaction} interaction - The interaction to handle
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async handleInteraction(interaction) {
+		if(interaction.isButton() || interaction.isSelectMenu()) {
+			await this.handleComponent(interaction);
+			return;
+		}
+		if(interaction.isAutocomplete()) {
+			await this.handleAutocomplete(interaction);
+			return;
+		}
+		if(interaction.isContextMenu()) {
+			await this.handleContextMenu(interaction);
+			return;
+		}
+		if(!interaction.isCommand()) return;
+
+		const command = this.registry.commands.get(interaction.commandName);
+		if(!command || !command.slash) {
+			this.client.emit('unknownCommand', interaction);
+			return;
+		}
+
+		const inhibited = this.inhibit(interaction);
+		if(inhibited) {
+			await inhibited.response;
+			return;
+		}
+		if(!command.isEnabledIn(interaction.guild)) {
+			await interaction.reply({ content: `The \`${command.name}\` command is disabled.`, ephemeral: true });
+			return;
+		}
+		await new CommandContext(command, interaction).run();
+	}
+
+	/**
+	 * Handle a button or select menu interaction, routing it to the command encoded in its custom ID
+	 * @param {ButtonInteraction|SelectMenuInteraction} interaction - The interaction to handle
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async handleComponent(interaction) {
+		// Components with other custom IDs belong to collectors of their own
+		const parsed = FrameCommand.parseCustomId(interaction.customId);
+		const command = parsed ? this.registry.commands.get(parsed.command) : null;
+		if(!command) return;
+
+		const inhibited = this.inhibit(interaction);
+		if(inhibited) {
+			await inhibited.response;
+			return;
+		}
+		if(!command.isEnabledIn(interaction.guild)) {
+			await interaction.reply({ content: `The \`${command.name}\` command is disabled.`, ephemeral: true });
+			return;
+		}
+		await new CommandContext(command, interaction).runComponent(parsed.payload);
+	}
+
+	/**
+	 * Handle a context menu interaction, running the command that registered the context menu command
+	 * @param {ContextMenuInteraction} interaction - The interaction to handle
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async handleContextMenu(interaction) {
+		const command = this.registry.commands.find(cmd => cmd.contextMenu &&
+			cmd.contextMenu.type === interaction.targetType && cmd.contextMenu.name === interaction.commandName);
+		if(!command) {
+			this.client.emit('unknownCommand', interaction);
+			return;
+		}
+
+		const inhibited = this.inhibit(interaction);
+		if(inhibited) {
+			await inhibited.response;
+			return;
+		}
+		if(!command.isEnabledIn(interaction.guild)) {
+			await interaction.reply({ content: `The \`${command.name}\` command is disabled.`, ephemeral: true });
+			return;
+		}
+		await new CommandContext(command, interaction).runContextMenu();
+	}
+
+	/**
+	 * Handle an autocomplete interaction, responding with suggestions from the focused option's argument
+	 * @param {AutocompleteInteraction} interaction - The interaction to handle
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async handleAutocomplete(interaction) {
+		const command = this.registry.commands.get(interaction.commandName);
+		const target = command && (command.resolveSubcommand(FrameCommand.subcommandPath(interaction)) || command);
+		const focused = interaction.options.getFocused(true);
+		const arg = target && target.argsCollector ?
+			target.argsCollector.args.find(a => a.key.toLowerCase() === focused.name) :
+			null;
+		try {
+			await interaction.respond(arg ? await arg.autocomplete(String(focused.value), interaction) : []);
+		} catch(err) {
+			// The suggestions aren't worth crashing over (the interaction may also have expired already)
+			this.client.emit('error', err);
+		}
+	}
+
 	/**
 	 * Check whether a message should be handled
 	 * @param {Message} message - The message to handle
@@ -254,7 +366,7 @@ class CommandDispatcher {
 		}
 
 		// Find the command to run with default command handling
-		const prefix = message.guild ? this.client.provider.get(message.guild.id, 'prefix', this.client.options.commandPrefix) : this.client.commandPrefix;
+		const prefix = message.guild ? message.guild.commandPrefix : this.client.commandPrefix;
 		if(!this._commandPatterns[prefix]) this.buildCommandPattern(prefix);
 		let cmdMsg = this.matchDefault(message, this._commandPatterns[prefix], 2);
 		if(!cmdMsg && !message.guild) cmdMsg = this.matchDefault(message, /^([^\s]+)/i, 1, true);
@@ -278,7 +390,9 @@ class CommandDispatcher {
 			return message.initCommand(this.registry.unknownCommand, prefixless ? message.content : matches[1]);
 		}
 		const argString = message.content.substring(matches[1].length + (matches[2] ? matches[2].length : 0));
-		return message.initCommand(commands[0], argString);
+		if(commands[0].subcommands.size === 0) return message.initCommand(commands[0], argString);
+		const matched = commands[0].matchSubcommand(argString);
+		return message.initCommand(commands[0], matched.argString, null, matched.subcommand);
 	}
 
 	/**
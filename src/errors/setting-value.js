@@ -0,0 +1,31 @@
+const FriendlyError = require('./friendly');
+
+/**
+ * Has a descriptive message for a value that isn't valid for a registered setting
+ * @extends {FriendlyError}
+ */
+class SettingValueError extends FriendlyError {
+	/**
+	 * @param {FrameSetting} setting - The setting the value is for
+	 * @param {*} value - The invalid value
+	 * @param {string} [reason] - Why the value is invalid
+	 */
+	constructor(setting, value, reason) {
+		super(reason || `\`${value}\` isn't a valid value for the \`${setting.key}\` setting.`);
+		this.name = 'SettingValueError';
+
+		/**
+		 * The setting the value is for
+		 * @type {FrameSetting}
+		 */
+		this.setting = setting;
+
+		/**
+		 * The invalid value
+		 * @type {*}
+		 */
+		this.value = value;
+	}
+}
+
+module.exports = SettingValueError;
@@ -0,0 +1,283 @@
+const { Guild, GuildMember, Role, User, Channel } = require('discord.js');
+const Command = require('./commands/command');
+const CommandGroup = require('./commands/group');
+const GuildSettingsHelper = require('./providers/helper');
+const { memberRoles } = require('./util');
+
+/**
+ * Command-related functionality for the Discord.js Guild class. Its properties and methods are added to every
+ * {@link Guild} when djsframe is loaded. The guild's prefix and command/group statuses are read from the client's
+ * provider (if there is one) under the `prefix`, `cmd-<name>`, `grp-<id>` and `permission-overrides` keys, and kept in
+ * memory otherwise.
+ * @extends Guild
+ */
+class FrameGuild extends Guild {
+	/**
+	 * Shortcut to use setting provider methods for this guild
+	 * @type {GuildSettingsHelper}
+	 * @readonly
+	 */
+	get settings() {
+		if(!this._settings) Object.defineProperty(this, '_settings', { value: new GuildSettingsHelper(this.client, this) });
+		return this._settings;
+	}
+
+	/**
+	 * Command prefix in the guild. An empty string indicates that there is no prefix, and only mentions will be used.
+	 * Setting to `null` means that the prefix from {@link FrameClient#commandPrefix} will be used instead.
+	 * @type {string}
+	 * @emits {@link FrameClient#commandPrefixChange}
+	 */
+	get commandPrefix() {
+		const prefix = getState(this, 'prefix');
+		if(typeof prefix === 'undefined' || prefix === null) return this.client.commandPrefix;
+		return prefix;
+	}
+
+	set commandPrefix(prefix) {
+		setState(this, 'prefix', prefix);
+		this.client.emit('commandPrefixChange', this, prefix);
+	}
+
+	/**
+	 * Sets whether a command is enabled in the guild
+	 * @param {FrameCommandResolvable} command - Command to set status of
+	 * @param {boolean} enabled - Whether the command should be enabled
+	 */
+	setCommandEnabled(command, enabled) {
+		command = this.client.registry.resolveCommand(command);
+		if(command.guarded) throw new Error('The command is guarded.');
+		if(typeof enabled === 'undefined') throw new TypeError('Enabled must not be undefined.');
+		enabled = Boolean(enabled);
+		setState(this, `cmd-${command.name}`, enabled);
+
+		/**
+		 * Emitted whenever a command is enabled/disabled in a guild
+		 * @event FrameClient#commandStatusChange
+		 * @param {?Guild} guild - Guild that the command was enabled/disabled in (null for global)
+		 * @param {FrameCommand} command - Command that was enabled/disabled
+		 * @param {boolean} enabled - Whether the command is enabled
+		 */
+		this.client.emit('commandStatusChange', this, command, enabled);
+	}
+
+	/**
+	 * Checks whether a command is enabled in the guild (does not take the command's group status into account)
+	 * @param {FrameCommandResolvable} command - Command to check status of
+	 * @return {boolean}
+	 */
+	isCommandEnabled(command) {
+		command = this.client.registry.resolveCommand(command);
+		if(command.guarded) return true;
+		const enabled = getState(this, `cmd-${command.name}`);
+		return typeof enabled === 'boolean' ? enabled : command._globalEnabled;
+	}
+
+	/**
+	 * Sets whether a command group is enabled in the guild
+	 * @param {FrameGroupResolvable} group - Group to set status of
+	 * @param {boolean} enabled - Whether the group should be enabled
+	 */
+	setGroupEnabled(group, enabled) {
+		group = this.client.registry.resolveGroup(group);
+		if(group.guarded) throw new Error('The group is guarded.');
+		if(typeof enabled === 'undefined') throw new TypeError('Enabled must not be undefined.');
+		enabled = Boolean(enabled);
+		setState(this, `grp-${group.id}`, enabled);
+
+		/**
+		 * Emitted whenever a command group is enabled/disabled in a guild
+		 * @event FrameClient#groupStatusChange
+		 * @param {?Guild} guild - Guild that the group was enabled/disabled in (null for global)
+		 * @param {FrameGroup} group - Group that was enabled/disabled
+		 * @param {boolean} enabled - Whether the group is enabled
+		 */
+		this.client.emit('groupStatusChange', this, group, enabled);
+	}
+
+	/**
+	 * Checks whether a command group is enabled in the guild
+	 * @param {FrameGroupResolvable} group - Group to check status of
+	 * @return {boolean}
+	 */
+	isGroupEnabled(group) {
+		group = this.client.registry.resolveGroup(group);
+		if(group.guarded) return true;
+		const enabled = getState(this, `grp-${group.id}`);
+		return typeof enabled === 'boolean' ? enabled : group._globalEnabled;
+	}
+
+	/**
+	 * An override that allows or denies a command or group to a role, user or channel, regardless of the
+	 * permissions the command requires
+	 * @typedef {Object} PermissionOverride
+	 * @property {string} type - What is overridden, either `command` or `group`
+	 * @property {string} name - Name of the command or ID of the group
+	 * @property {string} target - What the override applies to: `user`, `role` or `channel`
+	 * @property {string} id - ID of the user, role or channel
+	 * @property {boolean} allow - Whether the command or group is allowed or denied
+	 */
+
+	/**
+	 * Permission overrides of commands and groups in the guild
+	 * @type {PermissionOverride[]}
+	 * @readonly
+	 */
+	get permissionOverrides() {
+		const overrides = getState(this, 'permission-overrides');
+		return Array.isArray(overrides) ? overrides.map(override => ({ ...override })) : [];
+	}
+
+	/**
+	 * Allows or denies a command or group to a role, user or channel in the guild. Owner-only commands can't be
+	 * allowed to anyone else.
+	 * @param {FrameCommand|FrameGroup|string} cmdOrGrp - Command or group to override the permission of
+	 * (strings are resolved as a group ID, then as a command)
+	 * @param {Role|User|GuildMember|GuildChannel} target - What to allow or deny the command or group to
+	 * @param {?boolean} allow - Whether to allow or deny the command or group (`null` removes the override)
+	 * @emits {@link FrameClient#permissionOverrideChange}
+	 */
+	setPermissionOverride(cmdOrGrp, target, allow) {
+		const { type, name } = resolveOverridden(this.client, cmdOrGrp);
+		const [targetType, id] = resolveOverrideTarget(target);
+		if(typeof allow === 'undefined') throw new TypeError('Allow must not be undefined.');
+
+		const overrides = this.permissionOverrides
+			.filter(override => !(override.type === type && override.name === name &&
+				override.target === targetType && override.id === id));
+		if(allow !== null) overrides.push({ type, name, target: targetType, id, allow: Boolean(allow) });
+		setState(this, 'permission-overrides', overrides);
+
+		/**
+		 * Emitted whenever a permission override of a command or group is changed in a guild
+		 * @event FrameClient#permissionOverrideChange
+		 * @param {Guild} guild - Guild that the override was changed in
+		 * @param {PermissionOverride[]} overrides - All permission overrides of the guild
+		 */
+		this.client.emit('permissionOverrideChange', this, overrides);
+	}
+
+	/**
+	 * Removes all permission overrides of a command or group in the guild, or all overrides of the guild
+	 * @param {FrameCommand|FrameGroup|string} [cmdOrGrp] - Command or group to remove the overrides of
+	 * @emits {@link FrameClient#permissionOverrideChange}
+	 */
+	clearPermissionOverrides(cmdOrGrp) {
+		let overrides = [];
+		if(cmdOrGrp) {
+			const { type, name } = resolveOverridden(this.client, cmdOrGrp);
+			overrides = this.permissionOverrides.filter(override => override.type !== type || override.name !== name);
+		}
+		setState(this, 'permission-overrides', overrides);
+		this.client.emit('permissionOverrideChange', this, overrides);
+	}
+
+	/**
+	 * Checks whether a permission override allows or denies a command for a usage in the guild. User overrides take
+	 * precedence over role overrides (where one role that allows the command is enough), which take precedence over
+	 * channel overrides. The overrides of a channel's category or a thread's channel apply when the channel has none.
+	 * Overrides of the command take precedence over the overrides of its group.
+	 * @param {FrameCommand} command - Command that is being used
+	 * @param {CommandContext|FrameMessage} ctx - The context or message the command is being used from
+	 * @return {?boolean} Whether the command is allowed, or null if there is no override for the usage
+	 */
+	resolvePermissionOverride(command, ctx) {
+		const overrides = this.permissionOverrides;
+		if(overrides.length === 0) return null;
+		const roles = memberRoles(ctx.member);
+		const channels = ctx.channel ? [ctx.channel.id, ctx.channel.parentId].filter(Boolean) : [];
+		// A thread's channel can be in a category as well
+		if(ctx.channel && ctx.channel.parent && ctx.channel.parent.parentId) channels.push(ctx.channel.parent.parentId);
+
+		for(const [type, name] of [['command', command.name], ['group', command.groupID]]) {
+			const applicable = overrides.filter(override => override.type === type && override.name === name);
+			if(applicable.length === 0) continue;
+
+			const user = applicable.find(override => override.target === 'user' && override.id === ctx.author.id);
+			if(user) return user.allow;
+			const roleOverrides = applicable.filter(override => override.target === 'role' && roles.includes(override.id));
+			if(roleOverrides.length > 0) return roleOverrides.some(override => override.allow);
+			for(const channel of channels) {
+				const found = applicable.find(override => override.target === 'channel' && override.id === channel);
+				if(found) return found.allow;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Creates a command usage string using the guild's prefix
+	 * @param {string} [command] - A command + arg string
+	 * @param {User} [user=this.client.user] - User to use for the mention command format
+	 * @return {string}
+	 */
+	commandUsage(command, user = this.client.user) {
+		return Command.usage(command, this.commandPrefix, user);
+	}
+}
+
+/**
+ * Gets a command setting of a guild from the provider, or from memory if there is no provider
+ * @param {Guild} guild - Guild to get the setting of
+ * @param {string} key - Key of the setting
+ * @return {*}
+ * @private
+ */
+function getState(guild, key) {
+	if(guild.client.provider) return guild.client.provider.get(guild, key);
+	return guild._commandState ? guild._commandState[key] : undefined;
+}
+
+/**
+ * Sets a command setting of a guild in memory if there is no provider, until one is attached and stores it
+ * (a provider that is attached caches and persists it when the change event is emitted)
+ * @param {Guild} guild - Guild to set the setting of
+ * @param {string} key - Key of the setting
+ * @param {*} val - Value of the setting
+ * @private
+ */
+function setState(guild, key, val) {
+	if(guild.client.provider) return;
+	if(!guild._commandState) Object.defineProperty(guild, '_commandState', { value: {} });
+	guild._commandState[key] = val;
+}
+
+/**
+ * Resolves the command or group of a permission override
+ * @param {FrameClient} client - Client to resolve the command or group with
+ * @param {FrameCommand|FrameGroup|string} cmdOrGrp - Command or group to resolve
+ * @return {{type: string, name: string}}
+ * @private
+ */
+function resolveOverridden(client, cmdOrGrp) {
+	if(typeof cmdOrGrp === 'string' && client.registry.groups.has(cmdOrGrp)) {
+		cmdOrGrp = client.registry.groups.get(cmdOrGrp);
+	}
+	if(cmdOrGrp instanceof CommandGroup) {
+		if(cmdOrGrp.guarded) throw new Error('The group is guarded.');
+		return { type: 'group', name: cmdOrGrp.id };
+	}
+	const command = client.registry.resolveCommand(cmdOrGrp);
+	if(command.guarded) throw new Error('The command is guarded.');
+	return { type: 'command', name: command.name };
+}
+
+/**
+ * Resolves the target of a permission override
+ * @param {Role|User|GuildMember|GuildChannel} target - Target to resolve
+ * @return {string[]} The type and ID of the target
+ * @private
+ */
+function resolveOverrideTarget(target) {
+	if(target instanceof Role) return ['role', target.id];
+	if(target instanceof User || target instanceof GuildMember) return ['user', target.id];
+	if(target instanceof Channel) return ['channel', target.id];
+	throw new TypeError('Permission override target must be a Role, User, GuildMember or GuildChannel.');
+}
+
+for(const prop of Object.getOwnPropertyNames(FrameGuild.prototype)) {
+	if(prop === 'constructor') continue;
+	Object.defineProperty(Guild.prototype, prop, Object.getOwnPropertyDescriptor(FrameGuild.prototype, prop));
+}
+
+module.exports = FrameGuild;
@@ -2,7 +2,25 @@ const FrameClient = require('./client.js');
 const FrameRegistry = require('./registry.js');
 const FrameDispatcher = require('./dispatcher.js');
 const FrameCommand = require('./commands/command.js');
+const FrameSubcommand = require('./commands/subcommand.js');
+const CommandContext = require('./context.js');
+const FrameGuild = require('./guild.js');
+const GuildSettingsHelper = require('./providers/helper.js');
+const SettingProvider = require('./providers/base.js');
 const SQLiteProvider = require('./providers/sqlite.js');
+const JSONProvider = require('./providers/json.js');
+const MemoryProvider = require('./providers/memory.js');
+const RedisProvider = require('./providers/redis.js');
+const MongoProvider = require('./providers/mongo.js');
+const FrameSetting = require('./providers/setting.js');
+const MigrationHelper = require('./providers/migration.js');
+const ThrottleStore = require('./throttles/base.js');
+const MemoryThrottleStore = require('./throttles/memory.js');
+const ProviderThrottleStore = require('./throttles/provider.js');
+const RedisThrottleStore = require('./throttles/redis.js');
+const ThrottleBucket = require('./throttles/bucket.js');
+const FriendlyError = require('./errors/friendly.js');
+const SettingValueError = require('./errors/setting-value.js');
 
 exports.Client = FrameClient;
 exports.FrameClient = FrameClient;
@@ -12,5 +30,25 @@ exports.Dispatcher = FrameDispatcher;
 exports.FrameDispatcher = FrameDispatcher;
 exports.Command = FrameCommand;
 exports.FrameCommand = FrameCommand;
+exports.Subcommand = FrameSubcommand;
+exports.FrameSubcommand = FrameSubcommand;
+exports.CommandContext = CommandContext;
+exports.FrameGuild = FrameGuild;
+exports.GuildSettingsHelper = GuildSettingsHelper;
+exports.SettingProvider = SettingProvider;
 exports.SQLite = SQLiteProvider;
-exports.SQLiteProvider = SQLiteProvider;
\ No newline at end of file
+exports.SQLiteProvider = SQLiteProvider;
+exports.JSONProvider = JSONProvider;
+exports.MemoryProvider = MemoryProvider;
+exports.RedisProvider = RedisProvider;
+exports.MongoProvider = MongoProvider;
+exports.Setting = FrameSetting;
+exports.FrameSetting = FrameSetting;
+exports.FriendlyError = FriendlyError;
+exports.SettingValueError = SettingValueError;
+exports.MigrationHelper = MigrationHelper;
+exports.ThrottleStore = ThrottleStore;
+exports.MemoryThrottleStore = MemoryThrottleStore;
+exports.ProviderThrottleStore = ProviderThrottleStore;
+exports.RedisThrottleStore = RedisThrottleStore;
+exports.ThrottleBucket = ThrottleBucket;
\ No newline at end of file
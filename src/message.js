@@ -1,8 +1,7 @@
-const { Message, escapeMarkdown, splitMessage, resolveString } = require('discord.js');
-const { oneLine } = require('common-tags');
+const { Message, Util: { escapeCodeBlock, splitMessage } } = require('discord.js');
 const Command = require('./commands/command');
-const FriendlyError = require('./errors/friendly');
-const CommandFormatError = require('./errors/command-format');
+const CommandContext = require('./context');
+const { isGuildChannel, missingPermissions } = require('./util');
 
 /**
  * An extension of the base Discord.js Message class to add command-related functionality.
@@ -36,6 +35,12 @@ class FrameMessage extends Message {
          */
         this.patternMatches = null;
 
+        /**
+         * Subcommand the message triggers, if any
+         * @type {?FrameSubcommand}
+         */
+        this.subcommand = null;
+
         /**
          * Response messages sent, mapped by channel ID (set by the dispatcher after running the command)
          * @type {?Object}
@@ -54,14 +59,16 @@ class FrameMessage extends Message {
       * @param {Command} [command] - Command the message triggers
       * @param {string} [argString] - Argument string for the command
       * @param {?Array<string>} [patternMatches] - Command pattern matches (if from a pattern trigger)
+      * @param {?FrameSubcommand} [subcommand] - Subcommand the message triggers
      * @return {Message} This message
      * @private
      */
-    initCommand(command, argString, patternMatches) {
+    initCommand(command, argString, patternMatches, subcommand = null) {
         this.isCommand = true;
         this.command = command;
         this.argString = argString;
         this.patternMatches = patternMatches;
+        this.subcommand = subcommand;
         return this;
     }
 
@@ -118,196 +125,75 @@ class FrameMessage extends Message {
     /**
      * Runs the command
      * @return {Promise<?Message|?Array<Message>>}
+     * @see {@link CommandContext#run}
      */
-    async run() { // eslint-disable-line complexity
-        // Obtain the member if we don't have it
-        if(this.channel.type === 'text' && !this.guild.members.cache.has(this.author.id) && !this.webhookID) {
-            this.member = await this.guild.members.fetch(this.author);
-        }
-
-        // Obtain the member for the ClientUser if it doesn't already exist
-        if(this.channel.type === 'text' && !this.guild.members.cache.has(this.client.user.id)) {
-            await this.guild.members.fetch(this.client.user.id);
-        }
-
-        // Make sure the command is usable in this context
-        if(this.command.guildOnly && !this.guild) {
-            /**
-             * Emitted when a command is prevented from running
-             * @event CommandoClient#commandBlock
-             * @param {CommandoMessage} message - Command message that the command is running from
-             * @param {string} reason - Reason that the command was blocked
-             * (built-in reasons are `guildOnly`, `nsfw`, `permission`, `throttling`, and `clientPermissions`)
-             * @param {Object} [data] - Additional data associated with the block. Built-in reason data properties:
-             * - guildOnly: none
-             * - nsfw: none
-             * - permission: `response` ({@link string}) to send
-             * - throttling: `throttle` ({@link Object}), `remaining` ({@link number}) time in seconds
-             * - clientPermissions: `missing` ({@link Array}<{@link string}>) permission names
-             */
-            this.client.emit('commandBlock', this, 'guildOnly');
-            return this.command.onBlock(this, 'guildOnly');
-        }
-
-        // Ensure the channel is a NSFW one if required
-        if(this.command.nsfw && !this.channel.nsfw) {
-            this.client.emit('commandBlock', this, 'nsfw');
-            return this.command.onBlock(this, 'nsfw');
-        }
-
-        // Ensure the user has permission to use the command
-        const hasPermission = this.command.hasPermission(this);
-        if(!hasPermission || typeof hasPermission === 'string') {
-            const data = { response: typeof hasPermission === 'string' ? hasPermission : undefined };
-            this.client.emit('commandBlock', this, 'permission', data);
-            return this.command.onBlock(this, 'permission', data);
-        }
-
-        // Ensure the client user has the required permissions
-        if(this.channel.type === 'text' && this.command.clientPermissions) {
-            const missing = this.channel.permissionsFor(this.client.user).missing(this.command.clientPermissions);
-            if(missing.length > 0) {
-                const data = { missing };
-                this.client.emit('commandBlock', this, 'clientPermissions', data);
-                return this.command.onBlock(this, 'clientPermissions', data);
-            }
-        }
-
-        // Throttle the command
-        const throttle = this.command.throttle(this.author.id);
-        if(throttle && throttle.usages + 1 > this.command.throttling.usages) {
-            const remaining = (throttle.start + (this.command.throttling.duration * 1000) - Date.now()) / 1000;
-            const data = { throttle, remaining };
-            this.client.emit('commandBlock', this, 'throttling', data);
-            return this.command.onBlock(this, 'throttling', data);
-        }
-
-        // Figure out the command arguments
-        let args = this.patternMatches;
-        let collResult = null;
-        if(!args && this.command.argsCollector) {
-            const collArgs = this.command.argsCollector.args;
-            const count = collArgs[collArgs.length - 1].infinite ? Infinity : collArgs.length;
-            const provided = this.constructor.parseArgs(this.argString.trim(), count, this.command.argsSingleQuotes);
-
-            collResult = await this.command.argsCollector.obtain(this, provided);
-            if(collResult.cancelled) {
-                if(collResult.prompts.length === 0 || collResult.cancelled === 'promptLimit') {
-                    this.client.emit('commandCancel', this.command, collResult.cancelled, this, collResult);
-                    const err = new CommandFormatError(this);
-                    return this.reply(err.message);
-                }
-                /**
-                 * Emitted when a command is cancelled (either by typing 'cancel' or not responding in time)
-                 * @event CommandoClient#commandCancel
-                 * @param {Command} command - Command that was cancelled
-                 * @param {string} reason - Reason for the command being cancelled
-                 * @param {CommandoMessage} message - Command message that the command ran from (see {@link Command#run})
-                 * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
-                 * (if applicable - see {@link Command#run})
-                 */
-                this.client.emit('commandCancel', this.command, collResult.cancelled, this, collResult);
-                return this.reply('Cancelled command.');
-            }
-            args = collResult.values;
-        }
-        if(!args) args = this.parseArgs();
-        const fromPattern = Boolean(this.patternMatches);
-
-        // Run the command
-        if(throttle) throttle.usages++;
-        const typingCount = this.channel.typingCount;
-        try {
-            this.client.emit('debug', `Running command ${this.command.groupID}:${this.command.memberName}.`);
-            const promise = this.command.run(this, args, fromPattern, collResult);
-            /**
-             * Emitted when running a command
-             * @event CommandoClient#commandRun
-             * @param {Command} command - Command that is being run
-             * @param {Promise} promise - Promise for the command result
-             * @param {CommandoMessage} message - Command message that the command is running from (see {@link Command#run})
-             * @param {Object|string|string[]} args - Arguments for the command (see {@link Command#run})
-             * @param {boolean} fromPattern - Whether the args are pattern matches (see {@link Command#run})
-             * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
-             * (if applicable - see {@link Command#run})
-             */
-            this.client.emit('commandRun', this.command, promise, this, args, fromPattern, collResult);
-            const retVal = await promise;
-            if(!(retVal instanceof Message || retVal instanceof Array || retVal === null || retVal === undefined)) {
-                throw new TypeError(oneLine`
-                    Command ${this.command.name}'s run() resolved with an unknown type
-                    (${retVal !== null ? retVal && retVal.constructor ? retVal.constructor.name : typeof retVal : null}).
-                    Command run methods must return a Promise that resolve with a Message, Array of Messages, or null/undefined.
-                `);
-            }
-            return retVal;
-        } catch(err) {
-            /**
-             * Emitted when a command produces an error while running
-             * @event CommandoClient#commandError
-             * @param {Command} command - Command that produced an error
-             * @param {Error} err - Error that was thrown
-             * @param {CommandoMessage} message - Command message that the command is running from (see {@link Command#run})
-             * @param {Object|string|string[]} args - Arguments for the command (see {@link Command#run})
-             * @param {boolean} fromPattern - Whether the args are pattern matches (see {@link Command#run})
-             * @param {?ArgumentCollectorResult} result - Result from obtaining the arguments from the collector
-             * (if applicable - see {@link Command#run})
-             */
-            this.client.emit('commandError', this.command, err, this, args, fromPattern, collResult);
-            if(this.channel.typingCount > typingCount) this.channel.stopTyping();
-            if(err instanceof FriendlyError) {
-                return this.reply(err.message);
-            } else {
-                return this.command.onError(err, this, args, fromPattern, collResult);
-            }
-        }
+    run() {
+        return new CommandContext(this.command, this).run();
     }
 
     /**
      * Responds to the command message
      * @param {Object} [options] - Options for the response
-     * @return {Message|Message[]}
+     * @return {Promise<Message|Message[]>}
      * @private
      */
     respond({ type = 'reply', content, options, lang, fromEdit = false }) {
         const shouldEdit = this.responses && !fromEdit;
-        if(shouldEdit) {
-            if(options && options.split && typeof options.split !== 'object') options.split = {};
-        }
+        const data = messageOptions(content, options);
+        if(data.split && typeof data.split !== 'object') data.split = {};
 
-        if(type === 'reply' && this.channel.type === 'dm') type = 'plain';
+        if(type === 'reply' && !isGuildChannel(this.channel)) type = 'plain';
         if(type !== 'direct') {
-            if(this.guild && !this.channel.permissionsFor(this.client.user).has('SEND_MESSAGES')) {
+            if(missingPermissions(this.channel, this.client.user, ['SEND_MESSAGES']).length > 0) {
                 type = 'direct';
             }
         }
 
-        content = resolveString(content);
+        if(type === 'code') {
+            if(data.split) {
+                if(!data.split.prepend) data.split.prepend = `\`\`\`${lang || ''}\n`;
+                if(!data.split.append) data.split.append = '\n```';
+            }
+            data.content = `\`\`\`${lang || ''}\n${escapeCodeBlock(data.content || '')}\n\`\`\``;
+        }
 
         switch(type) {
             case 'plain':
-                if(!shouldEdit) return this.channel.send(content, options);
-                return this.editCurrentResponse(channelIDOrDM(this.channel), { type, content, options });
             case 'reply':
-                if(!shouldEdit) return super.reply(content, options);
-                if(options && options.split && !options.split.prepend) options.split.prepend = `${this.author}, `;
-                return this.editCurrentResponse(channelIDOrDM(this.channel), { type, content, options });
-            case 'direct':
-                if(!shouldEdit) return this.author.send(content, options);
-                return this.editCurrentResponse('dm', { type, content, options });
             case 'code':
-                if(!shouldEdit) return this.channel.send(content, options);
-                if(options && options.split) {
-                    if(!options.split.prepend) options.split.prepend = `\`\`\`${lang || ''}\n`;
-                    if(!options.split.append) options.split.append = '\n```';
-                }
-                content = `\`\`\`${lang || ''}\n${escapeMarkdown(content, true)}\n\`\`\``;
-                return this.editCurrentResponse(channelIDOrDM(this.channel), { type, content, options });
+                if(!shouldEdit) return this.sendResponse(type, data);
+                return this.editCurrentResponse(channelIDOrDM(this.channel), { type, options: data });
+            case 'direct':
+                if(!shouldEdit) return this.sendResponse(type, data);
+                return this.editCurrentResponse('dm', { type, options: data });
             default:
                 throw new RangeError(`Unknown response type "${type}".`);
         }
     }
 
+    /**
+     * Sends a new response to the command message, split into several messages if the options say so
+     * @param {string} type - Type of the response
+     * @param {MessageOptions} options - Options for the response, with a `split` option for long content
+     * @return {Promise<Message|Message[]>}
+     * @private
+     */
+    async sendResponse(type, options) {
+        const { split, ...data } = options;
+        const contents = split && data.content ? splitMessage(data.content, split) : [data.content];
+        const messages = [];
+        for(let i = 0; i < contents.length; i++) {
+            // Embeds, files and components go with the last part, below all of the content
+            const part = i === contents.length - 1 ? { ...data, content: contents[i] } : { content: contents[i] };
+            /* eslint-disable no-await-in-loop */
+            if(type === 'direct') messages.push(await this.author.send(part));
+            else if(type === 'reply' && i === 0) messages.push(await super.reply(part));
+            else messages.push(await this.channel.send(part));
+            /* eslint-enable no-await-in-loop */
+        }
+        return messages.length === 1 ? messages[0] : messages;
+    }
+
     /**
      * Edits a response to the command message
      * @param {Message|Message[]} response - The response message(s) to edit
@@ -315,33 +201,31 @@ class FrameMessage extends Message {
      * @return {Promise<Message|Message[]>}
      * @private
      */
-    editResponse(response, { type, content, options }) {
-        if(!response) return this.respond({ type, content, options, fromEdit: true });
-        if(options && options.split) content = splitMessage(content, options.split);
-
-        let prepend = '';
-        if(type === 'reply') prepend = `${this.author}, `;
+    editResponse(response, { type, options }) {
+        if(!response) return this.sendResponse(type, options);
+        const { split, ...data } = options;
+        const content = split && data.content ? splitMessage(data.content, split) : data.content;
 
         if(content instanceof Array) {
             const promises = [];
             if(response instanceof Array) {
                 for(let i = 0; i < content.length; i++) {
-                    if(response.length > i) promises.push(response[i].edit(`${prepend}${content[i]}`, options));
-                    else promises.push(response[0].channel.send(`${prepend}${content[i]}`));
+                    if(response.length > i) promises.push(response[i].edit({ ...data, content: content[i] }));
+                    else promises.push(response[0].channel.send({ content: content[i] }));
                 }
             } else {
-                promises.push(response.edit(`${prepend}${content[0]}`, options));
+                promises.push(response.edit({ ...data, content: content[0] }));
                 for(let i = 1; i < content.length; i++) {
-                    promises.push(response.channel.send(`${prepend}${content[i]}`));
+                    promises.push(response.channel.send({ content: content[i] }));
                 }
             }
             return Promise.all(promises);
         } else {
             if(response instanceof Array) { // eslint-disable-line no-lonely-if
                 for(let i = response.length - 1; i > 0; i--) response[i].delete();
-                return response[0].edit(`${prepend}${content}`, options);
+                return response[0].edit({ ...data, content: content || null });
             } else {
-                return response.edit(`${prepend}${content}`, options);
+                return response.edit({ ...data, content: content || null });
             }
         }
     }
@@ -362,7 +246,7 @@ class FrameMessage extends Message {
 
     /**
      * Responds with a plain message
-     * @param {StringResolvable} content - Content for the message
+     * @param {string|string[]|MessageOptions} content - Content for the message
      * @param {MessageOptions} [options] - Options for the message
      * @return {Promise<Message|Message[]>}
      */
@@ -376,7 +260,7 @@ class FrameMessage extends Message {
 
     /**
      * Responds with a reply message
-     * @param {StringResolvable} content - Content for the message
+     * @param {string|string[]|MessageOptions} content - Content for the message
      * @param {MessageOptions} [options] - Options for the message
      * @return {Promise<Message|Message[]>}
      */
@@ -390,7 +274,7 @@ class FrameMessage extends Message {
 
     /**
      * Responds with a direct message
-     * @param {StringResolvable} content - Content for the message
+     * @param {string|string[]|MessageOptions} content - Content for the message
      * @param {MessageOptions} [options] - Options for the message
      * @return {Promise<Message|Message[]>}
      */
@@ -405,7 +289,7 @@ class FrameMessage extends Message {
     /**
      * Responds with a code message
      * @param {string} lang - Language for the code block
-     * @param {StringResolvable} content - Content for the message
+     * @param {string|string[]} content - Content for the message
      * @param {MessageOptions} [options] - Options for the message
      * @return {Promise<Message|Message[]>}
      */
@@ -414,34 +298,30 @@ class FrameMessage extends Message {
             options = content;
             content = '';
         }
-        if(typeof options !== 'object') options = {};
-        options.code = lang;
-        return this.respond({ type: 'code', content, options });
+        return this.respond({ type: 'code', content, options, lang });
     }
 
     /**
      * Responds with an embed
-     * @param {RichEmbed|Object} embed - Embed to send
-     * @param {StringResolvable} [content] - Content for the message
+     * @param {MessageEmbed|Object} embed - Embed to send
+     * @param {string|string[]} [content] - Content for the message
      * @param {MessageOptions} [options] - Options for the message
      * @return {Promise<Message|Message[]>}
      */
     embed(embed, content = '', options) {
-        if(typeof options !== 'object') options = {};
-        options.embed = embed;
+        options = { ...options, embeds: [embed] };
         return this.respond({ type: 'plain', content, options });
     }
 
     /**
      * Responds with a mention + embed
-     * @param {RichEmbed|Object} embed - Embed to send
-     * @param {StringResolvable} [content] - Content for the message
+     * @param {MessageEmbed|Object} embed - Embed to send
+     * @param {string|string[]} [content] - Content for the message
      * @param {MessageOptions} [options] - Options for the message
      * @return {Promise<Message|Message[]>}
      */
     replyEmbed(embed, content = '', options) {
-        if(typeof options !== 'object') options = {};
-        options.embed = embed;
+        options = { ...options, embeds: [embed] };
         return this.respond({ type: 'reply', content, options });
     }
 
@@ -525,8 +405,20 @@ function removeSmartQuotes(argString, allowSingleQuote = true) {
 	.replace(doubleSmartQuote, '"');
 }
 
+function messageOptions(content, options) {
+	if(typeof content === 'object' && content !== null && !(content instanceof Array)) {
+		return messageOptions(undefined, { ...content, ...options });
+	}
+	const data = { ...options };
+	if(content instanceof Array) content = content.join('\n');
+	if(content !== null && typeof content !== 'undefined' && content !== '') data.content = String(content);
+	// Discord.js doesn't accept empty content, which messages with only embeds or files are sent with
+	if(data.content === '' || data.content === null) delete data.content;
+	return data;
+}
+
 function channelIDOrDM(channel) {
-	if(channel.type !== 'dm') return channel.id;
+	if(isGuildChannel(channel)) return channel.id;
 	return 'dm';
 }
 
@@ -0,0 +1,636 @@
+const { Channel, Guild, GuildMember, User } = require('discord.js');
+const MigrationHelper = require('./migration');
+
+/**
+ * Global setting that the version of the settings is stored in
+ * @type {string}
+ * @private
+ */
+const versionKey = 'settings-version';
+
+/**
+ * Prefix of the settings that {@link ProviderThrottleStore} keeps throttle states in
+ * @type {string}
+ * @private
+ */
+const throttlePrefix = 'throttle-';
+
+/**
+ * Format identifier of exported settings
+ * @type {string}
+ * @private
+ */
+const exportFormat = 'djsframe-settings';
+
+/**
+ * Checks whether a setting holds state of the framework (the settings version and throttle states), which is neither
+ * exported nor replaced by imports
+ * @param {string} key - Key of the setting
+ * @return {boolean}
+ * @private
+ */
+function isStateKey(key) {
+	return key === versionKey || key.startsWith(throttlePrefix);
+}
+
+/**
+ * Copies settings without the ones holding state of the framework
+ * @param {Object} values - Settings to copy
+ * @return {Object}
+ * @private
+ */
+function withoutState(values) {
+	const copy = JSON.parse(JSON.stringify(values));
+	for(const key of Object.keys(copy)) {
+		if(isStateKey(key)) delete copy[key];
+	}
+	return copy;
+}
+
+/**
+ * What settings can be stored for. This is one of:
+ * - a guild, or its ID (the `guild` scope)
+ * - `'global'` or `null` (the `global` scope)
+ * - a {@link User}, or `{ user: id }` (the `user` scope)
+ * - a channel, or `{ channel: id }` (the `channel` scope)
+ * - a {@link GuildMember}, or `{ guild: id, user: id }` (the `member` scope)
+ * - an ID returned by {@link SettingProvider.getTargetID}
+ * @typedef {Guild|GuildMember|User|Channel|Snowflake|Object|string|null} SettingTarget
+ */
+
+/**
+ * Loads and stores settings associated with guilds, users, channels, members, and globally. Each of these is stored
+ * separately from the others. This is the contract that every provider passed
+ * to {@link FrameClient#setProvider} must fulfil. Settings are cached in {@link SettingProvider#settings}, which the
+ * default {@link SettingProvider#get} reads from, so backends only need to load it in `init` and write changes
+ * through in `set`, `remove` and `clear`.
+ * @abstract
+ */
+class SettingProvider {
+	constructor() {
+		if(this.constructor.name === 'SettingProvider') throw new Error('The base SettingProvider cannot be instantiated.');
+
+		/**
+		 * Client that the provider is for (set once the provider is initialised)
+		 * @name SettingProvider#client
+		 * @type {FrameClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: null, writable: true });
+
+		/**
+		 * Settings cached in memory, mapped by target ID (see {@link SettingProvider.getTargetID})
+		 * @type {Map<string, Object>}
+		 * @private
+		 */
+		this.settings = new Map();
+
+		/**
+		 * Listeners on the client, mapped by the event name
+		 * @type {Map<string, Function>}
+		 * @private
+		 */
+		this.listeners = new Map();
+	}
+
+	/**
+	 * Initialises the provider by connecting to databases and/or caching all data in memory.
+	 * {@link FrameClient#setProvider} will automatically call this once the client is ready.
+	 * Implementations should call (and await) {@link SettingProvider#attach} once the settings are loaded.
+	 * @param {FrameClient} client - Client that will be using the provider
+	 * @return {Promise<void>}
+	 * @abstract
+	 */
+	init(client) { throw new Error(`${this.constructor.name} doesn't have an init method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * Destroys the provider, removing any event listeners.
+	 * Implementations should call {@link SettingProvider#detach}.
+	 * @return {Promise<void>}
+	 * @abstract
+	 */
+	destroy() { throw new Error(`${this.constructor.name} doesn't have a destroy method.`); }
+
+	/**
+	 * Obtains a setting for a guild (or other target)
+	 * @param {SettingTarget} guild - Guild or other target the setting is associated with
+	 * @param {string} key - Name of the setting
+	 * @param {*} [defVal] - Value to default to if the setting isn't set on the target
+	 * (defaults to the default of the setting registered with {@link FrameRegistry#registerSetting}, if there is one)
+	 * @return {*}
+	 */
+	get(guild, key, defVal) {
+		const settings = this.settings.get(this.constructor.getTargetID(guild));
+		if(settings && typeof settings[key] !== 'undefined') return settings[key];
+		if(typeof defVal !== 'undefined') return defVal;
+		const setting = this.client ? this.client.registry.settings.get(key) : null;
+		return setting ? setting.default : undefined;
+	}
+
+	/**
+	 * Sets a setting for a guild (or other target). Values of settings registered with {@link FrameRegistry#registerSetting} must be
+	 * passed through {@link SettingProvider#resolveSetting} first. Otherwise, implementations must update
+	 * {@link SettingProvider#settings} before their first `await`, so that the new value can be read right away.
+	 * @param {SettingTarget} guild - Guild or other target to associate the setting with
+	 * @param {string} key - Name of the setting
+	 * @param {*} val - Value of the setting
+	 * @return {Promise<*>} New value of the setting
+	 * @abstract
+	 */
+	set(guild, key, val) { throw new Error(`${this.constructor.name} doesn't have a set method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * Removes a setting from a guild (or other target)
+	 * @param {SettingTarget} guild - Guild or other target the setting is associated with
+	 * @param {string} key - Name of the setting
+	 * @return {Promise<*>} Old value of the setting
+	 * @abstract
+	 */
+	remove(guild, key) { throw new Error(`${this.constructor.name} doesn't have a remove method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * Removes all settings in a guild (or other target)
+	 * @param {SettingTarget} guild - Guild or other target to clear the settings of
+	 * @return {Promise<void>}
+	 * @abstract
+	 */
+	clear(guild) { throw new Error(`${this.constructor.name} doesn't have a clear method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * A change of a setting for {@link SettingProvider#setMany}
+	 * @typedef {Object} SettingChange
+	 * @property {SettingTarget} guild - The guild or other target to set the setting for (or 'global')
+	 * @property {string} key - The key to the setting
+	 * @property {*} val - The value to set (`undefined` removes the setting)
+	 */
+
+	/**
+	 * Sets or removes multiple settings. The values of registered settings are all validated first, so an invalid
+	 * value stops all of the changes. The built-in providers override this to store the changes in one batch, so
+	 * either all of them are stored, or none of them are - other providers store them one at a time by default.
+	 * @param {SettingChange[]} changes - The changes to make
+	 * @return {Promise<Array<*>>} The values of the settings after changing, in the order of the changes
+	 * @example
+	 * await provider.setMany(group.commands.map(command => ({ guild, key: `cmd-${command.name}`, val: false })));
+	 */
+	async setMany(changes) {
+		/* eslint-disable no-await-in-loop */
+		if(!Array.isArray(changes)) throw new TypeError('Settings changes must be an Array.');
+		for(const { guild, key, val } of changes) {
+			if(typeof key !== 'string') throw new TypeError('Setting key must be a string.');
+			if(typeof val === 'undefined' || !this.client.registry.settings.has(key)) continue;
+			await this.resolveSetting(guild, key, val);
+		}
+
+		const values = [];
+		for(const { guild, key, val } of changes) {
+			if(typeof val === 'undefined') await this.remove(guild, key);
+			values.push(typeof val === 'undefined' ? val : await this.set(guild, key, val));
+		}
+		return values;
+		/* eslint-enable no-await-in-loop */
+	}
+
+	/**
+	 * Makes the changes of {@link SettingProvider#setMany} in one batch. The changes are validated and applied to the
+	 * cache (before the first `await`, unless a registered setting has to be resolved), and targets that are left
+	 * without settings are removed from it. The cache is reverted if storing the changes fails.
+	 * @param {SettingChange[]} changes - The changes to make
+	 * @param {Function} store - Function that stores the changes, passed the IDs of the changed targets and the
+	 * changes with their targets and values resolved (`{id, key, val}`). It may return a Promise.
+	 * @return {Promise<Array<*>>} The values of the settings after changing, in the order of the changes
+	 * @protected
+	 */
+	async batchChanges(changes, store) {
+		if(!Array.isArray(changes)) throw new TypeError('Settings changes must be an Array.');
+		const resolved = [];
+		for(const { guild, key, val } of changes) {
+			if(typeof key !== 'string') throw new TypeError('Setting key must be a string.');
+			const id = this.constructor.getTargetID(guild);
+			const value = typeof val !== 'undefined' && this.client.registry.settings.has(key) ?
+				await this.resolveSetting(id, key, val) : // eslint-disable-line no-await-in-loop
+				val;
+			resolved.push({ id, key, val: value });
+		}
+
+		// Change the cache, remembering how it was in case storing the changes fails
+		const previous = new Map();
+		for(const { id, key, val } of resolved) {
+			if(!previous.has(id)) previous.set(id, this.settings.has(id) ? { ...this.settings.get(id) } : null);
+			let settings = this.settings.get(id);
+			if(!settings) {
+				settings = {};
+				this.settings.set(id, settings);
+			}
+			if(typeof val === 'undefined') delete settings[key];
+			else settings[key] = val;
+		}
+		for(const id of previous.keys()) {
+			if(Object.keys(this.settings.get(id)).length === 0) this.settings.delete(id);
+		}
+
+		try {
+			await store(Array.from(previous.keys()), resolved);
+		} catch(err) {
+			for(const [id, settings] of previous) {
+				if(settings) this.settings.set(id, settings);
+				else this.settings.delete(id);
+			}
+			throw err;
+		}
+		return resolved.map(change => change.val);
+	}
+
+	/**
+	 * Validates a value for a setting registered with {@link FrameRegistry#registerSetting}, and converts it to the
+	 * form it's stored in
+	 * @param {SettingTarget} guild - Guild or other target the value is being set for
+	 * @param {string} key - Name of the setting
+	 * @param {*} val - Value to resolve (`null` and `undefined` are always allowed)
+	 * @return {Promise<*>} The value to store
+	 * @throws {SettingValueError} If the value isn't valid for the setting
+	 * @protected
+	 */
+	async resolveSetting(guild, key, val) {
+		const setting = this.client.registry.settings.get(key);
+		if(!setting || typeof val === 'undefined' || val === null) return val;
+		const id = this.constructor.getTargetID(guild);
+		const scope = this.constructor.getTargetScope(id);
+		if(scope !== setting.scope && !(setting.scope === 'guild' && scope === 'global')) {
+			throw new RangeError(`The ${key} setting can only be set for the ${setting.scope} scope, not ${scope}.`);
+		}
+
+		// Validate the value in the context of the target, as far as it is cached
+		const [guildID, userID] = scope === 'member' ? id.split(':').slice(1) : [];
+		const channel = scope === 'channel' ? this.client.channels.cache.get(id.slice(8)) || null : null;
+		const guildResolved = this.client.guilds.cache.get(scope === 'guild' ? id : guildID) || null;
+		const ctx = {
+			client: this.client,
+			guild: channel && channel.guild ? channel.guild : guildResolved,
+			channel,
+			author: this.client.users.cache.get(scope === 'user' ? id.slice(5) : userID) || null,
+			member: guildResolved && userID ? guildResolved.members.cache.get(userID) || null : null
+		};
+		return setting.resolve(val, ctx);
+	}
+
+	/**
+	 * Runs the pending settings migrations, applies the stored global settings to the client, stores the changes made
+	 * in guilds before there was a provider, and starts persisting changes made through the client. Changes that can't
+	 * be stored once the provider is attached are emitted as {@link FrameClient#providerError} events.
+	 * @param {FrameClient} client - Client to attach to
+	 * @return {Promise<void>}
+	 * @protected
+	 */
+	async attach(client) {
+		this.client = client;
+		await this.migrate({ dryRun: Boolean(client.options.migrationDryRun) });
+		this.setupGlobal();
+		await this.storeGuildStates();
+
+		// Nothing waits for the changes to be stored, so failures can only be reported
+		const store = (guild, key, val) => this.set(guild, key, val).catch(err => {
+			/**
+			 * Emitted when a provider fails to store changes that it was making in the background, such as changes
+			 * made through the client (like a new command prefix) or changes collected by {@link SQLiteProvider}
+			 * @event FrameClient#providerError
+			 * @param {Error} error - The error that occurred
+			 * @param {SettingProvider} provider - Provider that failed to store the changes
+			 */
+			client.emit('providerError', err, this);
+		});
+		this.listeners
+			.set('commandPrefixChange', (guild, prefix) => store(guild, 'prefix', prefix))
+			.set('commandStatusChange', (guild, command, enabled) => store(guild, `cmd-${command.name}`, enabled))
+			.set('groupStatusChange', (guild, group, enabled) => store(guild, `grp-${group.id}`, enabled))
+			.set('permissionOverrideChange', (guild, overrides) => store(guild, 'permission-overrides', overrides))
+			.set('commandRegister', command => this.setupGlobalCommand(command))
+			.set('groupRegister', group => this.setupGlobalGroup(group));
+		for(const [event, listener] of this.listeners) client.on(event, listener);
+	}
+
+	/**
+	 * Removes all of the provider's listeners from the client
+	 * @protected
+	 */
+	detach() {
+		if(!this.client) return;
+		for(const [event, listener] of this.listeners) this.client.removeListener(event, listener);
+		this.listeners.clear();
+	}
+
+	/**
+	 * Report of the migrations run by {@link SettingProvider#migrate}
+	 * @typedef {Object} SettingMigrationReport
+	 * @property {number} from - Version of the settings before the migrations
+	 * @property {number} to - Version of the settings after the migrations
+	 * @property {boolean} dryRun - Whether the changes were only reported and not stored
+	 * @property {Array<{version: number, description: ?string, changes: string[]}>} migrations - The migrations that
+	 * were run, with descriptions of the changes they made
+	 */
+
+	/**
+	 * Runs the migrations registered with {@link FrameRegistry#registerMigration} that are newer than the version of
+	 * the stored settings, in order of their versions. The changes are only stored once all of the migrations have
+	 * run, along with the new version in the same {@link SettingProvider#setMany} batch. This is done automatically
+	 * when the provider is initialised.
+	 * @param {Object} [options] - Options for the migration
+	 * @param {boolean} [options.dryRun=false] - Whether to only report the changes without storing them
+	 * @return {Promise<?SettingMigrationReport>} The report, or null if there were no migrations to run
+	 * @emits {@link FrameClient#providerMigrate}
+	 */
+	async migrate({ dryRun = false } = {}) {
+		const from = this.get('global', versionKey, 0);
+		const latest = this.constructor.latestVersion(this.client);
+		if(from > latest && this.client.registry.migrations.size > 0) {
+			this.client.emit('warn', `The settings version (${from}) is newer than the latest migration (${latest}).`);
+		}
+		if(from >= latest) return null;
+
+		// Run the migrations on a copy of the settings
+		const settings = new Map(JSON.parse(JSON.stringify(Array.from(this.settings))));
+		const report = { from, to: latest, dryRun, migrations: await this.runMigrations(settings, from, dryRun) };
+		if(!dryRun) await this.storeSettings(settings, [{ guild: 'global', key: versionKey, val: latest }]);
+
+		/**
+		 * Emitted when the settings of a provider have been migrated (or a migration dry run has finished)
+		 * @event FrameClient#providerMigrate
+		 * @param {SettingMigrationReport} report - The migrations that were run and their changes
+		 * @param {SettingProvider} provider - Provider that was migrated
+		 */
+		this.client.emit('providerMigrate', report, this);
+		return report;
+	}
+
+	/**
+	 * Portable document of stored settings, created by {@link SettingProvider#export}
+	 * @typedef {Object} SettingsExport
+	 * @property {string} format - Always `djsframe-settings`
+	 * @property {number} version - Version of the settings when they were exported (see {@link SettingProvider#migrate})
+	 * @property {string} exportedAt - When the settings were exported, as an ISO 8601 date
+	 * @property {?string} guild - ID of the guild whose settings were exported, or null if all settings were exported
+	 * @property {Object<string, Object>} settings - The settings, mapped by target ID
+	 */
+
+	/**
+	 * Exports the stored settings as a portable document, which can be imported into any provider with
+	 * {@link SettingProvider#import}. The settings version and the throttle states of {@link ProviderThrottleStore}
+	 * aren't settings of their own, so they aren't exported.
+	 * @param {Guild|string} [guild] - Guild to only export the settings of (including the settings of its channels and
+	 * members), instead of all settings
+	 * @return {SettingsExport}
+	 */
+	export(guild) {
+		const guildID = guild ? this.constructor.getGuildID(guild) : null;
+		if(guildID === 'global') throw new TypeError('A guild to export the settings of must be a guild.');
+
+		const settings = {};
+		for(const [id, values] of this.settings) {
+			if(guildID && this.constructor.getTargetGuildID(id, this.client) !== guildID) continue;
+			const copy = withoutState(values);
+			if(Object.keys(copy).length > 0) settings[id] = copy;
+		}
+
+		return {
+			format: exportFormat,
+			version: this.get('global', versionKey, 0),
+			exportedAt: new Date().toISOString(),
+			guild: guildID,
+			settings
+		};
+	}
+
+	/**
+	 * Imports settings exported with {@link SettingProvider#export}. Settings exported at an older version are migrated
+	 * first (see {@link SettingProvider#migrate}), and the values of registered settings are all validated before
+	 * anything is stored. The settings version and throttle states are left as they are.
+	 * @param {SettingsExport|string|Buffer} data - The exported settings, or their JSON
+	 * @param {Object} [options] - Options for the import
+	 * @param {boolean} [options.merge=false] - Whether to keep the existing settings of the imported targets that
+	 * aren't in the data, instead of replacing all of their settings
+	 * @return {Promise<{targets: number, settings: number}>} How many targets and settings were imported
+	 */
+	async import(data, { merge = false } = {}) {
+		if(typeof data === 'string' || Buffer.isBuffer(data)) {
+			try {
+				data = JSON.parse(data);
+			} catch(err) {
+				throw new TypeError(`The settings to import aren't valid JSON: ${err.message}`);
+			}
+		}
+		if(!data || data.format !== exportFormat || typeof data.settings !== 'object' || data.settings === null) {
+			throw new TypeError('The data to import must be settings exported with SettingProvider#export.');
+		}
+		const from = Number.isInteger(data.version) ? data.version : 0;
+		const latest = this.constructor.latestVersion(this.client);
+		if(from > latest) {
+			throw new RangeError(`The settings were exported at version ${from}, which is newer than this bot (${latest}).`);
+		}
+
+		const imported = new Map();
+		for(const [id, values] of Object.entries(data.settings)) {
+			if(typeof values !== 'object' || values === null || Array.isArray(values)) {
+				throw new TypeError(`The settings to import for ${id} must be an Object.`);
+			}
+			imported.set(this.constructor.getTargetID(id), withoutState(values));
+		}
+		if(from < latest) await this.runMigrations(imported, from, false);
+
+		const settings = new Map(JSON.parse(JSON.stringify(Array.from(this.settings))));
+		let count = 0;
+		for(const [id, values] of imported) {
+			const current = settings.get(id) || {};
+			const updated = merge ? Object.assign(current, values) : values;
+			for(const key of Object.keys(current)) {
+				if(isStateKey(key)) updated[key] = current[key];
+			}
+			settings.set(id, updated);
+			count += Object.keys(values).length;
+		}
+		await this.storeSettings(settings);
+
+		this.client.emit('debug', `Imported ${count} settings of ${imported.size} targets${merge ? ' (merged)' : ''}.`);
+		return { targets: imported.size, settings: count };
+	}
+
+	/**
+	 * Runs the registered migrations newer than a version on settings
+	 * @param {Map<string, Object>} settings - The settings to migrate, mapped by target ID
+	 * @param {number} from - Version the settings are at
+	 * @param {boolean} dryRun - Whether the changes will only be reported
+	 * @return {Promise<Array<{version: number, description: ?string, changes: string[]}>>}
+	 * @private
+	 */
+	async runMigrations(settings, from, dryRun) {
+		const pending = this.client.registry.migrations
+			.filter(migration => migration.version > from)
+			.sort((a, b) => a.version - b.version);
+		const helper = new MigrationHelper(this, settings);
+		const results = [];
+		for(const migration of pending.values()) {
+			helper.changes = [];
+			await migration.migrate(helper, this); // eslint-disable-line no-await-in-loop
+			results.push({ version: migration.version, description: migration.description, changes: helper.changes });
+			for(const change of helper.changes) {
+				this.client.emit('debug', `Settings migration ${migration.version}${dryRun ? ' (dry run)' : ''}: ${change}`);
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Stores the differences between changed settings and the current settings with {@link SettingProvider#setMany},
+	 * so the values of registered settings are all validated before anything is stored
+	 * @param {Map<string, Object>} updated - All of the changed settings, mapped by target ID
+	 * @param {SettingChange[]} [changes=[]] - Other changes to store in the same batch
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async storeSettings(updated, changes = []) {
+		const stored = [];
+		for(const [id, settings] of updated) {
+			const current = this.settings.get(id) || {};
+			for(const [key, val] of Object.entries(settings)) {
+				if(JSON.stringify(val) !== JSON.stringify(current[key])) stored.push({ guild: id, key, val });
+			}
+		}
+		for(const [id, settings] of this.settings) {
+			const values = updated.get(id) || {};
+			for(const key of Object.keys(settings)) {
+				if(typeof values[key] === 'undefined' && typeof settings[key] !== 'undefined') {
+					stored.push({ guild: id, key, val: undefined });
+				}
+			}
+		}
+		stored.push(...changes);
+		if(stored.length > 0) await this.setMany(stored);
+	}
+
+	/**
+	 * Stores the command prefixes, command and group statuses and permission overrides that were changed in guilds
+	 * while the client had no provider, which were only kept in memory until now
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async storeGuildStates() {
+		const guilds = Array.from(this.client.guilds.cache.values()).filter(guild => guild._commandState);
+		const changes = [];
+		for(const guild of guilds) {
+			for(const [key, val] of Object.entries(guild._commandState)) changes.push({ guild, key, val });
+		}
+		if(changes.length === 0) return;
+		await this.setMany(changes);
+		for(const guild of guilds) {
+			for(const key of Object.keys(guild._commandState)) delete guild._commandState[key];
+		}
+	}
+
+	/**
+	 * Applies the stored global settings to the client, commands and groups
+	 * @private
+	 */
+	setupGlobal() {
+		const prefix = this.get('global', 'prefix');
+		if(typeof prefix !== 'undefined') this.client._commandPrefix = prefix;
+		for(const command of this.client.registry.commands.values()) this.setupGlobalCommand(command);
+		for(const group of this.client.registry.groups.values()) this.setupGlobalGroup(group);
+	}
+
+	/**
+	 * Applies the stored global status of a command
+	 * @param {FrameCommand} command - Command to set up
+	 * @private
+	 */
+	setupGlobalCommand(command) {
+		const enabled = this.get('global', `cmd-${command.name}`);
+		if(typeof enabled !== 'undefined') command._globalEnabled = enabled;
+	}
+
+	/**
+	 * Applies the stored global status of a group
+	 * @param {FrameGroup} group - Group to set up
+	 * @private
+	 */
+	setupGlobalGroup(group) {
+		const enabled = this.get('global', `grp-${group.id}`);
+		if(typeof enabled !== 'undefined') group._globalEnabled = enabled;
+	}
+
+	/**
+	 * Obtains the ID that settings of a target are stored under. This is the guild's ID for guilds, `global` for the
+	 * global settings, and `user:<id>`, `channel:<id>` or `member:<guild id>:<user id>` for the other scopes.
+	 * @param {SettingTarget} target - Target to get the ID of
+	 * @return {string}
+	 */
+	static getTargetID(target) {
+		if(target instanceof GuildMember) return `member:${target.guild.id}:${target.id}`;
+		if(target instanceof User) return `user:${target.id}`;
+		if(target instanceof Channel) return `channel:${target.id}`;
+		if(typeof target === 'string' && /^(?:(?:user|channel):\d+|member:\d+:\d+)$/.test(target)) return target;
+		if(target && typeof target === 'object' && !(target instanceof Guild)) {
+			const id = val => typeof val === 'string' && /^\d+$/.test(val) ? val : val && val.id;
+			if(target.guild && target.user && id(target.guild) && id(target.user)) {
+				return `member:${id(target.guild)}:${id(target.user)}`;
+			}
+			if(!target.guild && target.user && id(target.user)) return `user:${id(target.user)}`;
+			if(target.channel && id(target.channel)) return `channel:${id(target.channel)}`;
+			throw new TypeError('Invalid setting target specified. Must have a user, channel, or guild and user.');
+		}
+		return this.getGuildID(target);
+	}
+
+	/**
+	 * Obtains the scope of a target ID
+	 * @param {string} id - ID from {@link SettingProvider.getTargetID}
+	 * @return {string} One of `global`, `guild`, `user`, `channel` or `member`
+	 */
+	static getTargetScope(id) {
+		if(id === 'global') return 'global';
+		const match = /^(user|channel|member):/.exec(id);
+		return match ? match[1] : 'guild';
+	}
+
+	/**
+	 * Obtains the ID of the guild that a target belongs to
+	 * @param {string} id - ID from {@link SettingProvider.getTargetID}
+	 * @param {FrameClient} client - Client to look up channels with
+	 * @return {?string} ID of the guild, or null for global, user and uncached channel targets
+	 * @private
+	 */
+	static getTargetGuildID(id, client) {
+		switch(this.getTargetScope(id)) {
+			case 'guild': return id;
+			case 'member': return id.split(':')[1];
+			case 'channel': {
+				const channel = client.channels.cache.get(id.slice('channel:'.length));
+				return channel && channel.guildId ? channel.guildId : null;
+			}
+			default: return null;
+		}
+	}
+
+	/**
+	 * Obtains the version of the latest registered settings migration
+	 * @param {FrameClient} client - Client to get the migrations of
+	 * @return {number} The version, or 0 if there are no migrations
+	 * @private
+	 */
+	static latestVersion(client) {
+		const { migrations } = client.registry;
+		return migrations.size > 0 ? Math.max(...migrations.keys()) : 0;
+	}
+
+	/**
+	 * Obtains the ID of the provided guild, or 'global' for null or 'global'
+	 * @param {Guild|string} guild - Guild to get the ID of
+	 * @return {string} ID of the guild, or 'global'
+	 */
+	static getGuildID(guild) {
+		if(guild instanceof Guild) return guild.id;
+		if(guild === 'global' || guild === null) return 'global';
+		if(typeof guild === 'string' && !isNaN(guild)) return guild;
+		throw new TypeError('Invalid guild specified. Must be a Guild instance, guild ID, "global", or null.');
+	}
+}
+
+module.exports = SettingProvider;
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const SettingProvider = require('./base');
+
+/**
+ * Stores settings in a JSON file, mapped by target ID (see {@link SettingProvider.getTargetID}). The whole file is rewritten on every change, so
+ * this is meant for small bots running in a single process.
+ * @extends {SettingProvider}
+ */
+class JSONProvider extends SettingProvider {
+	/**
+	 * @param {string} file - Path of the JSON file to store settings in (created if it doesn't exist)
+	 * @param {Object} [options] - Options for the provider
+	 * @param {number} [options.spaces=0] - Indentation to write the file with
+	 */
+	constructor(file, { spaces = 0 } = {}) {
+		super();
+		if(typeof file !== 'string') throw new TypeError('JSONProvider file must be a string.');
+
+		/**
+		 * Path of the JSON file settings are stored in
+		 * @type {string}
+		 */
+		this.file = path.resolve(file);
+
+		/**
+		 * Indentation the file is written with
+		 * @type {number}
+		 * @private
+		 */
+		this.spaces = spaces;
+
+		/**
+		 * Promise of the last queued write, so writes never overlap
+		 * @type {Promise<void>}
+		 * @private
+		 */
+		this.writing = Promise.resolve();
+	}
+
+	async init(client) {
+		let data;
+		try {
+			data = await fs.promises.readFile(this.file, 'utf8');
+		} catch(err) {
+			if(err.code !== 'ENOENT') throw err;
+			data = null;
+		}
+
+		if(data) {
+			let settings;
+			try {
+				settings = JSON.parse(data);
+			} catch(err) {
+				throw new Error(`JSONProvider couldn't parse the settings file ${this.file}: ${err.message}`);
+			}
+			for(const [guild, values] of Object.entries(settings)) {
+				if(typeof values !== 'object' || values === null) {
+					client.emit('warn', `JSONProvider ignored the invalid settings stored for guild ${guild}.`);
+					continue;
+				}
+				this.settings.set(guild, values);
+			}
+		}
+
+		await this.attach(client);
+	}
+
+	async destroy() {
+		this.detach();
+		await this.writing;
+	}
+
+	async set(guild, key, val) {
+		if(this.client.registry.settings.has(key)) val = await this.resolveSetting(guild, key, val);
+		guild = this.constructor.getTargetID(guild);
+		let settings = this.settings.get(guild);
+		if(!settings) {
+			settings = {};
+			this.settings.set(guild, settings);
+		}
+
+		settings[key] = val;
+		await this.save();
+		return val;
+	}
+
+	async remove(guild, key) {
+		guild = this.constructor.getTargetID(guild);
+		const settings = this.settings.get(guild);
+		if(!settings || typeof settings[key] === 'undefined') return undefined;
+
+		const val = settings[key];
+		delete settings[key];
+		await this.save();
+		return val;
+	}
+
+	async clear(guild) {
+		guild = this.constructor.getTargetID(guild);
+		if(!this.settings.delete(guild)) return;
+		await this.save();
+	}
+
+	/**
+	 * Sets or removes multiple settings, writing the file once for all of them
+	 * @param {SettingChange[]} changes - The changes to make
+	 * @return {Promise<Array<*>>} The values of the settings after changing, in the order of the changes
+	 */
+	setMany(changes) {
+		return this.batchChanges(changes, () => this.save());
+	}
+
+	/**
+	 * Writes the cached settings to the file, after any write that is already in progress. The data is written to a
+	 * temporary file first and then renamed over the settings file, so it is never left half-written.
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	save() {
+		const write = async () => {
+			const data = JSON.stringify(Object.fromEntries(this.settings), null, this.spaces);
+			const tmp = `${this.file}.tmp`;
+			await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+			await fs.promises.writeFile(tmp, data);
+			await fs.promises.rename(tmp, this.file);
+		};
+		this.writing = this.writing.then(write, write);
+		return this.writing;
+	}
+}
+
+module.exports = JSONProvider;
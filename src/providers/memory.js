@@ -0,0 +1,60 @@
+const SettingProvider = require('./base');
+
+/**
+ * Keeps settings in memory only, so they are lost when the process exits. Useful for tests and small bots that don't
+ * need their settings persisted.
+ * @extends {SettingProvider}
+ */
+class MemoryProvider extends SettingProvider {
+	/**
+	 * @param {Object<string, Object>} [settings={}] - Initial settings, mapped by guild ID, 'global', or other target ID
+	 */
+	constructor(settings = {}) {
+		super();
+		if(typeof settings !== 'object' || settings === null) throw new TypeError('Initial settings must be an Object.');
+		for(const [guild, values] of Object.entries(settings)) {
+			this.settings.set(this.constructor.getTargetID(guild), { ...values });
+		}
+	}
+
+	async init(client) {
+		await this.attach(client);
+	}
+
+	async destroy() {
+		this.detach();
+	}
+
+	async set(guild, key, val) {
+		if(this.client.registry.settings.has(key)) val = await this.resolveSetting(guild, key, val);
+		guild = this.constructor.getTargetID(guild);
+		let settings = this.settings.get(guild);
+		if(!settings) {
+			settings = {};
+			this.settings.set(guild, settings);
+		}
+
+		settings[key] = val;
+		return val;
+	}
+
+	async remove(guild, key) {
+		guild = this.constructor.getTargetID(guild);
+		const settings = this.settings.get(guild);
+		if(!settings || typeof settings[key] === 'undefined') return undefined;
+
+		const val = settings[key];
+		delete settings[key];
+		return val;
+	}
+
+	async clear(guild) {
+		this.settings.delete(this.constructor.getTargetID(guild));
+	}
+
+	setMany(changes) {
+		return this.batchChanges(changes, () => null);
+	}
+}
+
+module.exports = MemoryProvider;
@@ -0,0 +1,170 @@
+/**
+ * Helper passed to the migrate functions of registered migrations. It works on a copy of the provider's settings,
+ * so nothing is stored until every pending migration has run, and the changes of a dry run are only reported.
+ */
+class MigrationHelper {
+	/**
+	 * @param {SettingProvider} provider - Provider that is being migrated
+	 * @param {Map<string, Object>} settings - Copy of the provider's settings, mapped by target ID
+	 * @private
+	 */
+	constructor(provider, settings) {
+		/**
+		 * Provider that is being migrated
+		 * @name MigrationHelper#provider
+		 * @type {SettingProvider}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'provider', { value: provider });
+
+		/**
+		 * Copy of the provider's settings that the migrations are applied to, mapped by target ID
+		 * @type {Map<string, Object>}
+		 * @private
+		 */
+		this.settings = settings;
+
+		/**
+		 * Descriptions of the changes made by the migration that is currently running
+		 * @type {string[]}
+		 */
+		this.changes = [];
+	}
+
+	/**
+	 * Gets the IDs of all targets that have settings
+	 * @param {string} [scope] - Scope to get the targets of (`global`, `guild`, `user`, `channel` or `member`)
+	 * @return {string[]}
+	 */
+	targets(scope) {
+		const ids = Array.from(this.settings.keys());
+		if(!scope) return ids;
+		return ids.filter(id => this.provider.constructor.getTargetScope(id) === scope);
+	}
+
+	/**
+	 * Gets a setting of a target
+	 * @param {SettingTarget} target - Target the setting is associated with
+	 * @param {string} key - Name of the setting
+	 * @return {*}
+	 */
+	get(target, key) {
+		const settings = this.settings.get(this.provider.constructor.getTargetID(target));
+		return settings ? settings[key] : undefined;
+	}
+
+	/**
+	 * Sets a setting of a target
+	 * @param {SettingTarget} target - Target to associate the setting with
+	 * @param {string} key - Name of the setting
+	 * @param {*} val - Value of the setting (`undefined` removes the setting)
+	 */
+	set(target, key, val) {
+		if(typeof val === 'undefined') {
+			this.remove(target, key);
+			return;
+		}
+		const id = this.provider.constructor.getTargetID(target);
+		let settings = this.settings.get(id);
+		if(!settings) {
+			settings = {};
+			this.settings.set(id, settings);
+		}
+		settings[key] = val;
+		this.changes.push(`Set ${key} of ${id} to ${JSON.stringify(val)}`);
+	}
+
+	/**
+	 * Removes a setting of a target
+	 * @param {SettingTarget} target - Target the setting is associated with
+	 * @param {string} key - Name of the setting
+	 */
+	remove(target, key) {
+		const id = this.provider.constructor.getTargetID(target);
+		const settings = this.settings.get(id);
+		if(!settings || typeof settings[key] === 'undefined') return;
+		delete settings[key];
+		this.changes.push(`Removed ${key} of ${id}`);
+	}
+
+	/**
+	 * Renames a setting on every target that has it
+	 * @param {string} from - Current name of the setting
+	 * @param {string} to - New name of the setting
+	 * @param {string} [scope] - Scope to rename the setting in (all scopes if not specified)
+	 */
+	renameKey(from, to, scope) {
+		for(const id of this.targets(scope)) {
+			const settings = this.settings.get(id);
+			if(typeof settings[from] === 'undefined') continue;
+			settings[to] = settings[from];
+			delete settings[from];
+			this.changes.push(`Renamed ${from} of ${id} to ${to}`);
+		}
+	}
+
+	/**
+	 * Transforms the value of a setting on every target that has it
+	 * @param {string} key - Name of the setting
+	 * @param {Function} fn - Function that is passed the current value and the target ID, and returns the new value
+	 * (or `undefined` to remove the setting)
+	 * @param {string} [scope] - Scope to transform the setting in (all scopes if not specified)
+	 */
+	transform(key, fn, scope) {
+		for(const id of this.targets(scope)) {
+			const settings = this.settings.get(id);
+			if(typeof settings[key] === 'undefined') continue;
+			const val = fn(settings[key], id);
+			if(typeof val === 'undefined') {
+				this.remove(id, key);
+			} else if(JSON.stringify(val) !== JSON.stringify(settings[key])) {
+				settings[key] = val;
+				this.changes.push(`Transformed ${key} of ${id} to ${JSON.stringify(val)}`);
+			}
+		}
+	}
+
+	/**
+	 * Moves a setting from the targets of one scope to targets of another scope
+	 * @param {string} key - Name of the setting
+	 * @param {string} fromScope - Scope to move the setting from
+	 * @param {Function} mapTarget - Function that is passed the value and the ID of a target the setting is moved from,
+	 * and returns the {@link SettingTarget} to move it to, an Array of targets to copy it to, or null to drop the value
+	 * @param {Object} [options] - Options for the move
+	 * @param {string} [options.toKey=key] - Name of the setting on the new targets
+	 * @param {Function} [options.transform] - Function that is passed the value and the ID of the new target,
+	 * and returns the value to store on it
+	 * @example
+	 * // Move a global blacklist Array to a flag on each user
+	 * migration.moveScope('user-blacklist', 'global', ids => ids.map(id => ({ user: id })), {
+	 * 	toKey: 'blacklisted',
+	 * 	transform: () => true
+	 * });
+	 */
+	moveScope(key, fromScope, mapTarget, { toKey = key, transform = null } = {}) {
+		if(typeof mapTarget !== 'function') throw new TypeError('The target mapping function must be a function.');
+		for(const id of this.targets(fromScope)) {
+			const settings = this.settings.get(id);
+			if(typeof settings[key] === 'undefined') continue;
+			const val = settings[key];
+			delete settings[key];
+
+			let targets = mapTarget(val, id);
+			if(targets === null || typeof targets === 'undefined') targets = [];
+			if(!Array.isArray(targets)) targets = [targets];
+			const ids = targets.map(target => this.provider.constructor.getTargetID(target));
+			for(const target of ids) {
+				let newSettings = this.settings.get(target);
+				if(!newSettings) {
+					newSettings = {};
+					this.settings.set(target, newSettings);
+				}
+				newSettings[toKey] = transform ? transform(val, target) : val;
+			}
+			const moved = ids.length ? ids.map(target => `${toKey} of ${target}`).join(', ') : 'nowhere';
+			this.changes.push(`Moved ${key} of ${id} to ${moved}`);
+		}
+	}
+}
+
+module.exports = MigrationHelper;
@@ -0,0 +1,133 @@
+const SettingProvider = require('./base');
+
+/**
+ * @external MongoCollection
+ * @see {@link https://www.npmjs.com/package/mongodb}
+ */
+
+/**
+ * Uses a MongoDB collection (or any driver with the same collection API) to store settings, with one document per
+ * guild (or other target) keyed by its target ID - see {@link SettingProvider.getTargetID}. Every change only updates the key that changed.
+ * @extends {SettingProvider}
+ */
+class MongoProvider extends SettingProvider {
+	/**
+	 * @param {MongoCollection} collection - Collection to store the settings documents in
+	 */
+	constructor(collection) {
+		super();
+		if(!collection || typeof collection.updateOne !== 'function') {
+			throw new TypeError('MongoProvider collection must be a MongoDB collection.');
+		}
+
+		/**
+		 * Collection the settings documents are stored in
+		 * @type {MongoCollection}
+		 */
+		this.collection = collection;
+	}
+
+	async init(client) {
+		const docs = await this.collection.find({}).toArray();
+		for(const doc of docs) {
+			if(typeof doc.settings !== 'object' || doc.settings === null) {
+				client.emit('warn', `MongoProvider ignored the invalid settings stored for guild ${doc._id}.`);
+				continue;
+			}
+			const settings = {};
+			for(const [key, val] of Object.entries(doc.settings)) settings[this.constructor.decodeKey(key)] = val;
+			this.settings.set(String(doc._id), settings);
+		}
+
+		await this.attach(client);
+	}
+
+	async destroy() {
+		this.detach();
+	}
+
+	async set(guild, key, val) {
+		if(this.client.registry.settings.has(key)) val = await this.resolveSetting(guild, key, val);
+		if(typeof val === 'undefined') {
+			await this.remove(guild, key);
+			return val;
+		}
+
+		guild = this.constructor.getTargetID(guild);
+		let settings = this.settings.get(guild);
+		if(!settings) {
+			settings = {};
+			this.settings.set(guild, settings);
+		}
+
+		settings[key] = val;
+		await this.collection.updateOne(
+			{ _id: guild },
+			{ $set: { [`settings.${this.constructor.encodeKey(key)}`]: val } },
+			{ upsert: true }
+		);
+		return val;
+	}
+
+	async remove(guild, key) {
+		guild = this.constructor.getTargetID(guild);
+		const settings = this.settings.get(guild);
+		if(!settings || typeof settings[key] === 'undefined') return undefined;
+
+		const val = settings[key];
+		delete settings[key];
+		await this.collection.updateOne({ _id: guild }, { $unset: { [`settings.${this.constructor.encodeKey(key)}`]: '' } });
+		return val;
+	}
+
+	async clear(guild) {
+		guild = this.constructor.getTargetID(guild);
+		if(!this.settings.delete(guild)) return;
+		await this.collection.deleteOne({ _id: guild });
+	}
+
+	/**
+	 * Sets or removes multiple settings with one bulk write, which updates the document of each changed target once
+	 * (or deletes it if the target is left without settings)
+	 * @param {SettingChange[]} changes - The changes to make
+	 * @return {Promise<Array<*>>} The values of the settings after changing, in the order of the changes
+	 */
+	setMany(changes) {
+		return this.batchChanges(changes, (ids, resolved) => {
+			const operations = ids.map(id => {
+				const settings = this.settings.get(id);
+				if(!settings) return { deleteOne: { filter: { _id: id } } };
+				const update = {};
+				for(const { key } of resolved.filter(change => change.id === id)) {
+					const field = `settings.${this.constructor.encodeKey(key)}`;
+					if(typeof settings[key] === 'undefined') update.$unset = { ...update.$unset, [field]: '' };
+					else update.$set = { ...update.$set, [field]: settings[key] };
+				}
+				return { updateOne: { filter: { _id: id }, update, upsert: true } };
+			});
+			return this.collection.bulkWrite(operations, { ordered: true });
+		});
+	}
+
+	/**
+	 * Escapes the characters of a setting key that have a special meaning in document field names
+	 * @param {string} key - Key to escape
+	 * @return {string}
+	 * @private
+	 */
+	static encodeKey(key) {
+		return key.replace(/[%.$]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+	}
+
+	/**
+	 * Reverts {@link MongoProvider.encodeKey}
+	 * @param {string} key - Key to unescape
+	 * @return {string}
+	 * @private
+	 */
+	static decodeKey(key) {
+		return key.replace(/%(25|2E|24)/g, (match, code) => String.fromCharCode(parseInt(code, 16)));
+	}
+}
+
+module.exports = MongoProvider;
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const SettingProvider = require('./base');
+const RedisConnection = require('./resp');
+
+/**
+ * Stores settings in Redis (or any server speaking its protocol), with the settings of each guild (or other target) in a hash. Every change
+ * is published on a channel, so the caches of all processes using the same server and key prefix stay up to date.
+ * @extends {SettingProvider}
+ */
+class RedisProvider extends SettingProvider {
+	/**
+	 * @typedef {Object} RedisProviderOptions
+	 * @property {string} [host=127.0.0.1] - Host of the server
+	 * @property {number} [port=6379] - Port of the server
+	 * @property {string} [password] - Password to authenticate with
+	 * @property {number} [db] - Index of the database to select
+	 * @property {string} [prefix=djsframe:] - Prefix of all keys and the channel used by the provider
+	 * @property {number} [reconnectDelay=100] - Delay before reconnecting after losing the connection (in milliseconds),
+	 * which doubles with every failed attempt
+	 * @property {number} [maxReconnectDelay=30000] - Maximum delay between reconnection attempts (in milliseconds)
+	 */
+
+	/**
+	 * @param {RedisProviderOptions} [options] - Options for the provider
+	 */
+	constructor(options = {}) {
+		super();
+		if(typeof options !== 'object' || options === null) throw new TypeError('RedisProvider options must be an Object.');
+
+		/**
+		 * Options for the provider
+		 * @type {RedisProviderOptions}
+		 */
+		this.options = { host: '127.0.0.1', port: 6379, prefix: 'djsframe:', ...options };
+
+		/**
+		 * Unique ID of the provider, used to ignore its own change notifications
+		 * @type {string}
+		 * @private
+		 */
+		this.id = crypto.randomBytes(8).toString('hex');
+
+		/**
+		 * Connection used for reading and writing settings
+		 * @type {?RedisConnection}
+		 * @private
+		 */
+		this.redis = null;
+
+		/**
+		 * Connection subscribed to the change notifications
+		 * @type {?RedisConnection}
+		 * @private
+		 */
+		this.subscriber = null;
+	}
+
+	/**
+	 * Name of the channel change notifications are published on
+	 * @type {string}
+	 * @readonly
+	 */
+	get channel() {
+		return `${this.options.prefix}changes`;
+	}
+
+	async init(client) {
+		this.redis = new RedisConnection(this.options);
+		this.subscriber = new RedisConnection(this.options);
+		for(const connection of [this.redis, this.subscriber]) {
+			connection.on('error', err => client.emit('warn', `RedisProvider connection error: ${err.message}`));
+			connection.on('disconnect', () => client.emit('warn', 'RedisProvider lost its connection, reconnecting.'));
+		}
+		try {
+			await Promise.all([this.redis.connect(), this.subscriber.connect()]);
+		} catch(err) {
+			await Promise.all([this.redis.quit(), this.subscriber.quit()]);
+			throw err;
+		}
+
+		await this.load(client);
+
+		// Keep the cache up to date with changes made by other processes
+		this.subscriber.on('message', (channel, message) => {
+			if(channel === this.channel) this.handleChange(message);
+		});
+		await this.subscriber.command('SUBSCRIBE', this.channel);
+
+		// Changes made while disconnected were missed, so the cache is loaded again once both connections are back
+		for(const connection of [this.redis, this.subscriber]) {
+			connection.on('reconnect', () => {
+				if(!this.redis.socket || !this.subscriber.socket) return;
+				this.load(client).then(() => this.setupGlobal()).catch(err => {
+					client.emit('warn', `RedisProvider couldn't reload the settings after reconnecting: ${err.message}`);
+				});
+			});
+		}
+
+		await this.attach(client);
+	}
+
+	async destroy() {
+		this.detach();
+		await Promise.all([this.redis.quit(), this.subscriber.quit()]);
+	}
+
+	async set(guild, key, val) {
+		if(this.client.registry.settings.has(key)) val = await this.resolveSetting(guild, key, val);
+		if(typeof val === 'undefined') {
+			await this.remove(guild, key);
+			return val;
+		}
+
+		guild = this.constructor.getTargetID(guild);
+		let settings = this.settings.get(guild);
+		if(!settings) {
+			settings = {};
+			this.settings.set(guild, settings);
+		}
+
+		settings[key] = val;
+		const json = JSON.stringify(val);
+		await Promise.all([
+			this.redis.command('HSET', this.key(guild), key, json),
+			this.redis.command('SADD', this.key('guilds'), guild),
+			this.publish({ guild, key, value: json })
+		]);
+		return val;
+	}
+
+	async remove(guild, key) {
+		guild = this.constructor.getTargetID(guild);
+		const settings = this.settings.get(guild);
+		if(!settings || typeof settings[key] === 'undefined') return undefined;
+
+		const val = settings[key];
+		delete settings[key];
+		await Promise.all([
+			this.redis.command('HDEL', this.key(guild), key),
+			this.publish({ guild, key })
+		]);
+		return val;
+	}
+
+	async clear(guild) {
+		guild = this.constructor.getTargetID(guild);
+		if(!this.settings.delete(guild)) return;
+		await Promise.all([
+			this.redis.command('DEL', this.key(guild)),
+			this.redis.command('SREM', this.key('guilds'), guild),
+			this.publish({ guild, key: null })
+		]);
+	}
+
+	/**
+	 * Sets or removes multiple settings in one transaction (MULTI/EXEC)
+	 * @param {SettingChange[]} changes - The changes to make
+	 * @return {Promise<Array<*>>} The values of the settings after changing, in the order of the changes
+	 */
+	setMany(changes) {
+		return this.batchChanges(changes, async(ids, resolved) => {
+			const commands = [];
+			const notifications = [];
+			for(const { id, key, val } of resolved) {
+				if(!this.settings.has(id)) continue;
+				if(typeof val === 'undefined') {
+					commands.push(['HDEL', this.key(id), key]);
+					notifications.push({ guild: id, key });
+				} else {
+					const json = JSON.stringify(val);
+					commands.push(['HSET', this.key(id), key, json], ['SADD', this.key('guilds'), id]);
+					notifications.push({ guild: id, key, value: json });
+				}
+			}
+			for(const id of ids.filter(target => !this.settings.has(target))) {
+				commands.push(['DEL', this.key(id)], ['SREM', this.key('guilds'), id]);
+				notifications.push({ guild: id, key: null });
+			}
+			for(const change of notifications) {
+				commands.push(['PUBLISH', this.channel, JSON.stringify({ origin: this.id, ...change })]);
+			}
+
+			// The commands are all sent at once, so no other command of the connection can end up in the transaction
+			const replies = await Promise.all([
+				this.redis.command('MULTI'),
+				...commands.map(args => this.redis.command(...args)),
+				this.redis.command('EXEC')
+			]);
+			const failed = replies[replies.length - 1].find(reply => reply instanceof Error);
+			if(failed) throw failed;
+		});
+	}
+
+	/**
+	 * Loads all stored settings into the cache, replacing what it held (the guilds set holds the IDs of all targets
+	 * with settings)
+	 * @param {FrameClient} client - Client to warn about unparsable settings on
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async load(client) {
+		const guilds = await this.redis.command('SMEMBERS', this.key('guilds'));
+		const hashes = await Promise.all(guilds.map(guild => this.redis.command('HGETALL', this.key(guild))));
+		this.settings.clear();
+		for(let i = 0; i < guilds.length; i++) {
+			const settings = {};
+			for(let j = 0; j < hashes[i].length; j += 2) {
+				try {
+					settings[hashes[i][j]] = JSON.parse(hashes[i][j + 1]);
+				} catch(err) {
+					client.emit('warn', `RedisProvider couldn't parse the setting ${hashes[i][j]} of guild ${guilds[i]}.`);
+				}
+			}
+			this.settings.set(guilds[i], settings);
+		}
+	}
+
+	/**
+	 * Gets the full name of a key used by the provider
+	 * @param {string} name - Name of the key without the prefix
+	 * @return {string}
+	 * @private
+	 */
+	key(name) {
+		return `${this.options.prefix}${name}`;
+	}
+
+	/**
+	 * Notifies the other processes of a change
+	 * @param {Object} change - The change that was made
+	 * @param {string} change.guild - ID of the guild or other target that the change was made for
+	 * @param {?string} change.key - Key of the setting that was changed, or null if all settings were cleared
+	 * @param {string} [change.value] - JSON of the new value, if the setting wasn't removed
+	 * @return {Promise<number>}
+	 * @private
+	 */
+	publish(change) {
+		return this.redis.command('PUBLISH', this.channel, JSON.stringify({ origin: this.id, ...change }));
+	}
+
+	/**
+	 * Applies a change notification from another process to the cache
+	 * @param {string} message - The notification
+	 * @private
+	 */
+	handleChange(message) {
+		let change;
+		try {
+			change = JSON.parse(message);
+		} catch(err) {
+			this.client.emit('warn', `RedisProvider received an invalid change notification: ${message}`);
+			return;
+		}
+		if(change.origin === this.id) return;
+
+		if(change.key === null) {
+			this.settings.delete(change.guild);
+		} else if(typeof change.value === 'undefined') {
+			const settings = this.settings.get(change.guild);
+			if(settings) delete settings[change.key];
+		} else {
+			let settings = this.settings.get(change.guild);
+			if(!settings) {
+				settings = {};
+				this.settings.set(change.guild, settings);
+			}
+			settings[change.key] = JSON.parse(change.value);
+		}
+
+		if(change.guild === 'global') this.setupGlobal();
+	}
+}
+
+module.exports = RedisProvider;
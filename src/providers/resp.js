@@ -0,0 +1,265 @@
+const net = require('net');
+const EventEmitter = require('events');
+
+/**
+ * A minimal client for the Redis serialization protocol (RESP), supporting the commands needed by
+ * {@link RedisProvider} and {@link RedisThrottleStore}. Commands are pipelined and their replies resolved in order.
+ * Once a connection has subscribed to a channel, published messages are emitted as `message` events. When the
+ * connection is lost, it reconnects with an increasing delay and subscribes to its channels again, emitting
+ * `disconnect` and `reconnect` events.
+ * @extends {EventEmitter}
+ * @private
+ */
+class RedisConnection extends EventEmitter {
+	/**
+	 * @param {RedisProviderOptions} options - Options to connect with
+	 */
+	constructor(options) {
+		super();
+
+		/**
+		 * Options to connect with
+		 * @type {RedisProviderOptions}
+		 */
+		this.options = options;
+
+		/**
+		 * The connected socket
+		 * @type {?Socket}
+		 */
+		this.socket = null;
+
+		/**
+		 * Data received that hasn't been parsed into a full reply yet
+		 * @type {Buffer}
+		 */
+		this.buffer = Buffer.alloc(0);
+
+		/**
+		 * Callbacks of the commands that are waiting for a reply, in the order they were sent
+		 * @type {Array<{resolve: Function, reject: Function}>}
+		 */
+		this.pending = [];
+
+		/**
+		 * Channels the connection is subscribed to, which are subscribed to again after reconnecting
+		 * @type {Set<string>}
+		 */
+		this.subscriptions = new Set();
+
+		/**
+		 * Number of reconnection attempts since the connection was lost
+		 * @type {number}
+		 */
+		this.attempts = 0;
+
+		/**
+		 * Timeout of the next reconnection attempt
+		 * @type {?Timeout}
+		 */
+		this.reconnectTimeout = null;
+
+		/**
+		 * Whether the connection is being closed on purpose, so it shouldn't reconnect
+		 * @type {boolean}
+		 */
+		this.closing = false;
+	}
+
+	/**
+	 * Connects to the server, authenticating and selecting the database if the options say so
+	 * @return {Promise<void>}
+	 */
+	async connect() {
+		this.closing = false;
+		const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+		try {
+			await new Promise((resolve, reject) => {
+				socket.once('connect', resolve);
+				socket.once('error', reject);
+			});
+		} catch(err) {
+			socket.destroy();
+			throw err;
+		}
+		socket.removeAllListeners('error');
+		this.socket = socket;
+		this.socket.on('data', data => this.receive(data));
+		this.socket.on('error', err => this.emit('error', err));
+		this.socket.on('close', () => {
+			this.socket = null;
+			this.buffer = Buffer.alloc(0);
+			this.failPending(new Error('The Redis connection was closed.'));
+			if(this.closing) return;
+			this.emit('disconnect');
+			this.scheduleReconnect();
+		});
+
+		if(this.options.password) await this.command('AUTH', this.options.password);
+		if(this.options.db) await this.command('SELECT', this.options.db);
+		for(const channel of this.subscriptions) await this.command('SUBSCRIBE', channel);
+	}
+
+	/**
+	 * Sends a command to the server
+	 * @param {...string|number} args - Name and arguments of the command
+	 * @return {Promise<*>} The reply to the command
+	 */
+	command(...args) {
+		if(!this.socket) return Promise.reject(new Error('The Redis connection is not open.'));
+		if(String(args[0]).toUpperCase() === 'SUBSCRIBE') this.subscriptions.add(String(args[1]));
+		return new Promise((resolve, reject) => {
+			this.pending.push({ resolve, reject });
+			this.socket.write(this.constructor.encode(args));
+		});
+	}
+
+	/**
+	 * Closes the connection after all sent commands have been replied to
+	 * @return {Promise<void>}
+	 */
+	async quit() {
+		this.closing = true;
+		clearTimeout(this.reconnectTimeout);
+		this.reconnectTimeout = null;
+		if(!this.socket) return;
+		const socket = this.socket;
+		await this.command('QUIT').catch(() => null);
+		socket.destroy();
+	}
+
+	/**
+	 * Tries to connect again after a delay that doubles with every failed attempt,
+	 * up to {@link RedisProviderOptions#maxReconnectDelay}
+	 * @private
+	 */
+	scheduleReconnect() {
+		const { reconnectDelay = 100, maxReconnectDelay = 30000 } = this.options;
+		const delay = Math.min(reconnectDelay * (2 ** this.attempts), maxReconnectDelay);
+		this.attempts++;
+		this.reconnectTimeout = setTimeout(async() => {
+			this.reconnectTimeout = null;
+			try {
+				await this.connect();
+			} catch(err) {
+				if(this.socket) this.socket.destroy();
+				if(this.closing) return;
+				this.emit('error', err);
+				// A connection that was lost again has already scheduled its next attempt
+				if(!this.reconnectTimeout && !this.socket) this.scheduleReconnect();
+				return;
+			}
+			this.attempts = 0;
+			this.emit('reconnect');
+		}, delay);
+		if(this.reconnectTimeout.unref) this.reconnectTimeout.unref();
+	}
+
+	/**
+	 * Handles data received from the server
+	 * @param {Buffer} data - Data that was received
+	 * @private
+	 */
+	receive(data) {
+		this.buffer = Buffer.concat([this.buffer, data]);
+		let parsed;
+		while((parsed = this.parseBuffer())) {
+			this.buffer = this.buffer.slice(parsed.offset);
+			const reply = parsed.value;
+			if(Array.isArray(reply) && reply[0] === 'message') {
+				this.emit('message', reply[1], reply[2]);
+				continue;
+			}
+			const callbacks = this.pending.shift();
+			if(!callbacks) continue;
+			if(reply instanceof Error) callbacks.reject(reply);
+			else callbacks.resolve(reply);
+		}
+	}
+
+	/**
+	 * Parses the next reply in the buffer, closing the connection if the server sent something invalid
+	 * @return {?{value: *, offset: number}}
+	 * @private
+	 */
+	parseBuffer() {
+		try {
+			return this.constructor.parse(this.buffer, 0);
+		} catch(err) {
+			this.buffer = Buffer.alloc(0);
+			this.emit('error', err);
+			if(this.socket) this.socket.destroy();
+			return null;
+		}
+	}
+
+	/**
+	 * Rejects all commands waiting for a reply
+	 * @param {Error} err - Error to reject with
+	 * @private
+	 */
+	failPending(err) {
+		const pending = this.pending;
+		this.pending = [];
+		for(const callbacks of pending) callbacks.reject(err);
+	}
+
+	/**
+	 * Encodes a command as a RESP array of bulk strings
+	 * @param {Array<string|number>} args - Name and arguments of the command
+	 * @return {Buffer}
+	 */
+	static encode(args) {
+		let out = `*${args.length}\r\n`;
+		for(const arg of args) {
+			const str = String(arg);
+			out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+		}
+		return Buffer.from(out);
+	}
+
+	/**
+	 * Parses a single RESP reply
+	 * @param {Buffer} buffer - Buffer to parse from
+	 * @param {number} offset - Offset to start parsing at
+	 * @return {?{value: *, offset: number}} The value and the offset after it, or null if incomplete
+	 */
+	static parse(buffer, offset) {
+		const end = buffer.indexOf('\r\n', offset);
+		if(end === -1) return null;
+		const line = buffer.toString('utf8', offset + 1, end);
+		const next = end + 2;
+
+		switch(String.fromCharCode(buffer[offset])) {
+			case '+':
+				return { value: line, offset: next };
+			case '-':
+				return { value: new Error(line), offset: next };
+			case ':':
+				return { value: Number(line), offset: next };
+			case '$': {
+				const length = Number(line);
+				if(length === -1) return { value: null, offset: next };
+				if(buffer.length < next + length + 2) return null;
+				return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+			}
+			case '*': {
+				const length = Number(line);
+				if(length === -1) return { value: null, offset: next };
+				const values = [];
+				let pos = next;
+				for(let i = 0; i < length; i++) {
+					const item = this.parse(buffer, pos);
+					if(!item) return null;
+					values.push(item.value);
+					pos = item.offset;
+				}
+				return { value: values, offset: pos };
+			}
+			default:
+				throw new Error(`Unknown Redis reply type: ${String.fromCharCode(buffer[offset])}`);
+		}
+	}
+}
+
+module.exports = RedisConnection;
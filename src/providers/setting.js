@@ -0,0 +1,142 @@
+const Argument = require('../commands/argument');
+const SettingValueError = require('../errors/setting-value');
+
+const scopes = ['global', 'guild', 'user', 'channel', 'member'];
+
+/** A setting declared in the registry's settings schema */
+class FrameSetting {
+	/**
+	 * @typedef {Object} SettingInfo
+	 * @property {string} key - Key the setting is stored under
+	 * @property {string} type - Type of the setting (the ID of a registered argument type, or multiple IDs separated by
+	 * `|` for a union type - see {@link FrameRegistry#registerDefaultTypes} for the built-in types)
+	 * @property {string} [description] - Short description of the setting
+	 * @property {*} [default=null] - Value to use when the setting isn't set. Values of Discord structures are stored as
+	 * their IDs, so the default of e.g. a `role` setting should be a role ID.
+	 * @property {string} [scope=guild] - What the setting is stored for - one of `global`, `guild`, `user`, `channel`
+	 * or `member`
+	 * @property {number} [max] - Maximum value (for numbers) or length (for strings) of the setting
+	 * @property {number} [min] - Minimum value (for numbers) or length (for strings) of the setting
+	 * @property {string[]} [oneOf] - Values that are allowed for the setting
+	 */
+
+	/**
+	 * @param {FrameClient} client - Client the setting is for
+	 * @param {SettingInfo} info - Information for the setting
+	 */
+	constructor(client, info) {
+		this.constructor.validateInfo(client, info);
+
+		/**
+		 * Client that the setting is for
+		 * @name FrameSetting#client
+		 * @type {FrameClient}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'client', { value: client });
+
+		/**
+		 * Key the setting is stored under
+		 * @type {string}
+		 */
+		this.key = info.key;
+
+		/**
+		 * Short description of the setting
+		 * @type {?string}
+		 */
+		this.description = info.description || null;
+
+		/**
+		 * Value used when the setting isn't set
+		 * @type {*}
+		 */
+		this.default = typeof info.default !== 'undefined' ? info.default : null;
+
+		/**
+		 * What the setting is stored for - one of `global`, `guild`, `user`, `channel` or `member`
+		 * @type {string}
+		 */
+		this.scope = info.scope || 'guild';
+
+		/**
+		 * Argument that values of the setting are validated and parsed with
+		 * @type {Argument}
+		 * @private
+		 */
+		this.argument = new Argument(client, {
+			key: info.key,
+			prompt: this.description || info.key,
+			type: info.type,
+			max: info.max,
+			min: info.min,
+			oneOf: info.oneOf
+		});
+	}
+
+	/**
+	 * Type of the setting
+	 * @type {ArgumentType}
+	 * @readonly
+	 */
+	get type() {
+		return this.argument.type;
+	}
+
+	/**
+	 * Validates a value for the setting and converts it to the form it's stored in. Values are validated and parsed by
+	 * the setting's type as strings, so both user input and already typed values are accepted.
+	 * @param {*} val - Value to resolve
+	 * @param {CommandContext|Object} [ctx] - Context to validate and parse the value in.
+	 * Without one, the value is checked outside of any guild or channel.
+	 * @return {Promise<*>} The value to store
+	 * @throws {SettingValueError} If the value isn't valid for the setting
+	 */
+	async resolve(val, ctx = { client: this.client, guild: null, channel: null, author: null, member: null }) {
+		const raw = this.constructor.serialize(val);
+		let valid;
+		try {
+			valid = this.argument.isEmpty(String(raw), ctx) ? false : await this.argument.validate(String(raw), ctx);
+		} catch(err) {
+			valid = false;
+		}
+		if(!valid || typeof valid === 'string') throw new SettingValueError(this, raw, valid || undefined);
+		return this.constructor.serialize(await this.argument.parse(String(raw), ctx));
+	}
+
+	/**
+	 * Converts a value to a form that can be stored, using the IDs of Discord structures
+	 * @param {*} val - Value to convert
+	 * @return {*}
+	 */
+	static serialize(val) {
+		if(val && typeof val === 'object' && typeof val.id === 'string') return val.id;
+		return val;
+	}
+
+	/**
+	 * Validates the constructor parameters
+	 * @param {FrameClient} client - Client to validate
+	 * @param {SettingInfo} info - Info to validate
+	 * @private
+	 */
+	static validateInfo(client, info) {
+		if(!client) throw new Error('A client must be specified.');
+		if(typeof info !== 'object' || info === null) throw new TypeError('Setting info must be an Object.');
+		if(typeof info.key !== 'string') throw new TypeError('Setting key must be a string.');
+		if(!info.key || /\s/.test(info.key)) throw new Error('Setting key must not be empty or contain whitespace.');
+		if(/^(?:cmd|grp|throttle)-/.test(info.key) || ['settings-version', 'permission-overrides'].includes(info.key)) {
+			throw new Error(`The setting key "${info.key}" is reserved.`);
+		}
+		if(typeof info.type !== 'string') throw new TypeError('Setting type must be a string.');
+		if(info.description && typeof info.description !== 'string') {
+			throw new TypeError('Setting description must be a string.');
+		}
+		if(info.scope && !scopes.includes(info.scope)) {
+			throw new RangeError(`Setting scope must be one of: ${scopes.join(', ')}.`);
+		}
+		if(info.oneOf && !Array.isArray(info.oneOf)) throw new TypeError('Setting oneOf must be an Array.');
+	}
+}
+
+module.exports = FrameSetting;
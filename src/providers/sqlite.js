@@ -1,3 +1,5 @@
+const SettingProvider = require('./base');
+
 /**
  * @external SQLiteStatement
  * @see {@link https://www.npmjs.com/package/sqlite}
@@ -9,13 +11,34 @@
  */
 
 /**
- * Sets up a SQLite database to sotre guild settings
+ * Tables that the settings of each scope are stored in, with the columns identifying a row
+ * @type {Object<string, {name: string, columns: string[]}>}
+ * @private
  */
-class SQLiteProvider {
+const tables = {
+	guild: { name: 'settings', columns: ['guild'] },
+	user: { name: 'user_settings', columns: ['user'] },
+	channel: { name: 'channel_settings', columns: ['channel'] },
+	member: { name: 'member_settings', columns: ['guild', 'user'] }
+};
+
+/**
+ * Uses an SQLite database to store settings with guilds. Global and guild settings are stored in the `settings`
+ * table, and the other scopes in the `user_settings`, `channel_settings` and `member_settings` tables.
+ * @extends {SettingProvider}
+ */
+class SQLiteProvider extends SettingProvider {
 	/**
 	 * @param {SQLiteDatabase} db - The SQLite database to use for storing settings
+	 * @param {Object} [options] - Options for the provider
+	 * @param {number} [options.flushInterval=0] - How long to collect changes for (in milliseconds) before writing
+	 * them all in one transaction. With 0, every change is written right away.
 	 */
-  constructor(db) {
+  constructor(db, { flushInterval = 0 } = {}) {
+    super();
+		if(typeof flushInterval !== 'number' || !(flushInterval >= 0)) {
+			throw new RangeError('SQLiteProvider flushInterval must be a number of milliseconds, at least 0.');
+		}
 
 		/**
 		 * The database to be used for storing settings
@@ -24,33 +47,39 @@ class SQLiteProvider {
     this.db = db;
 
 		/**
-		 * The client that the provider is for (set automaticallyafter using {@link FrameClient#setProvider})
-		 * @name SQLiteProvider#client
-		 * @type {FrameClient}
-		 * @readonly
+		 * Prepared statements to insert or replace and to delete a settings row, mapped by the scope of the table
+		 * @type {Map<string, {insertOrReplace: SQLiteStatement, delete: SQLiteStatement}>}
+		 * @private
+		 */
+    this.statements = new Map();
+
+		/**
+		 * How long changes are collected for before they are written (0 if they are written right away)
+		 * @type {number}
 		 */
-    Object.defineProperty(this, 'client', {value: null, writable: true});
+		this.flushInterval = flushInterval;
 
 		/**
-		 * Guild and global settings, cached for faster loading
-		 * @type {Map}
+		 * IDs of the targets whose rows have changed since the last flush
+		 * @type {Set<string>}
 		 * @private
 		 */
-    this.settings = new Map();
+		this.pending = new Set();
 
 		/**
-		 * Prepared statement to insert or replace a settings row
-		 * @type {SQLiteStatement}
+		 * Timeout of the next flush
+		 * @type {?Timeout}
 		 * @private
 		 */
-    this.insertOrReplaceStmt = null;
+		this.flushTimeout = null;
 
 		/**
-		 * Prepared statement to delete an entire settings row
-		 * @type {SQLiteStatement}
+		 * Promise of the last write to the database. The connection can only have one transaction at a time, so writes
+		 * are queued and never overlap.
+		 * @type {Promise<void>}
 		 * @private
 		 */
-    this.deleteStmt = null;
+		this.writing = Promise.resolve();
   }
 
 	/**
@@ -58,60 +87,65 @@ class SQLiteProvider {
 	 * @param {FrameClient} client - The client to use for the provider
 	 */
   async init(client) {
-    this.client = client;
-    await this.db.run('CREATE TABLE IF NOT EXISTS settings (guild INTEGER PRIMARY KEY, settings TEXT)');
-    const rows = await this.db.all('SELECT CAST(guild as TEXT) as guild, settings FROM settings');
-		for(const row of rows) {
-			let settings;
-			try {
-				settings = JSON.parse(row.settings);
-			} catch(err) {
-				client.emit('warn', `SQLiteProvider couldn't parse the settings stored for guild ${row.guild}.`);
-				continue;
+		for(const [scope, table] of Object.entries(tables)) {
+			/* eslint-disable no-await-in-loop */
+			const columns = table.columns.map(column => `${column} INTEGER`).join(', ');
+			await this.db.run(
+				`CREATE TABLE IF NOT EXISTS ${table.name} (${columns}, settings TEXT, PRIMARY KEY (${table.columns.join(', ')}))`
+			);
+			const ids = table.columns.map(column => `CAST(${column} as TEXT) as ${column}`).join(', ');
+			const rows = await this.db.all(`SELECT ${ids}, settings FROM ${table.name}`);
+			for(const row of rows) {
+				const id = this.constructor.getRowTargetID(scope, row);
+				let settings;
+				try {
+					settings = JSON.parse(row.settings);
+				} catch(err) {
+					client.emit('warn', `SQLiteProvider couldn't parse the settings stored for ${id}.`);
+					continue;
+				}
+				this.settings.set(id, settings);
 			}
 
-			const guild = row.guild !== '0' ? row.guild : 'global';
-			this.settings.set(guild, settings);
+			const where = table.columns.map(column => `${column} = ?`).join(' AND ');
+			const [insertOrReplace, del] = await Promise.all([
+				this.db.prepare(`INSERT OR REPLACE INTO ${table.name} VALUES(${table.columns.map(() => '?, ').join('')}?)`),
+				this.db.prepare(`DELETE FROM ${table.name} WHERE ${where}`)
+			]);
+			this.statements.set(scope, { insertOrReplace, delete: del });
+			/* eslint-enable no-await-in-loop */
 		}
-    const statements = await Promise.all([
-			this.db.prepare('INSERT OR REPLACE INTO settings VALUES(?, ?)'),
-			this.db.prepare('DELETE FROM settings WHERE guild = ?')
-		]);
-		this.insertOrReplaceStmt = statements[0];
-		this.deleteStmt = statements[1];
+
+		// Apply the stored global settings and listen for changes
+		await this.attach(client);
   }
 
 	/**
-	 * Finishes up all current operations with the database and closes the connection
+	 * Writes any changes that haven't been flushed yet, then finishes up all current operations with the database and
+	 * closes the connection. If the changes can't be written, the statements are left open so this can be retried.
 	 */
   async destroy() {
-    await Promise.all([
-			this.insertOrReplaceStmt.finalize(),
-			this.deleteStmt.finalize()
-		]);
-  }
+		await this.flush();
+    await Promise.all([...this.statements.values()].flatMap(stmts => [
+			stmts.insertOrReplace.finalize(),
+			stmts.delete.finalize()
+		]));
+		this.statements.clear();
 
-	/**
-	 * Gets a guild's or global setting from cached memory
-	 * @param {*} guild - The guild to get the settings for (or 'global')
-	 * @param {String} key - The key to the setting
-	 * @param {*} defVal - The default value to return if nothing is found
-	 * @returns {*} - The value of the setting
-	 */
-  get(guild, key, defVal) {
-		const settings = this.settings.get(this.getGuildID(guild));
-		return settings ? typeof settings[key] !== 'undefined' ? settings[key] : defVal : defVal;
-	}
+		// Remove all listeners from the client
+		this.detach();
+  }
 
 	/**
-	 * Sets or changes a setting of a guild or global
-	 * @param {*} guild - The guild to set the settings for (or 'global')
+	 * Sets or changes a setting of a guild, another target, or global
+	 * @param {SettingTarget} guild - The guild or other target to set the settings for (or 'global')
 	 * @param {String} key - The key to the setting
 	 * @param {*} val - The value to set
 	 * @returns {*} - The value of the setting after changing
 	 */
 	async set(guild, key, val) {
-		guild = this.getGuildID(guild);
+		if(this.client.registry.settings.has(key)) val = await this.resolveSetting(guild, key, val);
+		guild = this.constructor.getTargetID(guild);
 		let settings = this.settings.get(guild);
 		if(!settings) {
 			settings = {};
@@ -119,38 +153,176 @@ class SQLiteProvider {
 		}
 
 		settings[key] = val;
-		await this.insertOrReplaceStmt.run(guild !== 'global' ? guild : 0, JSON.stringify(settings));
+		await this.writeRow(guild, settings);
 		if(guild === 'global') this.updateOtherShards(key, val);
 		return val;
 	}
 
+	/**
+	 * Sets or removes multiple settings in one transaction. The values of registered settings are all validated first,
+	 * so either all of the changes are stored, or none of them are.
+	 * @param {SettingChange[]} changes - The changes to make
+	 * @return {Promise<Array<*>>} The values of the settings after changing, in the order of the changes
+	 * @example
+	 * await provider.setMany(group.commands.map(command => ({ guild, key: `cmd-${command.name}`, val: false })));
+	 */
+	setMany(changes) {
+		return this.batchChanges(changes, async(ids, resolved) => {
+			if(this.flushInterval > 0) {
+				for(const id of ids) this.queueWrite(id);
+			} else {
+				await this.enqueue(() => this.transaction(ids));
+			}
+			for(const { id, key, val } of resolved) if(id === 'global') this.updateOtherShards(key, val);
+		});
+	}
+
 	/**
 	 * Completely removes a setting from cache and database
-	 * @param {*} guild - The guild to delete the setting from
+	 * @param {SettingTarget} guild - The guild or other target to delete the setting from
 	 * @param {String} key - The key to the setting
 	 * @returns {*} - The value of the setting before it was deleted
 	 */
   async remove(guild, key) {
-		guild = this.getGuildID(guild);
+		guild = this.constructor.getTargetID(guild);
 		const settings = this.settings.get(guild);
 		if(!settings || typeof settings[key] === 'undefined') return undefined;
 
 		const val = settings[key];
 		settings[key] = undefined;
-		await this.insertOrReplaceStmt.run(guild !== 'global' ? guild : 0, JSON.stringify(settings));
+		await this.writeRow(guild, settings);
 		if(guild === 'global') this.updateOtherShards(key, undefined);
 		return val;
 	}
 
 	/**
 	 * Clears all the setting for a guild
-	 * @param {*} guild - The guild to delete all data from
+	 * @param {SettingTarget} guild - The guild or other target to delete all data from
 	 */
 	async clear(guild) {
-		guild = this.getGuildID(guild);
+		guild = this.constructor.getTargetID(guild);
 		if(!this.settings.has(guild)) return;
 		this.settings.delete(guild);
-		await this.deleteStmt.run(guild !== 'global' ? guild : 0);
+		if(this.flushInterval > 0) {
+			this.queueWrite(guild);
+			return;
+		}
+		await this.enqueue(() => this.deleteRow(guild));
+	}
+
+	/**
+	 * Writes all changes that are waiting for the flush interval right away, in one transaction. If that fails, the
+	 * changes are kept to be written with the next flush.
+	 * @return {Promise<void>}
+	 * @emits {@link FrameClient#providerError}
+	 */
+	flush() {
+		const write = async () => {
+			if(this.flushTimeout) {
+				clearTimeout(this.flushTimeout);
+				this.flushTimeout = null;
+			}
+			if(this.pending.size === 0) return;
+			const ids = Array.from(this.pending);
+			this.pending.clear();
+			try {
+				await this.transaction(ids);
+			} catch(err) {
+				for(const id of ids) this.pending.add(id);
+				this.client.emit('providerError', err, this);
+				throw err;
+			}
+			this.client.emit('debug', `SQLiteProvider flushed the settings of ${ids.length} target(s).`);
+		};
+		return this.enqueue(write);
+	}
+
+	/**
+	 * Runs a write to the database once the writes before it have finished
+	 * @param {Function} write - Function that writes to the database
+	 * @return {Promise<*>} The result of the write
+	 * @private
+	 */
+	enqueue(write) {
+		const result = this.writing.then(write);
+		this.writing = result.catch(() => null);
+		return result;
+	}
+
+	/**
+	 * Marks the row of a target as changed, to be written with the next flush
+	 * @param {string} id - ID of the target
+	 * @private
+	 */
+	queueWrite(id) {
+		this.pending.add(id);
+		if(this.flushTimeout) return;
+		this.flushTimeout = setTimeout(() => {
+			this.flushTimeout = null;
+			// Failures are emitted as providerError events, and the changes are retried with the next flush
+			this.flush().catch(() => null);
+		}, this.flushInterval);
+	}
+
+	/**
+	 * Writes the cached settings of targets to their rows (or deletes the rows of targets without settings) in one
+	 * transaction. It must only be run through {@link SQLiteProvider#enqueue}.
+	 * @param {string[]} ids - IDs of the targets
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async transaction(ids) {
+		await this.db.run('BEGIN TRANSACTION');
+		try {
+			for(const id of ids) {
+				/* eslint-disable no-await-in-loop */
+				if(this.settings.has(id)) await this.storeRow(id, this.settings.get(id));
+				else await this.deleteRow(id);
+				/* eslint-enable no-await-in-loop */
+			}
+			await this.db.run('COMMIT');
+		} catch(err) {
+			await this.db.run('ROLLBACK').catch(() => null);
+			throw err;
+		}
+	}
+
+	/**
+	 * Writes the settings of a target to its row, or marks it to be written if changes are collected before flushing
+	 * @param {string} id - ID of the target
+	 * @param {Object} settings - Settings of the target
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async writeRow(id, settings) {
+		if(this.flushInterval > 0) {
+			this.queueWrite(id);
+			return;
+		}
+		await this.enqueue(() => this.storeRow(id, settings));
+	}
+
+	/**
+	 * Stores the settings of a target in its row right away
+	 * @param {string} id - ID of the target
+	 * @param {Object} settings - Settings of the target
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async storeRow(id, settings) {
+		const { scope, params } = this.constructor.getRowParams(id);
+		await this.statements.get(scope).insertOrReplace.run(...params, JSON.stringify(settings));
+	}
+
+	/**
+	 * Deletes the row of a target right away
+	 * @param {string} id - ID of the target
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async deleteRow(id) {
+		const { scope, params } = this.constructor.getRowParams(id);
+		await this.statements.get(scope).delete.run(...params);
 	}
 
 	/**
@@ -176,16 +348,28 @@ class SQLiteProvider {
 	}
 
 	/**
-	 * Gets the ID of a guild
-	 * @param {String|Guild} guild - The guild to get the ID of
-	 * @returns {String} - The ID of the guild
-	 * @static
+	 * Gets the table scope and the values of the identifying columns of a target's row
+	 * @param {string} id - ID of the target
+	 * @return {{scope: string, params: string[]}}
+	 * @private
+	 */
+	static getRowParams(id) {
+		if(id === 'global') return { scope: 'guild', params: [0] };
+		const scope = this.getTargetScope(id);
+		if(scope === 'guild') return { scope, params: [id] };
+		return { scope, params: id.split(':').slice(1) };
+	}
+
+	/**
+	 * Gets the target ID of a row
+	 * @param {string} scope - Scope of the table the row is from
+	 * @param {Object} row - The row
+	 * @return {string}
+	 * @private
 	 */
-  static getGuildID(guild) {
-		if(guild instanceof Guild) return guild.id;
-		if(guild === 'global' || guild === null) return 'global';
-		if(typeof guild === 'string' && !isNaN(guild)) return guild;
-		throw new TypeError('Invalid guild specified. Must be a Guild instance, guild ID, "global", or null.');
+	static getRowTargetID(scope, row) {
+		if(scope === 'guild') return row.guild !== '0' ? row.guild : 'global';
+		return [scope, ...tables[scope].columns.map(column => row[column])].join(':');
 	}
 }
 
@@ -4,8 +4,12 @@ const path = require('path');
 const fs = require('fs');
 const FrameGroup = require('./commands/group.js');
 const ArgumentType = require('./types/base.js');
+const FrameSetting = require('./providers/setting.js');
+const { oneLine } = require('common-tags');
 const { isConstructor } = require('./util.js');
 
+const slashNamePattern = /^[-_\p{L}\p{N}]{1,32}$/u;
+
 /**
  * Class for registering and searching for commands and groups
  */
@@ -41,6 +45,18 @@ class FrameRegistry {
      */
     this.types = new Collection();
 
+    /**
+     * All registered settings, mapped by their key
+     * @type {Collection<string, FrameSetting>}
+     */
+    this.settings = new Collection();
+
+    /**
+     * All registered settings migrations, mapped by their version
+     * @type {Collection<number, SettingMigration>}
+     */
+    this.migrations = new Collection();
+
     /**
      * Full path to bot's command folder
      * @type {?string}
@@ -58,11 +74,12 @@ class FrameRegistry {
    * Adds a new group to the registry
    * @param {String} id The ID of the group (must be lowercase)
    * @param {String} name The name of the group
+   * @param {boolean} [guarded=false] Whether the group should be protected from disabling
    * @returns {FrameRegistry} registry
    * @see {@link FrameRegistry#registerGroup}
    */
-  registerGroup(id, name) {
-    let group = new FrameGroup(this.client, id, name);
+  registerGroup(id, name, guarded) {
+    let group = new FrameGroup(this.client, id, name, guarded);
     if(this.groups.has(id)) {
       this.client.emit('warn', `Group already registered: ${id}, skipping.`);
     }else {
@@ -81,14 +98,14 @@ class FrameRegistry {
 
   /**
    * Adds multiple groups to the registry with one command
-   * @param {Array} groups - The groups to add to the registry
+   * @param {Array} groups - The groups to add to the registry, as arrays of the ID, name and whether it's guarded
    * @returns {FrameRegistry} registry
    */
   registerGroups(groups) {
     if(!Array.isArray(groups)) throw new TypeError('groups must be an array');
     groups.forEach(group => {
       if(!Array.isArray(group)) throw new TypeError('groups must be an array of arrays. example: [[id1, name1], [id2, name2]]');
-      this.registerGroup(group[0], group[1]);
+      this.registerGroup(group[0], group[1], group[2]);
     })
     return this;
   }
@@ -123,6 +140,7 @@ class FrameRegistry {
 
 		// Add the command
 		command.group = group;
+		command.groupID = group.id;
 		group.commands.set(command.name, command);
 		this.commands.set(command.name, command);
 		if(command.unknown) this.unknownCommand = command;
@@ -139,6 +157,63 @@ class FrameRegistry {
 		return this;
 	}
 
+	/**
+	 * Reregisters a command (does not support changing name, group, or memberName)
+	 * @param {FrameCommand|Function} command - New command
+	 * @param {FrameCommand} oldCommand - Old command
+	 */
+	reregisterCommand(command, oldCommand) {
+		/* eslint-disable new-cap */
+		if(isConstructor(command, FrameCommand)) command = new command(this.client);
+		else if(isConstructor(command.default, FrameCommand)) command = new command.default(this.client);
+		/* eslint-enable new-cap */
+		if(!(command instanceof FrameCommand)) throw new Error(`Invalid command object to reregister: ${command}`);
+		if(command.name !== oldCommand.name) throw new Error('Command name cannot change.');
+		if(command.groupID !== oldCommand.groupID) throw new Error('Command group cannot change.');
+		if(command.memberName !== oldCommand.memberName) throw new Error('Command memberName cannot change.');
+		if(command.unknown && this.unknownCommand && this.unknownCommand !== oldCommand) {
+			throw new Error('An unknown command is already registered.');
+		}
+		for(const alias of command.aliases) {
+			if(this.commands.some(cmd => cmd !== oldCommand && (cmd.name === alias || cmd.aliases.includes(alias)))) {
+				throw new Error(`A command with the name/alias "${alias}" is already registered.`);
+			}
+		}
+
+		command.group = this.resolveGroup(command.groupID);
+		command.group.commands.set(command.name, command);
+		this.commands.set(command.name, command);
+		if(this.unknownCommand === oldCommand) this.unknownCommand = null;
+		if(command.unknown) this.unknownCommand = command;
+
+		/**
+		 * Emitted when a command is reregistered
+		 * @event FrameClient#commandReregister
+		 * @param {FrameCommand} newCommand - New command
+		 * @param {FrameCommand} oldCommand - Old command
+		 */
+		this.client.emit('commandReregister', command, oldCommand);
+		this.client.emit('debug', `Reregistered command ${command.groupID}:${command.memberName}.`);
+	}
+
+	/**
+	 * Unregisters a command
+	 * @param {FrameCommand} command - Command to unregister
+	 */
+	unregisterCommand(command) {
+		this.commands.delete(command.name);
+		command.group.commands.delete(command.name);
+		if(this.unknownCommand === command) this.unknownCommand = null;
+
+		/**
+		 * Emitted when a command is unregistered
+		 * @event FrameClient#commandUnregister
+		 * @param {FrameCommand} command - Command that was unregistered
+		 */
+		this.client.emit('commandUnregister', command);
+		this.client.emit('debug', `Unregistered command ${command.groupID}:${command.memberName}.`);
+	}
+
   /**
    * Adds multiple commands to the registry with one command
    * @param {Array} commands - The command to add to the registry
@@ -258,6 +333,307 @@ class FrameRegistry {
 		return this.registerTypes(types, true);
 	}
 
+	/**
+	 * Registers a setting in the settings schema. The setting's values are validated whenever they are set through the
+	 * client's provider, and {@link SettingProvider#get} returns its default when it isn't set.
+	 * @param {FrameSetting|SettingInfo} setting - The setting, or the information to create it with
+	 * @return {FrameRegistry}
+	 * @see {@link FrameRegistry#registerSettings}
+	 * @example
+	 * registry.registerSetting({
+	 * 	key: 'volume',
+	 * 	type: 'integer',
+	 * 	description: 'Volume of the music player',
+	 * 	min: 0,
+	 * 	max: 100,
+	 * 	default: 50
+	 * });
+	 */
+	registerSetting(setting) {
+		if(!(setting instanceof FrameSetting)) setting = new FrameSetting(this.client, setting);
+		if(this.settings.has(setting.key)) throw new Error(`A setting with the key "${setting.key}" is already registered.`);
+		this.settings.set(setting.key, setting);
+
+		/**
+		 * Emitted when a setting is registered
+		 * @event FrameClient#settingRegister
+		 * @param {FrameSetting} setting - Setting that was registered
+		 * @param {FrameRegistry} registry - Registry that the setting was registered to
+		 */
+		this.client.emit('settingRegister', setting, this);
+		this.client.emit('debug', `Registered setting ${setting.key}.`);
+
+		return this;
+	}
+
+	/**
+	 * Registers multiple settings in the settings schema
+	 * @param {Array<FrameSetting|SettingInfo>} settings - The settings, or the information to create them with
+	 * @return {FrameRegistry}
+	 */
+	registerSettings(settings) {
+		if(!Array.isArray(settings)) throw new TypeError('Settings must be an Array.');
+		for(const setting of settings) this.registerSetting(setting);
+		return this;
+	}
+
+	/**
+	 * A migration of the stored settings, run by {@link SettingProvider#migrate}
+	 * @typedef {Object} SettingMigration
+	 * @property {number} version - Version of the settings after the migration (a positive integer)
+	 * @property {?string} [description] - Short description of the migration
+	 * @property {Function} migrate - Function that migrates the settings. It is passed a {@link MigrationHelper} and
+	 * the provider, and may return a Promise.
+	 */
+
+	/**
+	 * Registers a settings migration
+	 * @param {SettingMigration} migration - The migration
+	 * @return {FrameRegistry}
+	 * @see {@link FrameRegistry#registerMigrations}
+	 * @example
+	 * registry.registerMigration({
+	 * 	version: 2,
+	 * 	description: 'Store volumes as fractions',
+	 * 	migrate: migration => {
+	 * 		migration.renameKey('vol', 'volume', 'guild');
+	 * 		migration.transform('volume', vol => vol / 100);
+	 * 	}
+	 * });
+	 */
+	registerMigration(migration) {
+		if(typeof migration !== 'object' || migration === null) throw new TypeError('Migration must be an Object.');
+		if(!Number.isInteger(migration.version) || migration.version < 1) {
+			throw new RangeError('Migration version must be a positive integer.');
+		}
+		if(typeof migration.migrate !== 'function') throw new TypeError('Migration migrate must be a function.');
+		if(migration.description && typeof migration.description !== 'string') {
+			throw new TypeError('Migration description must be a string.');
+		}
+		if(this.migrations.has(migration.version)) {
+			throw new Error(`A migration with the version ${migration.version} is already registered.`);
+		}
+
+		this.migrations.set(migration.version, {
+			version: migration.version,
+			description: migration.description || null,
+			migrate: migration.migrate
+		});
+		this.client.emit('debug', `Registered settings migration ${migration.version}.`);
+		return this;
+	}
+
+	/**
+	 * Registers multiple settings migrations
+	 * @param {SettingMigration[]} migrations - The migrations
+	 * @return {FrameRegistry}
+	 */
+	registerMigrations(migrations) {
+		if(!Array.isArray(migrations)) throw new TypeError('Migrations must be an Array.');
+		for(const migration of migrations) this.registerMigration(migration);
+		return this;
+	}
+
+	/**
+	 * Generates the application command definitions for every registered command that can be used as a slash command,
+	 * along with the commands' context menu commands
+	 * @return {ApplicationCommandData[]}
+	 * @example
+	 * await client.application.commands.set(client.registry.buildSlashCommands());
+	 */
+	buildSlashCommands() {
+		const data = [];
+		for(const command of this.commands.values()) {
+			if(command.unknown) continue;
+			if(command.contextMenu) data.push(command.toContextMenuCommand());
+			if(!command.slash) continue;
+			if(!slashNamePattern.test(command.name)) {
+				this.client.emit('warn', `Command name "${command.name}" can't be used for a slash command, skipping.`);
+				continue;
+			}
+			data.push(command.toSlashCommand());
+		}
+		return data;
+	}
+
+	/**
+	 * Report of the changes made by {@link FrameRegistry#syncSlashCommands}
+	 * @typedef {Object} SlashCommandSyncReport
+	 * @property {?Snowflake} guild - ID of the guild the commands were synced in, or null for global commands
+	 * @property {boolean} dryRun - Whether the changes were only calculated and not applied
+	 * @property {string[]} created - Names of the commands that were created
+	 * @property {string[]} updated - Names of the commands that were updated
+	 * @property {string[]} deleted - Names of the deployed commands that were deleted
+	 * @property {string[]} unchanged - Names of the commands that were already up to date
+	 */
+
+	/**
+	 * Deploys the registry's slash commands to Discord. The currently deployed commands are fetched and compared
+	 * with the registry, and only the ones that changed are created, updated or deleted.
+	 * @param {Object} [options] - Options for the sync
+	 * @param {?GuildResolvable} [options.guild] - Guild to deploy the commands in (useful for development),
+	 * the commands are deployed globally if this isn't specified
+	 * @param {boolean} [options.dryRun=false] - Whether to only report the changes without applying them
+	 * @return {Promise<SlashCommandSyncReport>}
+	 * @example
+	 * client.once('ready', async() => {
+	 * 	const report = await client.registry.syncSlashCommands({ guild: process.env.DEV_GUILD });
+	 * 	console.log(`Created ${report.created.length}, updated ${report.updated.length} slash commands.`);
+	 * });
+	 */
+	async syncSlashCommands({ guild = null, dryRun = false } = {}) {
+		if(!this.client.application) throw new Error('The client must be logged in to sync slash commands.');
+		const guildId = guild ? this.client.guilds.resolveId(guild) : null;
+		if(guild && !guildId) throw new TypeError('Invalid guild specified.');
+
+		const manager = this.client.application.commands;
+		const deployed = await manager.fetch(guildId ? { guildId } : undefined);
+		const report = { guild: guildId, dryRun, created: [], updated: [], deleted: [], unchanged: [] };
+		const wanted = new Map();
+		for(const data of this.buildSlashCommands()) wanted.set(`${data.type}:${data.name}`, data);
+
+		for(const command of deployed.values()) {
+			const data = wanted.get(`${command.type}:${command.name}`);
+			if(!data) {
+				if(!dryRun) await manager.delete(command, guildId);
+				report.deleted.push(command.name);
+			} else if(command.equals(data)) {
+				report.unchanged.push(data.name);
+			} else {
+				if(!dryRun) await manager.edit(command, data, guildId);
+				report.updated.push(data.name);
+			}
+			wanted.delete(`${command.type}:${command.name}`);
+		}
+		for(const data of wanted.values()) {
+			if(!dryRun) await manager.create(data, guildId);
+			report.created.push(data.name);
+		}
+
+		/**
+		 * Emitted when the registry's slash commands have been synced with Discord
+		 * @event FrameClient#slashCommandSync
+		 * @param {SlashCommandSyncReport} report - The changes that were made
+		 * @param {FrameRegistry} registry - Registry that the commands were synced from
+		 */
+		this.client.emit('slashCommandSync', report, this);
+		this.client.emit('debug', oneLine`
+			Synced slash commands${guildId ? ` in guild ${guildId}` : ''}${dryRun ? ' (dry run)' : ''}:
+			${report.created.length} created, ${report.updated.length} updated,
+			${report.deleted.length} deleted, ${report.unchanged.length} unchanged.
+		`);
+		return report;
+	}
+
+	/**
+	 * Finds all groups that match the search string
+	 * @param {string} [searchString] - The string to search for
+	 * @param {boolean} [exact=false] - Whether the search should be exact
+	 * @return {FrameGroup[]} All groups that are found
+	 */
+	findGroups(searchString = null, exact = false) {
+		if(!searchString) return Array.from(this.groups.values());
+
+		// Find all matches
+		const lcSearch = searchString.toLowerCase();
+		const matchedGroups = Array.from(this.groups.filter(
+			exact ? groupFilterExact(lcSearch) : groupFilterInexact(lcSearch)
+		).values());
+		if(exact) return matchedGroups;
+
+		// See if there's an exact match
+		for(const group of matchedGroups) {
+			if(group.name.toLowerCase() === lcSearch || group.id === lcSearch) return [group];
+		}
+		return matchedGroups;
+	}
+
+	/**
+	 * A FrameGroupResolvable can be:
+	 * * A FrameGroup
+	 * * A group ID
+	 * @typedef {FrameGroup|string} FrameGroupResolvable
+	 */
+
+	/**
+	 * Resolves a FrameGroupResolvable to a FrameGroup object
+	 * @param {FrameGroupResolvable} group - The group to resolve
+	 * @return {FrameGroup} The resolved FrameGroup
+	 */
+	resolveGroup(group) {
+		if(group instanceof FrameGroup) return group;
+		if(typeof group === 'string') {
+			const groups = this.findGroups(group, true);
+			if(groups.length === 1) return groups[0];
+		}
+		throw new Error('Unable to resolve group.');
+	}
+
+	/**
+	 * Finds all commands that match the search string
+	 * @param {string} [searchString] - The string to search for
+	 * @param {boolean} [exact=false] - Whether the search should be exact
+	 * @param {FrameMessage|CommandContext} [message] - The message or context to check usability against
+	 * @return {FrameCommand[]} All commands that are found
+	 */
+	findCommands(searchString = null, exact = false, message = null) {
+		if(!searchString) {
+			return message ?
+				Array.from(this.commands.filter(cmd => cmd.isUsable(message)).values()) :
+				Array.from(this.commands.values());
+		}
+
+		// Find all matches
+		const lcSearch = searchString.toLowerCase();
+		const matchedCommands = Array.from(this.commands.filter(
+			exact ? commandFilterExact(lcSearch) : commandFilterInexact(lcSearch)
+		).values());
+		if(exact) return matchedCommands;
+
+		// See if there's an exact match
+		for(const command of matchedCommands) {
+			if(command.name === lcSearch || (command.aliases && command.aliases.some(ali => ali === lcSearch))) {
+				return [command];
+			}
+		}
+
+		return matchedCommands;
+	}
+
+	/**
+	 * A FrameCommandResolvable can be:
+	 * * A FrameCommand
+	 * * A command name
+	 * * A FrameMessage or CommandContext with a command
+	 * @typedef {FrameCommand|string|FrameMessage|CommandContext} FrameCommandResolvable
+	 */
+
+	/**
+	 * Resolves a FrameCommandResolvable to a FrameCommand object
+	 * @param {FrameCommandResolvable} command - The command to resolve
+	 * @return {FrameCommand} The resolved FrameCommand
+	 */
+	resolveCommand(command) {
+		if(command instanceof FrameCommand) return command;
+		if(command && command.command instanceof FrameCommand) return command.command;
+		if(typeof command === 'string') {
+			const commands = this.findCommands(command, true);
+			if(commands.length === 1) return commands[0];
+		}
+		throw new Error('Unable to resolve command.');
+	}
+
+	/**
+	 * Resolves a command file path from a command's group ID and memberName
+	 * @param {string} group - ID of the command's group
+	 * @param {string} memberName - Member name of the command
+	 * @return {string} Fully-resolved path to the corresponding command file
+	 */
+	resolveCommandPath(group, memberName) {
+		if(!this.commandsPath) throw new Error('The registry has no commands path set.');
+		return path.join(this.commandsPath, group, `${memberName}.js`);
+	}
+
   /**
 	 * Registers the default argument types, groups, and commands. This is equivalent to:
 	 * ```js
@@ -295,10 +671,16 @@ class FrameRegistry {
 	 * @param {boolean} [commands.eval=true] - Whether to register the built-in eval command
 	 * (requires "util" group and "string" type)
 	 * @param {boolean} [commands.ping=true] - Whether to register the built-in ping command (requires "util" group)
+	 * @param {boolean} [commands.config=true] - Whether to register the built-in config command
+	 * (requires "util" group and "string" type)
+	 * @param {boolean} [commands.backup=true] - Whether to register the built-in backup command
+	 * (requires "util" group and "string" type)
 	 * @param {boolean} [commands.unknownCommand=true] - Whether to register the built-in unknown command
 	 * (requires "util" group)
 	 * @param {boolean} [commands.commandState=true] - Whether to register the built-in command state commands
 	 * (enable, disable, load, unload, reload, list groups - requires "commands" group, "command" type, and "group" type)
+	 * @param {boolean} [commands.permissions=true] - Whether to register the built-in permissions command
+	 * (requires "commands" group, and "command", "group", "role", "member" and "channel" types)
 	 * @return {FrameRegistry}
 	 */
 	registerDefaultCommands(commands = {}) {
@@ -307,14 +689,18 @@ class FrameRegistry {
 			prefix: true,
 			eval: true,
 			ping: true,
+			config: true,
+			backup: true,
 			unknownCommand: true,
-			commandState: true
+			commandState: true,
+			permissions: true
 		}, commands);
 
 		if(commands.help) this.registerCommand(require('./commands/util/help'));
-    /*
 		if(commands.prefix) this.registerCommand(require('./commands/util/prefix'));
 		if(commands.ping) this.registerCommand(require('./commands/util/ping'));
+		if(commands.config) this.registerCommand(require('./commands/util/config'));
+		if(commands.backup) this.registerCommand(require('./commands/util/backup'));
 		if(commands.eval) this.registerCommand(require('./commands/util/eval'));
 		if(commands.unknownCommand) this.registerCommand(require('./commands/util/unknown-command'));
 		if(commands.commandState) {
@@ -327,7 +713,7 @@ class FrameRegistry {
 				require('./commands/commands/unload')
 			]);
 		}
-    */
+		if(commands.permissions) this.registerCommand(require('./commands/commands/permissions'));
 		return this;
 	}
 
@@ -379,4 +765,24 @@ class FrameRegistry {
 	}
 }
 
+function groupFilterExact(search) {
+	return grp => grp.id === search || grp.name.toLowerCase() === search;
+}
+
+function groupFilterInexact(search) {
+	return grp => grp.id.includes(search) || grp.name.toLowerCase().includes(search);
+}
+
+function commandFilterExact(search) {
+	return cmd => cmd.name === search ||
+		(cmd.aliases && cmd.aliases.some(ali => ali === search)) ||
+		`${cmd.groupID}:${cmd.memberName}` === search;
+}
+
+function commandFilterInexact(search) {
+	return cmd => cmd.name.includes(search) ||
+		`${cmd.groupID}:${cmd.memberName}` === search ||
+		(cmd.aliases && cmd.aliases.some(ali => ali.includes(search)));
+}
+
 module.exports = FrameRegistry;
\ No newline at end of file
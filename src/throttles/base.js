@@ -0,0 +1,95 @@
+/**
+ * Stores the throttle states of commands, so that {@link FrameCommand#throttling} can be kept in memory, persisted
+ * or shared between processes. States are mapped by the target they apply to (see {@link SettingProvider.getTargetID})
+ * and a key identifying the command.
+ * @abstract
+ */
+class ThrottleStore {
+	constructor() {
+		if(this.constructor.name === 'ThrottleStore') throw new Error('The base ThrottleStore cannot be instantiated.');
+
+		/**
+		 * Client that the store is used by (set once it is initialised)
+		 * @type {?FrameClient}
+		 */
+		this.client = null;
+
+		/**
+		 * Promises of the updates in progress, mapped by target ID and key
+		 * @type {Map<string, Promise<void>>}
+		 * @private
+		 */
+		this._updates = new Map();
+	}
+
+	/**
+	 * Initialises the store for a client. This is called by the client it is passed to.
+	 * @param {FrameClient} client - Client that will be using the store
+	 */
+	init(client) {
+		this.client = client;
+	}
+
+	/**
+	 * Obtains the throttle state of a target
+	 * @param {string} target - ID of the target the throttle applies to
+	 * @param {string} key - Key of the throttle
+	 * @return {Promise<?Object>} The state, or null if there is none or it has expired
+	 * @abstract
+	 */
+	get(target, key) { throw new Error(`${this.constructor.name} doesn't have a get method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * Stores the throttle state of a target
+	 * @param {string} target - ID of the target the throttle applies to
+	 * @param {string} key - Key of the throttle
+	 * @param {Object} state - The state (must be JSON-serialisable)
+	 * @param {number} duration - How long the state should be kept for, in milliseconds
+	 * @return {Promise<void>}
+	 * @abstract
+	 */
+	set(target, key, state, duration) { throw new Error(`${this.constructor.name} doesn't have a set method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * Removes the throttle state of a target
+	 * @param {string} target - ID of the target the throttle applies to
+	 * @param {string} key - Key of the throttle
+	 * @return {Promise<void>}
+	 * @abstract
+	 */
+	delete(target, key) { throw new Error(`${this.constructor.name} doesn't have a delete method.`); } // eslint-disable-line no-unused-vars
+
+	/**
+	 * A change of a throttle state, returned by the updater passed to {@link ThrottleStore#update}
+	 * @typedef {Object} ThrottleStateChange
+	 * @property {Object} state - The new state (must be JSON-serialisable)
+	 * @property {number} duration - How long the state should be kept for, in milliseconds
+	 */
+
+	/**
+	 * Updates the throttle state of a target in one step, so no other update of the same state can happen between
+	 * reading and storing it. This implementation runs the updates of a state one after another with
+	 * {@link ThrottleStore#get} and {@link ThrottleStore#set}, which is only atomic within the process, so stores that
+	 * are shared between processes should override it.
+	 * @param {string} target - ID of the target the throttle applies to
+	 * @param {string} key - Key of the throttle
+	 * @param {Function} updater - Synchronous function that receives the current state (or null), and returns the
+	 * {@link ThrottleStateChange} to store or null to leave the state as it is. It may be called more than once.
+	 * @return {Promise<void>}
+	 */
+	update(target, key, updater) {
+		const id = `${target}:${key}`;
+		const update = (this._updates.get(id) || Promise.resolve()).then(async() => {
+			const change = updater(await this.get(target, key));
+			if(change) await this.set(target, key, change.state, change.duration);
+		});
+		const done = update.catch(() => null);
+		this._updates.set(id, done);
+		done.then(() => {
+			if(this._updates.get(id) === done) this._updates.delete(id);
+		});
+		return update;
+	}
+}
+
+module.exports = ThrottleStore;
@@ -0,0 +1,229 @@
+const { scopeTarget, memberRoles } = require('../util');
+
+/**
+ * Scopes that a throttling bucket can be counted in
+ * @type {string[]}
+ * @private
+ */
+const scopes = ['user', 'member', 'channel', 'guild', 'global'];
+
+/**
+ * Algorithms that a throttling bucket can count usages with
+ * @type {string[]}
+ * @private
+ */
+const algorithms = ['fixed', 'sliding'];
+
+/**
+ * A bucket that usages of a command are counted in, created from the command's {@link ThrottlingOptions}.
+ * Its states are kept in the client's {@link FrameClient#throttleStore}.
+ */
+class ThrottleBucket {
+	/**
+	 * @typedef {Object} ThrottlingOptions
+	 * @property {number} usages - Maximum number of usages of the command allowed in the time frame
+	 * @property {number} duration - Amount of time to count the usages of the command within (in seconds)
+	 * @property {string} [scope=user] - What the usages are counted for: `user`, `member` (a user in one guild),
+	 * `channel`, `guild`, or `global` (the whole bot). Outside of guilds, `member` counts for the user and `guild` for
+	 * the channel.
+	 * @property {string} [algorithm=fixed] - How usages are counted: `fixed` allows the usages within a time frame that
+	 * starts with the first usage, and `sliding` allows the usages within the time frame before each usage
+	 * @property {string} [bucket] - Name of a bucket that is shared with the other commands using the same name
+	 * (defaults to the name of the command)
+	 * @property {string[]} [exemptRoles] - IDs of roles whose members aren't throttled
+	 * @property {Object<string, number>} [roleMultipliers] - Multipliers of the allowed usages for members with roles,
+	 * mapped by role ID (the highest multiplier of the member's roles is used)
+	 */
+
+	/**
+	 * A state of a bucket for a command's usage, from {@link ThrottleBucket#hit}
+	 * @typedef {Object} Throttle
+	 * @property {ThrottleBucket} bucket - The bucket
+	 * @property {string} target - ID of the target the bucket counts usages for (see {@link SettingProvider.getTargetID})
+	 * @property {number} usages - Number of usages counted within the time frame (including this one if it was)
+	 * @property {number} limit - Maximum number of usages allowed for this usage
+	 * @property {number} remaining - Time until the command may be used again (in milliseconds, 0 if it may be used)
+	 * @property {boolean} counted - Whether the usage was counted in the bucket
+	 * @property {?number} time - When the usage was counted (the start of the time frame for `fixed` buckets)
+	 */
+
+	/**
+	 * @param {FrameCommand} command - Command that the bucket is for
+	 * @param {ThrottlingOptions} options - Options for the bucket
+	 */
+	constructor(command, options) {
+		this.constructor.validateOptions(options);
+
+		/**
+		 * Command that the bucket is for
+		 * @name ThrottleBucket#command
+		 * @type {FrameCommand}
+		 * @readonly
+		 */
+		Object.defineProperty(this, 'command', { value: command });
+
+		/**
+		 * Name of the bucket, which is shared by all commands with a bucket of the same name
+		 * @type {string}
+		 */
+		this.name = options.bucket || command.name;
+
+		/**
+		 * What the usages are counted for
+		 * @type {string}
+		 */
+		this.scope = options.scope || 'user';
+
+		/**
+		 * How the usages are counted
+		 * @type {string}
+		 */
+		this.algorithm = options.algorithm || 'fixed';
+
+		/**
+		 * Maximum number of usages allowed in the time frame
+		 * @type {number}
+		 */
+		this.usages = options.usages;
+
+		/**
+		 * Amount of time to count the usages within (in seconds)
+		 * @type {number}
+		 */
+		this.duration = options.duration;
+
+		/**
+		 * IDs of the roles whose members aren't throttled
+		 * @type {string[]}
+		 */
+		this.exemptRoles = options.exemptRoles || [];
+
+		/**
+		 * Multipliers of the allowed usages, mapped by role ID
+		 * @type {Object<string, number>}
+		 */
+		this.roleMultipliers = options.roleMultipliers || {};
+	}
+
+	/**
+	 * Counts a usage of the command in the bucket, unless the bucket is full. The usage is checked and counted in one
+	 * step of the client's {@link ThrottleStore}, so usages at the same time can't both take the last one allowed.
+	 * @param {CommandContext} ctx - The context of the command's usage
+	 * @return {Promise<?Throttle>} The state of the bucket for the usage (which wasn't counted if `remaining` is above
+	 * 0), or null if the usage isn't throttled by the bucket
+	 */
+	async hit(ctx) {
+		const roles = memberRoles(ctx.member);
+		if(this.exemptRoles.some(role => roles.includes(role))) return null;
+
+		const multipliers = roles.filter(role => role in this.roleMultipliers).map(role => this.roleMultipliers[role]);
+		const limit = Math.max(1, Math.floor(this.usages * (multipliers.length > 0 ? Math.max(...multipliers) : 1)));
+		const throttle = { bucket: this, target: this.target(ctx), limit };
+		const duration = this.duration * 1000;
+
+		await this.command.client.throttleStore.update(throttle.target, this.name, state => {
+			const now = Date.now();
+			Object.assign(throttle, { usages: 0, remaining: 0, counted: false, time: null });
+			if(this.algorithm === 'sliding') {
+				const hits = state && Array.isArray(state.hits) ? state.hits.filter(hit => hit > now - duration) : [];
+				throttle.usages = hits.length;
+				if(hits.length >= limit) {
+					// The usage that has to expire before the command is allowed again
+					throttle.remaining = hits[hits.length - limit] + duration - now;
+					return null;
+				}
+				hits.push(now);
+				Object.assign(throttle, { usages: hits.length, counted: true, time: now });
+				return { state: { hits }, duration };
+			}
+
+			const current = state && typeof state.start === 'number' && state.start + duration > now;
+			const usages = current ? state.usages : 0;
+			throttle.usages = usages;
+			if(usages >= limit) {
+				throttle.remaining = state.start + duration - now;
+				return null;
+			}
+			const start = current ? state.start : now;
+			Object.assign(throttle, { usages: usages + 1, counted: true, time: start });
+			return { state: { start, usages: usages + 1 }, duration: start + duration - now };
+		});
+		return throttle;
+	}
+
+	/**
+	 * Takes back a usage counted with {@link ThrottleBucket#hit}, for when the command isn't run after all
+	 * @param {Throttle} throttle - State of the bucket for the usage
+	 * @return {Promise<void>}
+	 */
+	async release(throttle) {
+		if(!throttle.counted) return;
+		const duration = this.duration * 1000;
+		await this.command.client.throttleStore.update(throttle.target, this.name, state => {
+			const now = Date.now();
+			if(this.algorithm === 'sliding') {
+				const index = state && Array.isArray(state.hits) ? state.hits.lastIndexOf(throttle.time) : -1;
+				if(index === -1) return null;
+				const hits = state.hits.filter((hit, i) => i !== index && hit > now - duration);
+				return { state: { hits }, duration };
+			}
+			// The time frame the usage was counted in may have ended already
+			if(!state || state.start !== throttle.time || state.start + duration <= now || !(state.usages > 0)) {
+				return null;
+			}
+			return { state: { start: state.start, usages: state.usages - 1 }, duration: state.start + duration - now };
+		});
+		throttle.counted = false;
+	}
+
+	/**
+	 * Obtains the ID of the target that the bucket counts a usage for
+	 * @param {CommandContext} ctx - The context of the command's usage
+	 * @return {string}
+	 */
+	target(ctx) {
+		return scopeTarget(this.scope, ctx);
+	}
+
+	/**
+	 * Validates the throttling options of a command
+	 * @param {ThrottlingOptions} options - Options to validate
+	 * @private
+	 */
+	static validateOptions(options) { // eslint-disable-line complexity
+		if(typeof options !== 'object' || options === null) throw new TypeError('Command throttling must be an Object.');
+		if(typeof options.usages !== 'number' || isNaN(options.usages)) {
+			throw new TypeError('Command throttling usages must be a number.');
+		}
+		if(options.usages < 1) throw new RangeError('Command throttling usages must be at least 1.');
+		if(typeof options.duration !== 'number' || isNaN(options.duration)) {
+			throw new TypeError('Command throttling duration must be a number.');
+		}
+		if(options.duration < 1) throw new RangeError('Command throttling duration must be at least 1.');
+		if(options.scope && !scopes.includes(options.scope)) {
+			throw new RangeError(`Command throttling scope must be one of: ${scopes.join(', ')}.`);
+		}
+		if(options.algorithm && !algorithms.includes(options.algorithm)) {
+			throw new RangeError(`Command throttling algorithm must be one of: ${algorithms.join(', ')}.`);
+		}
+		if(options.bucket && (typeof options.bucket !== 'string' || !/^[\w-]+$/.test(options.bucket))) {
+			throw new TypeError('Command throttling bucket must be a string of letters, numbers, "_" and "-".');
+		}
+		if(options.exemptRoles && (!Array.isArray(options.exemptRoles) ||
+			options.exemptRoles.some(role => typeof role !== 'string'))) {
+			throw new TypeError('Command throttling exemptRoles must be an Array of role IDs.');
+		}
+		if(options.roleMultipliers) {
+			if(typeof options.roleMultipliers !== 'object') {
+				throw new TypeError('Command throttling roleMultipliers must be an Object.');
+			}
+			for(const multiplier of Object.values(options.roleMultipliers)) {
+				if(typeof multiplier !== 'number' || !(multiplier > 0)) {
+					throw new RangeError('Command throttling roleMultipliers must be numbers greater than 0.');
+				}
+			}
+		}
+	}
+}
+
+module.exports = ThrottleBucket;
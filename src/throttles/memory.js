@@ -0,0 +1,62 @@
+const ThrottleStore = require('./base');
+
+/**
+ * Keeps throttle states in memory, so they are reset when the process restarts and aren't shared between shards.
+ * This is the default store.
+ * @extends {ThrottleStore}
+ */
+class MemoryThrottleStore extends ThrottleStore {
+	constructor() {
+		super();
+
+		/**
+		 * The stored states and the timeouts that remove them, mapped by target ID and key
+		 * @type {Map<string, {state: Object, timeout: Timeout}>}
+		 * @private
+		 */
+		this.throttles = new Map();
+	}
+
+	async get(target, key) {
+		const entry = this.throttles.get(`${target}:${key}`);
+		return entry ? JSON.parse(JSON.stringify(entry.state)) : null;
+	}
+
+	async set(target, key, state, duration) {
+		this.store(`${target}:${key}`, state, duration);
+	}
+
+	async update(target, key, updater) {
+		// Nothing can happen between reading and storing the state, since it's all synchronous
+		const id = `${target}:${key}`;
+		const entry = this.throttles.get(id);
+		const change = updater(entry ? JSON.parse(JSON.stringify(entry.state)) : null);
+		if(change) this.store(id, change.state, change.duration);
+	}
+
+	async delete(target, key) {
+		const id = `${target}:${key}`;
+		const entry = this.throttles.get(id);
+		if(!entry) return;
+		clearTimeout(entry.timeout);
+		this.throttles.delete(id);
+	}
+
+	/**
+	 * Stores a state, replacing the timeout that removes it
+	 * @param {string} id - Target ID and key of the state
+	 * @param {Object} state - The state
+	 * @param {number} duration - How long the state should be kept for, in milliseconds
+	 * @private
+	 */
+	store(id, state, duration) {
+		const entry = this.throttles.get(id);
+		if(entry) clearTimeout(entry.timeout);
+
+		const timeout = setTimeout(() => this.throttles.delete(id), duration);
+		if(timeout.unref) timeout.unref();
+		this.throttles.set(id, { state: JSON.parse(JSON.stringify(state)), timeout });
+	}
+}
+
+module.exports = MemoryThrottleStore;
@@ -0,0 +1,58 @@
+const ThrottleStore = require('./base');
+const MemoryThrottleStore = require('./memory');
+
+/**
+ * Stores throttle states with the client's settings provider, as `throttle-<key>` settings of the targets they apply
+ * to. They survive restarts, and are shared between shards if the provider is (such as {@link RedisProvider}).
+ * Until a provider is set, the states are kept in memory. Expired states are removed when they are next read.
+ * Every counted usage is a write to the provider, and the states are left out of {@link SettingProvider#export} and
+ * aren't replaced by {@link SettingProvider#import}.
+ * Updates are only atomic within the process, so shards sharing the states can count usages at the same time that
+ * together go over a bucket's limit - use a {@link RedisThrottleStore} to throttle exactly across processes.
+ * @extends {ThrottleStore}
+ */
+class ProviderThrottleStore extends ThrottleStore {
+	constructor() {
+		super();
+
+		/**
+		 * Store to use while the client has no settings provider
+		 * @type {MemoryThrottleStore}
+		 * @private
+		 */
+		this.fallback = new MemoryThrottleStore();
+	}
+
+	async get(target, key) {
+		const { provider } = this.client;
+		if(!provider) return this.fallback.get(target, key);
+
+		const stored = provider.get(target, `throttle-${key}`);
+		if(!stored || typeof stored !== 'object') return null;
+		if(stored.expires <= Date.now()) {
+			await provider.remove(target, `throttle-${key}`);
+			return null;
+		}
+		return { ...stored.state };
+	}
+
+	async set(target, key, state, duration) {
+		const { provider } = this.client;
+		if(!provider) {
+			await this.fallback.set(target, key, state, duration);
+			return;
+		}
+		await provider.set(target, `throttle-${key}`, { state, expires: Date.now() + duration });
+	}
+
+	async delete(target, key) {
+		const { provider } = this.client;
+		if(!provider) {
+			await this.fallback.delete(target, key);
+			return;
+		}
+		await provider.remove(target, `throttle-${key}`);
+	}
+}
+
+module.exports = ProviderThrottleStore;
@@ -0,0 +1,167 @@
+const ThrottleStore = require('./base');
+const RedisConnection = require('../providers/resp');
+
+/**
+ * Stores throttle states in Redis (or any server speaking its protocol), as keys that expire along with the states.
+ * Updates are made with optimistic transactions (WATCH/MULTI/EXEC), so usages are counted correctly even when
+ * several processes (such as shards) use the same server and key prefix at once.
+ * @extends {ThrottleStore}
+ */
+class RedisThrottleStore extends ThrottleStore {
+	/**
+	 * @typedef {Object} RedisThrottleStoreOptions
+	 * @property {string} [host=127.0.0.1] - Host of the server
+	 * @property {number} [port=6379] - Port of the server
+	 * @property {string} [password] - Password to authenticate with
+	 * @property {number} [db] - Index of the database to select
+	 * @property {string} [prefix=djsframe:] - Prefix of all keys used by the store
+	 * @property {number} [reconnectDelay=100] - Delay before reconnecting after losing the connection (in milliseconds),
+	 * which doubles with every failed attempt
+	 * @property {number} [maxReconnectDelay=30000] - Maximum delay between reconnection attempts (in milliseconds)
+	 * @property {number} [maxRetries=10] - How many times an update is retried when the state is changed by another
+	 * process while it is being made
+	 */
+
+	/**
+	 * @param {RedisThrottleStoreOptions} [options] - Options for the store
+	 */
+	constructor(options = {}) {
+		super();
+		if(typeof options !== 'object' || options === null) {
+			throw new TypeError('RedisThrottleStore options must be an Object.');
+		}
+
+		/**
+		 * Options for the store
+		 * @type {RedisThrottleStoreOptions}
+		 */
+		this.options = { host: '127.0.0.1', port: 6379, prefix: 'djsframe:', maxRetries: 10, ...options };
+
+		/**
+		 * Connection to the server, once it has been opened
+		 * @type {?RedisConnection}
+		 * @private
+		 */
+		this.redis = null;
+
+		/**
+		 * Promise for the connection being opened
+		 * @type {?Promise<RedisConnection>}
+		 * @private
+		 */
+		this.connecting = null;
+
+		/**
+		 * Promise for the last operation queued on the connection
+		 * @type {Promise<void>}
+		 * @private
+		 */
+		this.queue = Promise.resolve();
+	}
+
+	async get(target, key) {
+		const value = await this.enqueue(redis => redis.command('GET', this.key(target, key)));
+		return value === null ? null : JSON.parse(value);
+	}
+
+	async set(target, key, state, duration) {
+		const ms = Math.max(1, Math.ceil(duration));
+		await this.enqueue(redis => redis.command('SET', this.key(target, key), JSON.stringify(state), 'PX', ms));
+	}
+
+	async delete(target, key) {
+		await this.enqueue(redis => redis.command('DEL', this.key(target, key)));
+	}
+
+	update(target, key, updater) {
+		const id = this.key(target, key);
+		return this.enqueue(async redis => {
+			for(let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+				await redis.command('WATCH', id);
+				const value = await redis.command('GET', id);
+				let change;
+				try {
+					change = updater(value === null ? null : JSON.parse(value));
+				} catch(err) {
+					await redis.command('UNWATCH');
+					throw err;
+				}
+				if(!change) {
+					await redis.command('UNWATCH');
+					return;
+				}
+
+				// The transaction is aborted (with a null reply) if the state was changed since it was watched
+				const ms = Math.max(1, Math.ceil(change.duration));
+				const replies = await Promise.all([
+					redis.command('MULTI'),
+					redis.command('SET', id, JSON.stringify(change.state), 'PX', ms),
+					redis.command('EXEC')
+				]);
+				if(replies[2] !== null) return;
+			}
+			throw new Error(`The throttle state ${id} kept being changed by others while updating it.`);
+		});
+	}
+
+	/**
+	 * Closes the connection to the server
+	 * @return {Promise<void>}
+	 */
+	async destroy() {
+		const connecting = this.connecting;
+		this.connecting = null;
+		this.redis = null;
+		if(!connecting) return;
+		const redis = await connecting.catch(() => null);
+		if(redis) await redis.quit();
+	}
+
+	/**
+	 * Obtains the connection to the server, opening it if it isn't already
+	 * @return {Promise<RedisConnection>}
+	 * @private
+	 */
+	connection() {
+		if(this.connecting) return this.connecting;
+		const redis = new RedisConnection(this.options);
+		redis.on('error', err => {
+			if(this.client) this.client.emit('warn', `RedisThrottleStore connection error: ${err.message}`);
+		});
+		this.connecting = redis.connect().then(() => {
+			this.redis = redis;
+			return redis;
+		}, err => {
+			// Try again with the next operation
+			this.connecting = null;
+			throw err;
+		});
+		return this.connecting;
+	}
+
+	/**
+	 * Runs an operation once the ones queued before it are done, so the commands of a transaction aren't mixed up with
+	 * other ones on the connection
+	 * @param {Function} operation - Function that receives the connection and returns a Promise
+	 * @return {Promise<*>} Result of the operation
+	 * @private
+	 */
+	enqueue(operation) {
+		const result = this.queue.then(() => this.connection()).then(operation);
+		this.queue = result.catch(() => null);
+		return result;
+	}
+
+	/**
+	 * Obtains the Redis key of a throttle state
+	 * @param {string} target - ID of the target the throttle applies to
+	 * @param {string} key - Key of the throttle
+	 * @return {string}
+	 * @private
+	 */
+	key(target, key) {
+		return `${this.options.prefix}throttle:${target}:${key}`;
+	}
+}
+
+module.exports = RedisThrottleStore;
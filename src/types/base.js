@@ -52,6 +52,38 @@ class ArgumentType {
 		throw new Error(`${this.constructor.name} doesn't have a parse() method.`);
 	}
 
+	/**
+	 * Gets the application command option data that values of this type are sent as in a slash command.
+	 * The name, description and requirement are filled in by {@link Argument#toSlashOption}.
+	 * @param {Argument} arg - Argument the option is being generated for
+	 * @return {Object} Partial {@link ApplicationCommandOptionData}
+	 */
+	slashOption(arg) { // eslint-disable-line no-unused-vars
+		return { type: 'STRING' };
+	}
+
+	/**
+	 * Gets suggestions for a partially entered value, used to autocomplete slash command options.
+	 * Types that don't override this don't provide any suggestions. Discord only autocompletes `STRING`, `INTEGER`
+	 * and `NUMBER` options, so this isn't used for types sent as users, roles, channels or other entities.
+	 * @param {string} partial - Value entered so far
+	 * @param {AutocompleteInteraction} interaction - Interaction the suggestions are for
+	 * @param {Argument} arg - Argument the value is for
+	 * @return {?ApplicationCommandOptionChoice[]|Promise<?ApplicationCommandOptionChoice[]>} Suggestions, or `null`
+	 * if the type doesn't support autocompletion
+	 */
+	autocomplete(partial, interaction, arg) { // eslint-disable-line no-unused-vars
+		return null;
+	}
+
+	/**
+	 * Checks whether the type provides autocomplete suggestions
+	 * @return {boolean}
+	 */
+	hasAutocomplete() {
+		return this.autocomplete !== ArgumentType.prototype.autocomplete;
+	}
+
 	/**
 	 * Checks whether a value is considered to be empty. This determines whether the default value for an argument
 	 * should be used and changes the response to the user under certain circumstances.
@@ -12,6 +12,10 @@ class BooleanArgumentType extends ArgumentType {
 		return this.truthy.has(lc) || this.falsy.has(lc);
 	}
 
+	slashOption() {
+		return { type: 'BOOLEAN' };
+	}
+
 	parse(val) {
 		const lc = val.toLowerCase();
 		if(this.truthy.has(lc)) return true;
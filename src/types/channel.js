@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class ChannelArgumentType extends ArgumentType {
 	constructor(client) {
@@ -28,6 +28,10 @@ class ChannelArgumentType extends ArgumentType {
 			'Multiple channels found. Please be more specific.';
 	}
 
+	slashOption() {
+		return { type: 'CHANNEL' };
+	}
+
 	parse(val, msg) {
 		const matches = val.match(/^(?:<#)?([0-9]+)>?$/);
 		if(matches) return msg.guild.channels.cache.get(matches[1]) || null;
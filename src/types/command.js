@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class CommandArgumentType extends ArgumentType {
 	constructor(client) {
@@ -16,6 +16,10 @@ class CommandArgumentType extends ArgumentType {
 			'Multiple commands found. Please be more specific.';
 	}
 
+	autocomplete(partial) {
+		return this.client.registry.findCommands(partial).map(cmd => ({ name: cmd.name, value: cmd.name }));
+	}
+
 	parse(val) {
 		return this.client.registry.findCommands(val)[0];
 	}
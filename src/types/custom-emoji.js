@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class CustomEmojiArgumentType extends ArgumentType {
 	constructor(client) {
@@ -23,6 +23,13 @@ class CustomEmojiArgumentType extends ArgumentType {
 			'Multiple emojis found. Please be more specific.';
 	}
 
+	autocomplete(partial, interaction) {
+		if(!interaction.guild) return [];
+		return interaction.guild.emojis.cache
+			.filter(nameFilterInexact(partial.toLowerCase()))
+			.map(emoji => ({ name: emoji.name, value: emoji.id }));
+	}
+
 	parse(value, msg) {
 		const matches = value.match(/^(?:<a?:([a-zA-Z0-9_]+):)?([0-9]+)>?$/);
 		if(matches) return msg.client.emojis.cache.get(matches[2]) || null;
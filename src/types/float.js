@@ -20,6 +20,10 @@ class FloatArgumentType extends ArgumentType {
 		return true;
 	}
 
+	slashOption() {
+		return { type: 'NUMBER' };
+	}
+
 	parse(val) {
 		return Number.parseFloat(val);
 	}
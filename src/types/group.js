@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class GroupArgumentType extends ArgumentType {
 	constructor(client) {
@@ -16,6 +16,10 @@ class GroupArgumentType extends ArgumentType {
 			'Multiple groups found. Please be more specific.';
 	}
 
+	autocomplete(partial) {
+		return this.client.registry.findGroups(partial).map(grp => ({ name: grp.name, value: grp.id }));
+	}
+
 	parse(val) {
 		return this.client.registry.findGroups(val)[0];
 	}
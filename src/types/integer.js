@@ -20,6 +20,10 @@ class IntegerArgumentType extends ArgumentType {
 		return true;
 	}
 
+	slashOption() {
+		return { type: 'INTEGER' };
+	}
+
 	parse(val) {
 		return Number.parseInt(val);
 	}
@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class MemberArgumentType extends ArgumentType {
 	constructor(client) {
@@ -39,6 +39,10 @@ class MemberArgumentType extends ArgumentType {
 			'Multiple members found. Please be more specific.';
 	}
 
+	slashOption() {
+		return { type: 'USER' };
+	}
+
 	parse(val, msg) {
 		const matches = val.match(/^(?:<@!?)?([0-9]+)>?$/);
 		if(matches) return msg.guild.members.resolve(matches[1]) || null;
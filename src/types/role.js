@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class RoleArgumentType extends ArgumentType {
 	constructor(client) {
@@ -28,6 +28,10 @@ class RoleArgumentType extends ArgumentType {
 			'Multiple roles found. Please be more specific.';
 	}
 
+	slashOption() {
+		return { type: 'ROLE' };
+	}
+
 	parse(val, msg) {
 		const matches = val.match(/^(?:<@&)?([0-9]+)>?$/);
 		if(matches) return msg.guild.roles.cache.get(matches[1]) || null;
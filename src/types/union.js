@@ -39,6 +39,16 @@ class ArgumentUnionType extends ArgumentType {
 		throw new Error(`Couldn't parse value "${val}" with union type ${this.id}.`);
 	}
 
+	async autocomplete(partial, interaction, arg) {
+		let results = this.types.map(type => type.autocomplete(partial, interaction, arg));
+		results = await Promise.all(results);
+		return [].concat(...results.filter(Boolean));
+	}
+
+	hasAutocomplete() {
+		return this.types.some(type => type.hasAutocomplete());
+	}
+
 	isEmpty(val, msg, arg) {
 		return !this.types.some(type => !type.isEmpty(val, msg, arg));
 	}
@@ -1,6 +1,6 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
 
 class UserArgumentType extends ArgumentType {
 	constructor(client) {
@@ -40,6 +40,10 @@ class UserArgumentType extends ArgumentType {
 			'Multiple users found. Please be more specific.';
 	}
 
+	slashOption() {
+		return { type: 'USER' };
+	}
+
 	parse(val, msg) {
 		const matches = val.match(/^(?:<@!?)?([0-9]+)>?$/);
 		if(matches) return msg.client.users.cache.get(matches[1]) || null;
@@ -1,6 +1,13 @@
 const ArgumentType = require('./base');
 const { disambiguation } = require('../util');
-const { escapeMarkdown } = require('discord.js');
+const { Util: { escapeMarkdown } } = require('discord.js');
+
+/**
+ * Types of the channels that the argument type accepts
+ * @type {string[]}
+ * @private
+ */
+const channelTypes = ['GUILD_VOICE', 'GUILD_STAGE_VOICE'];
 
 class VoiceChannelArgumentType extends ArgumentType {
 	constructor(client) {
@@ -12,7 +19,7 @@ class VoiceChannelArgumentType extends ArgumentType {
 		if(matches) {
 			try {
 				const channel = msg.client.channels.resolve(matches[1]);
-				if(!channel || channel.type !== 'voice') return false;
+				if(!channel || !channelTypes.includes(channel.type)) return false;
 				if(arg.oneOf && !arg.oneOf.includes(channel.id)) return false;
 				return true;
 			} catch(err) {
@@ -40,6 +47,10 @@ class VoiceChannelArgumentType extends ArgumentType {
 			'Multiple voice channels found. Please be more specific.';
 	}
 
+	slashOption() {
+		return { type: 'CHANNEL', channelTypes };
+	}
+
 	parse(val, msg) {
 		const matches = val.match(/^([0-9]+)$/);
 		if(matches) return msg.client.channels.cache.get(matches[1]) || null;
@@ -55,11 +66,11 @@ class VoiceChannelArgumentType extends ArgumentType {
 }
 
 function channelFilterExact(search) {
-	return chan => chan.type === 'voice' && chan.name.toLowerCase() === search;
+	return chan => channelTypes.includes(chan.type) && chan.name.toLowerCase() === search;
 }
 
 function channelFilterInexact(search) {
-	return chan => chan.type === 'voice' && chan.name.toLowerCase().includes(search);
+	return chan => channelTypes.includes(chan.type) && chan.name.toLowerCase().includes(search);
 }
 
 module.exports = VoiceChannelArgumentType;
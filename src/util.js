@@ -22,6 +22,40 @@ function isConstructor(func, _class) {
 	}
 }
 
+function scopeTarget(scope, ctx) {
+	const { guild, channel, author } = ctx;
+	switch(scope) {
+		case 'global': return 'global';
+		case 'guild': return guild ? guild.id : `channel:${channel ? channel.id : author.id}`;
+		case 'channel': return channel ? `channel:${channel.id}` : `user:${author.id}`;
+		case 'member': return guild ? `member:${guild.id}:${author.id}` : `user:${author.id}`;
+		default: return `user:${author.id}`;
+	}
+}
+
+function memberRoles(member) {
+	if(!member || !member.roles) return [];
+	if(Array.isArray(member.roles)) return member.roles;
+	return Array.from(member.roles.cache.keys());
+}
+
+function isGuildChannel(channel) {
+	return Boolean(channel) && channel.type !== 'DM' && channel.type !== 'GROUP_DM';
+}
+
+function missingPermissions(channel, user, required) {
+	if(!isGuildChannel(channel)) return [];
+	// Threads don't have overwrites of their own, and sending messages in them needs a permission of its own
+	const thread = typeof channel.isThread === 'function' && channel.isThread();
+	if(thread) required = required.map(perm => threadPermissions[perm] || perm);
+	const source = thread ? channel.parent : channel;
+	const resolved = source ? source.permissionsFor(user) : null;
+	// The permissions can't be resolved without the member or the thread's parent (which commands fetch before
+	// checking permissions), so none of them are granted
+	if(!resolved) return [...required];
+	return resolved.missing(required);
+}
+
 function paginate(items, page = 1, pageLength = 10) {
 	const maxPage = Math.ceil(items.length / pageLength);
 	if(page < 1) page = 1;
@@ -35,6 +69,10 @@ function paginate(items, page = 1, pageLength = 10) {
 	};
 }
 
+const threadPermissions = {
+	SEND_MESSAGES: 'SEND_MESSAGES_IN_THREADS'
+};
+
 const permissions = {
 	ADMINISTRATOR: 'Administrator',
 	VIEW_AUDIT_LOG: 'View audit log',
@@ -46,7 +84,7 @@ const permissions = {
 	CREATE_INSTANT_INVITE: 'Create instant invite',
 	CHANGE_NICKNAME: 'Change nickname',
 	MANAGE_NICKNAMES: 'Manage nicknames',
-	MANAGE_EMOJIS: 'Manage emojis',
+	MANAGE_EMOJIS_AND_STICKERS: 'Manage emojis and stickers',
 	MANAGE_WEBHOOKS: 'Manage webhooks',
 	VIEW_CHANNEL: 'View channels',
 	SEND_MESSAGES: 'Send messages',
@@ -66,13 +104,32 @@ const permissions = {
 	USE_VAD: 'Use voice activity',
 	PRIORITY_SPEAKER: 'Priority speaker',
 	VIEW_GUILD_INSIGHTS: 'View server insights',
-	STREAM: 'Video'
+	STREAM: 'Video',
+	USE_APPLICATION_COMMANDS: 'Use application commands',
+	REQUEST_TO_SPEAK: 'Request to speak',
+	MANAGE_EVENTS: 'Manage events',
+	MANAGE_THREADS: 'Manage threads',
+	USE_PUBLIC_THREADS: 'Use public threads',
+	CREATE_PUBLIC_THREADS: 'Create public threads',
+	USE_PRIVATE_THREADS: 'Use private threads',
+	CREATE_PRIVATE_THREADS: 'Create private threads',
+	USE_EXTERNAL_STICKERS: 'Use external stickers',
+	SEND_MESSAGES_IN_THREADS: 'Send messages in threads',
+	START_EMBEDDED_ACTIVITIES: 'Use activities',
+	MODERATE_MEMBERS: 'Timeout members',
+	VIEW_CREATOR_MONETIZATION_ANALYTICS: 'View creator monetization analytics',
+	USE_SOUNDBOARD: 'Use soundboard',
+	SEND_VOICE_MESSAGES: 'Send voice messages'
 };
 
 module.exports = {
 	escapeRegex,
 	disambiguation,
 	paginate,
+	scopeTarget,
+	memberRoles,
+	isGuildChannel,
+	missingPermissions,
 	permissions,
 	isConstructor
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const MemoryProvider = require('../../src/providers/memory');
+const BackupCommand = require('../../src/commands/util/backup');
+const { createGuild, dispatch, snowflake } = require('../support/message');
+
+describe('backup command', () => {
+	let server;
+	let base;
+	const files = new Map();
+
+	before(async() => {
+		server = http.createServer((req, res) => {
+			if(req.url === '/slow') return;
+			if(req.url === '/endless') {
+				res.writeHead(200);
+				res.write('x'.repeat(1024));
+				return;
+			}
+			if(!files.has(req.url)) {
+				res.writeHead(404);
+				res.end();
+				return;
+			}
+			res.writeHead(200, { 'Content-Type': 'application/json' });
+			res.end(files.get(req.url));
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		base = `http://127.0.0.1:${server.address().port}`;
+	});
+
+	after(async() => {
+		server.closeAllConnections();
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	async function setup() {
+		const data = createGuild();
+		await data.client.setProvider(new MemoryProvider({ '100': { prefix: '?' }, 'user:5': { lang: 'en' } }));
+		return data;
+	}
+
+	it('sends the exported settings in a direct message', async() => {
+		const { client, channel, sent } = await setup();
+		const direct = [];
+		client.users.cache.get('1').send = async options => {
+			direct.push(options);
+			return null;
+		};
+
+		await dispatch(channel, '?backup export');
+		assert.strictEqual(direct.length, 1);
+		assert.strictEqual(direct[0].content, 'Here are the settings of 2 guild(s), user(s) and channel(s).');
+		const exported = JSON.parse(direct[0].files[0].attachment.toString());
+		assert.deepStrictEqual(exported.settings, { '100': { prefix: '?' }, 'user:5': { lang: 'en' } });
+		assert.strictEqual(sent[0].content, 'Sent you a DM with the settings.');
+	});
+
+	it('imports the settings from the attached file', async() => {
+		const { client, channel, sent } = await setup();
+		const data = client.provider.export();
+		data.settings['100'].prefix = '$';
+		data.settings['user:6'] = { lang: 'fr' };
+		files.set('/settings.json', JSON.stringify(data));
+
+		const attachment = { id: snowflake(), filename: 'settings.json', size: 100, url: `${base}/settings.json` };
+		await dispatch(channel, '?backup import merge', { attachments: [attachment] });
+		assert.strictEqual(sent[0].content, 'Merged 3 setting(s) of 3 guild(s), user(s) and channel(s).');
+		assert.strictEqual(client.provider.get('100', 'prefix'), '$');
+		assert.strictEqual(client.provider.get('user:6', 'lang'), 'fr');
+	});
+
+	it('reports files that are missing, too large or invalid', async() => {
+		const { channel, sent } = await setup();
+		files.set('/invalid.json', '{');
+		await dispatch(channel, '?backup import');
+		const large = { id: snowflake(), filename: 'large.json', size: 9 * 1024 * 1024, url: `${base}/large.json` };
+		await dispatch(channel, '?backup import', { attachments: [large] });
+		const invalid = { id: snowflake(), filename: 'invalid.json', size: 1, url: `${base}/invalid.json` };
+		await dispatch(channel, '?backup import', { attachments: [invalid] });
+		assert.deepStrictEqual(sent.slice(0, 2).map(data => data.content), [
+			'Please attach a settings file created with the export subcommand.',
+			'The settings file is too large.'
+		]);
+		assert.match(sent[2].content, /^Unable to import the settings: The settings to import aren't valid JSON: /);
+	});
+
+	it('gives up downloading files that are too large or take too long', async() => {
+		files.set('/large.json', 'x'.repeat(2048));
+		await assert.rejects(BackupCommand.download(`${base}/large.json`, { maxSize: 1024 }), /too large/);
+		await assert.rejects(BackupCommand.download(`${base}/endless`, { maxSize: 1000, timeout: 500 }), /too large/);
+		await assert.rejects(BackupCommand.download(`${base}/slow`, { timeout: 100 }), /took too long/);
+		await assert.rejects(BackupCommand.download(`${base}/missing`), /status 404/);
+		assert.strictEqual((await BackupCommand.download(`${base}/large.json`)).length, 2048);
+	});
+});
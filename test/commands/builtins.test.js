@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MemoryProvider = require('../../src/providers/memory');
+const { createGuild, dispatch } = require('../support/message');
+
+/**
+ * Runs command messages one after the other and gets the contents of the responses
+ * @param {TextChannel} channel - Channel to send the messages in
+ * @param {Array<string|string[]>} messages - Contents of the messages, or pairs of the content and the author's ID
+ * @param {Object[]} sent - The payloads sent in the channel
+ * @return {Promise<string[]>}
+ */
+async function run(channel, messages, sent) {
+	const start = sent.length;
+	for(const message of messages) {
+		const [content, author = '1'] = Array.isArray(message) ? message : [message];
+		await dispatch(channel, content, { author }); // eslint-disable-line no-await-in-loop
+	}
+	return sent.slice(start).map(data => data.content);
+}
+
+describe('Built-in commands', () => {
+	it('shows, sets and resets the prefix of a guild', async() => {
+		const { client, guild, channel, sent } = createGuild();
+		const provider = new MemoryProvider();
+		await client.setProvider(provider);
+
+		assert.deepStrictEqual(await run(channel, ['!prefix', ['!prefix ?', '5'], '!prefix ?'], sent), [
+			'The command prefix is ``!``.\nTo run commands, use `!command` or `@bot#0001\xa0command`.',
+			'Only administrators may change the command prefix.',
+			'Set the command prefix to ``?``. To run commands, use `?command` or `@bot#0001\xa0command`.'
+		]);
+		assert.strictEqual(guild.commandPrefix, '?');
+		await new Promise(setImmediate);
+		assert.strictEqual(provider.get(guild, 'prefix'), '?');
+
+		assert.deepStrictEqual(await run(channel, ['?prefix none', '<@6> prefix default'], sent), [
+			'Removed the command prefix entirely. To run commands, use `@bot#0001\xa0command`.',
+			'Reset the command prefix to the default (currently ``!``). ' +
+				'To run commands, use `!command` or `@bot#0001\xa0command`.'
+		]);
+		assert.strictEqual(guild.commandPrefix, '!');
+	});
+
+	it('enables and disables commands and groups', async() => {
+		const { client, guild, channel, sent } = createGuild();
+		const ping = client.registry.commands.get('ping');
+		assert.deepStrictEqual(await run(channel, [
+			['!disable ping', '5'],
+			'!disable ping',
+			'!ping',
+			'!disable ping',
+			'!disable enable',
+			'!enable ping',
+			'!enable ping'
+		], sent), [
+			'You do not have permission to use the `disable` command.',
+			'Disabled the `ping` command.',
+			'The `ping` command is disabled.',
+			'The `ping` command is already disabled.',
+			'You cannot disable the `enable` command.',
+			'Enabled the `ping` command.',
+			'The `ping` command is already enabled.'
+		]);
+		assert.ok(ping.isEnabledIn(guild));
+
+		const groups = await run(channel, ['!disable util', '!enable prefix', '!groups', '!enable util'], sent);
+		assert.deepStrictEqual(groups, [
+			'Disabled the `Utility` group.',
+			'The `prefix` command is already enabled, but the `Utility` group is disabled, so it still can\'t be used.',
+			'__**Groups**__\n**Commands:** Enabled\n**Utility:** Disabled',
+			'Enabled the `Utility` group.'
+		]);
+		assert.ok(client.registry.groups.get('util').isEnabledIn(guild));
+	});
+
+	it('reloads commands for the owner', async() => {
+		const { client, channel, sent } = createGuild();
+		const ping = client.registry.commands.get('ping');
+		assert.deepStrictEqual(await run(channel, [['!reload ping', '5'], '!reload ping'], sent), [
+			'The `reload` command can only be used by the bot owner.',
+			'Reloaded `ping` command.'
+		]);
+		const reloaded = client.registry.commands.get('ping');
+		assert.notStrictEqual(reloaded, ping);
+		assert.strictEqual(reloaded.group, client.registry.groups.get('util'));
+		assert.strictEqual(client.registry.groups.get('util').commands.get('ping'), reloaded);
+	});
+});
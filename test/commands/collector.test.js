@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const ArgumentCollector = require('../../src/commands/collector');
+const { createGuild, snowflake } = require('../support/message');
+const { waitFor } = require('../support/client');
+
+describe('ArgumentCollector#obtainModal', () => {
+	function setup(submissions) {
+		const { client, channel } = createGuild();
+		const collector = new ArgumentCollector(client, [{ key: 'count', prompt: 'How many?', type: 'integer' }]);
+		const state = { client, channel, collector, submissions, replies: [], updates: [] };
+		state.interaction = createInteraction(state);
+		return state;
+	}
+
+	/**
+	 * Creates an interaction that shows the modal, which is submitted with the next of the queued values
+	 */
+	function createInteraction(state, data = {}) {
+		const user = state.client.users.cache.get('5');
+		return {
+			id: snowflake(),
+			user,
+			channelId: state.channel.id,
+			showModal: async() => null,
+			awaitModalSubmit: async() => {
+				if(!state.submissions.length) return null;
+				const values = state.submissions.shift();
+				return {
+					id: snowflake(),
+					user,
+					customId: `${state.interaction.id}:args`,
+					fields: { getTextInputValue: key => values[key] },
+					reply: async options => {
+						// Ephemeral replies are only fetched as raw API data when the bot isn't in the guild
+						const reply = { id: snowflake(), channel_id: state.channel.id, content: options.content };
+						state.replies.push(reply);
+						return reply;
+					}
+				};
+			},
+			...data
+		};
+	}
+
+	function click(state, reply, button) {
+		state.client.emit('interactionCreate', createInteraction(state, {
+			type: 'MESSAGE_COMPONENT',
+			componentType: 'BUTTON',
+			message: { id: reply.id },
+			customId: `${state.interaction.id}:args:${button}`,
+			isButton: () => true,
+			update: async options => state.updates.push(options)
+		}));
+	}
+
+	it('shows the modal again when the retry button of the errors is clicked', async() => {
+		const state = setup([{ count: 'many' }, { count: '3' }]);
+		const result = state.collector.obtainModal(state.interaction);
+		await waitFor(() => state.replies.length === 1);
+		assert.match(state.replies[0].content, /\nPlease correct the values and submit them again\.$/);
+
+		// Clicks on other messages are ignored
+		click(state, { id: snowflake() }, 'cancel');
+		click(state, state.replies[0], 'retry');
+		const { values, cancelled, submissions } = await result;
+		assert.deepStrictEqual(values, { count: 3 });
+		assert.strictEqual(cancelled, null);
+		assert.strictEqual(submissions.length, 2);
+		assert.deepStrictEqual(state.updates, []);
+	});
+
+	it('cancels the collection when the cancel button is clicked or nothing is clicked in time', async() => {
+		const state = setup([{ count: 'many' }]);
+		const result = state.collector.obtainModal(state.interaction);
+		await waitFor(() => state.replies.length === 1);
+		click(state, state.replies[0], 'cancel');
+		assert.strictEqual((await result).cancelled, 'user');
+		assert.deepStrictEqual(state.updates, [{ content: 'Cancelled command.', components: [] }]);
+
+		// The timers of collectors don't keep the process running on their own
+		const timed = setup([{ count: 'many' }]);
+		const [timedResult] = await Promise.all([
+			timed.collector.obtainModal(timed.interaction, {}, { wait: 0.05 }),
+			new Promise(resolve => setTimeout(resolve, 100))
+		]);
+		assert.strictEqual(timedResult.cancelled, 'time');
+	});
+});
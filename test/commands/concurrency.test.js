@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const FrameCommand = require('../../src/commands/command');
+const CommandContext = require('../../src/context');
+const { createGuild, createMessage, dispatch } = require('../support/message');
+const { waitFor } = require('../support/client');
+
+/**
+ * Command that keeps running until it is told to finish (or fail)
+ */
+class WaitCommand extends FrameCommand {
+	constructor(client, info = {}) {
+		super(client, {
+			name: 'wait',
+			group: 'util',
+			memberName: 'wait',
+			description: 'Waits.',
+			args: [{ key: 'name', prompt: 'Name?', type: 'string', oneOf: ['a', 'b', 'c', 'fail'] }],
+			...info
+		});
+		this.started = [];
+		this.gates = new Map();
+	}
+
+	async run(ctx, { name }) {
+		this.started.push(name);
+		await new Promise((resolve, reject) => this.gates.set(name, { resolve, reject }));
+		return ctx.say(`Finished ${name}`);
+	}
+}
+
+function setup(concurrency, info) {
+	const data = createGuild();
+	const command = new WaitCommand(data.client, { concurrency, ...info });
+	data.client.registry.registerCommand(command);
+	return { ...data, command };
+}
+
+function tick() {
+	return new Promise(setImmediate);
+}
+
+describe('FrameCommand concurrency', () => {
+	it('blocks usages over the limit', async() => {
+		const { channel, sent, command } = setup({ limit: 1 });
+		const first = dispatch(channel, '!wait a', { author: '5' });
+		await tick();
+		await dispatch(channel, '!wait b', { author: '5' });
+		assert.deepStrictEqual(command.started, ['a']);
+		assert.strictEqual(sent[0].content, 'You are already using the `wait` command. Please wait for it to finish.');
+
+		// Other users have their own limit
+		const other = dispatch(channel, '!wait c');
+		await tick();
+		assert.deepStrictEqual(command.started, ['a', 'c']);
+
+		command.gates.get('a').resolve();
+		command.gates.get('c').resolve();
+		await Promise.all([first, other]);
+		assert.ok(!command._runs.size);
+	});
+
+	it('hands the place of a finished run over to a queued usage', async() => {
+		const { channel, sent, command } = setup({ limit: 1, scope: 'channel', queue: true });
+		const usages = ['a', 'b', 'c'].map(name => dispatch(channel, `!wait ${name}`, { author: '5' }));
+		await tick();
+		assert.deepStrictEqual(command.started, ['a']);
+		assert.strictEqual(command._runs.get(`channel:${channel.id}`).queue.length, 2);
+
+		command.gates.get('a').resolve();
+		await tick();
+		assert.deepStrictEqual(command.started, ['a', 'b']);
+		command.gates.get('b').resolve();
+		await tick();
+		command.gates.get('c').resolve();
+		await Promise.all(usages);
+		assert.deepStrictEqual(sent.map(data => data.content), ['Finished a', 'Finished b', 'Finished c']);
+		assert.ok(!command._runs.size);
+	});
+
+	it('frees the place of runs that fail or are cancelled', async() => {
+		const { client, channel, sent, command } = setup({ limit: 1 });
+		const failing = dispatch(channel, '!wait fail', { author: '5' });
+		await tick();
+		command.gates.get('fail').reject(new Error('Oops'));
+		await failing;
+		assert.ok(!command._runs.size);
+
+		const cancelled = dispatch(channel, '!wait invalid', { author: '5' });
+		await waitFor(() => sent.length === 2);
+		assert.strictEqual(command._runs.size, 1);
+		client.emit('messageCreate', createMessage(channel, 'cancel', { author: '5' }));
+		await cancelled;
+		assert.ok(!command._runs.size);
+
+		const usage = dispatch(channel, '!wait a', { author: '5' });
+		await tick();
+		assert.deepStrictEqual(command.started, ['fail', 'a']);
+		command.gates.get('a').resolve();
+		await usage;
+	});
+
+	it('gives back the throttle usage of a blocked usage', async() => {
+		const { channel, command } = setup({ limit: 1 }, { throttling: { usages: 2, duration: 60 } });
+		const first = dispatch(channel, '!wait a', { author: '5' });
+		await tick();
+		await dispatch(channel, '!wait b', { author: '5' });
+		command.gates.get('a').resolve();
+		await first;
+
+		const second = dispatch(channel, '!wait c', { author: '5' });
+		await tick();
+		assert.deepStrictEqual(command.started, ['a', 'c']);
+		command.gates.get('c').resolve();
+		await second;
+	});
+
+	it('defers slash command usages while they are queued, unless they need a modal', async() => {
+		function createContext(command, replies) {
+			const interaction = {
+				client: command.client,
+				user: command.client.users.cache.get('5'),
+				member: null,
+				guild: null,
+				channel: null,
+				replied: false,
+				deferred: false,
+				isCommand: () => true,
+				options: { getSubcommandGroup: () => null, getSubcommand: () => null },
+				deferReply: async() => {
+					interaction.deferred = true;
+					replies.push('defer');
+				}
+			};
+			return new CommandContext(command, interaction);
+		}
+
+		const { client, command } = setup({ limit: 1, queue: true });
+		const replies = [];
+		const finish = await command.startRun(createContext(command, replies));
+		const queued = command.startRun(createContext(command, replies));
+		await tick();
+		assert.deepStrictEqual(replies, ['defer']);
+		finish();
+		(await queued)();
+		assert.ok(!command._runs.size);
+
+		const modal = new WaitCommand(client, {
+			name: 'modal',
+			concurrency: { limit: 1, queue: true },
+			argsModal: true
+		});
+		const finishModal = await modal.startRun(createContext(modal, replies));
+		assert.strictEqual(await modal.startRun(createContext(modal, replies)), null);
+		assert.deepStrictEqual(replies, ['defer']);
+		finishModal();
+	});
+});
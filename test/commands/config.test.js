@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MemoryProvider = require('../../src/providers/memory');
+const { createGuild, dispatch } = require('../support/message');
+
+describe('config command', () => {
+	async function setup() {
+		const data = createGuild();
+		data.client.registry.registerSettings([
+			{ key: 'volume', type: 'integer', description: 'Volume of the music player', max: 100, default: 50 },
+			{ key: 'greeting', type: 'string', scope: 'user' },
+			{ key: 'motd', type: 'string', scope: 'global' },
+			{ key: 'log-channel', type: 'text-channel' }
+		]);
+		await data.client.setProvider(new MemoryProvider());
+		return data;
+	}
+
+	async function run(channel, sent, messages) {
+		const start = sent.length;
+		for(const [content, author = '1'] of messages) {
+			await dispatch(channel, content, { author }); // eslint-disable-line no-await-in-loop
+		}
+		return sent.slice(start).map(data => data.content);
+	}
+
+	it('lists and shows the settings', async() => {
+		const { client, guild, channel, sent } = await setup();
+		await client.provider.set(guild, 'log-channel', '300');
+		const responses = await run(channel, sent, [['!config list'], ['!config show volume'], ['!config show nope']]);
+		assert.deepStrictEqual(responses, [
+			'__**Settings**__\n' +
+				'**volume** (guild): ``50`` - Volume of the music player\n' +
+				'**greeting** (user): not set\n' +
+				'**motd** (global): not set\n' +
+				'**log-channel** (guild): ``300``',
+			'The `volume` setting is ``50``.\nVolume of the music player',
+			'There is no setting with the key `nope`.'
+		]);
+	});
+
+	it('sets and resets settings with valid values', async() => {
+		const { client, guild, channel, sent } = await setup();
+		const { provider } = client;
+		assert.deepStrictEqual(await run(channel, sent, [
+			['!config set volume 40'],
+			['!config set volume 400'],
+			['!config set log-channel <#300>'],
+			['!config set greeting reset', '5']
+		]), [
+			'Set the `volume` setting to ``40``.',
+			'Please enter a number below or exactly 100.',
+			'Set the `log-channel` setting to ``300``.',
+			'Set the `greeting` setting to ``reset``.'
+		]);
+		assert.strictEqual(provider.get(guild, 'volume'), 40);
+		assert.strictEqual(provider.get(guild, 'log-channel'), '300');
+		assert.strictEqual(provider.get({ user: '5' }, 'greeting'), 'reset');
+
+		assert.deepStrictEqual(await run(channel, sent, [['!config reset volume'], ['!config reset greeting', '5']]), [
+			'Reset the `volume` setting to ``50``.',
+			'Reset the `greeting` setting to not set.'
+		]);
+		assert.deepStrictEqual(provider.settings.get(guild.id), { 'log-channel': '300' });
+		assert.strictEqual(provider.get({ user: '5' }, 'greeting'), null);
+	});
+
+	it('only lets the users that may change a setting change it', async() => {
+		const { client, guild, channel, sent } = await setup();
+		assert.deepStrictEqual(await run(channel, sent, [
+			['!config set volume 40', '5'],
+			['!config reset volume', '5'],
+			['!config set motd Hi', '5'],
+			['!config set motd Hi']
+		]), [
+			'Only administrators may change the `volume` setting.',
+			'Only administrators may change the `volume` setting.',
+			'Only the bot owner(s) may change the global `motd` setting.',
+			'Set the `motd` setting to ``Hi``.'
+		]);
+		assert.strictEqual(client.provider.get(guild, 'volume'), 50);
+		assert.strictEqual(client.provider.get('global', 'motd'), 'Hi');
+	});
+
+	it('needs a settings provider', async() => {
+		const { channel, sent } = createGuild();
+		assert.deepStrictEqual(await run(channel, sent, [['!config list'], ['!config set volume 40']]), [
+			'There is no settings provider to store settings with.',
+			'There is no settings provider to store settings with.'
+		]);
+	});
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const FrameCommand = require('../../src/commands/command');
+const { createGuild, dispatch } = require('../support/message');
+
+class EchoCommand extends FrameCommand {
+	constructor(client) {
+		super(client, {
+			name: 'echo',
+			group: 'util',
+			memberName: 'echo',
+			description: 'Responds in every way there is.',
+			args: [{ key: 'how', prompt: 'How?', type: 'string' }]
+		});
+	}
+
+	run(ctx, { how }) {
+		switch(how) {
+			case 'reply': return ctx.reply('Hello');
+			case 'embed': return ctx.reply({ embeds: [{ title: 'Embedded' }] });
+			case 'options': return ctx.say('Hello', { embeds: [{ title: 'Embedded' }] });
+			case 'direct': return ctx.direct('Psst');
+			case 'split': return ctx.say('a'.repeat(1500) + '\n' + 'b'.repeat(1500), { split: true });
+			case 'code': return ctx.message.code('js', 'let x = `1`;');
+			default: return ctx.reply(['Several', 'lines']);
+		}
+	}
+}
+
+function setup() {
+	const setupData = createGuild();
+	setupData.client.registry.registerCommand(EchoCommand);
+	return setupData;
+}
+
+describe('CommandContext responses to command messages', () => {
+	it('replies to the command message', async() => {
+		const { channel, sent } = setup();
+		const message = await dispatch(channel, '!echo reply');
+		assert.strictEqual(sent.length, 1);
+		assert.strictEqual(sent[0].content, 'Hello');
+		assert.strictEqual(sent[0].message_reference.message_id, message.id);
+	});
+
+	it('sends embeds without content, and with options passed separately', async() => {
+		const { channel, sent } = setup();
+		await dispatch(channel, '!echo embed');
+		await dispatch(channel, '!echo options');
+		assert.strictEqual(sent[0].content, undefined);
+		assert.strictEqual(sent[0].embeds[0].title, 'Embedded');
+		assert.strictEqual(sent[1].content, 'Hello');
+		assert.strictEqual(sent[1].embeds[0].title, 'Embedded');
+		assert.strictEqual(sent[1].message_reference, undefined);
+	});
+
+	it('joins arrays of content into lines', async() => {
+		const { channel, sent } = setup();
+		await dispatch(channel, '!echo lines');
+		assert.strictEqual(sent[0].content, 'Several\nlines');
+	});
+
+	it('splits long content into several messages', async() => {
+		const { channel, sent } = setup();
+		await dispatch(channel, '!echo split');
+		assert.deepStrictEqual(sent.map(data => data.content), ['a'.repeat(1500), 'b'.repeat(1500)]);
+	});
+
+	it('wraps code in a code block', async() => {
+		const { channel, sent } = setup();
+		await dispatch(channel, '!echo code');
+		assert.strictEqual(sent[0].content, '```js\nlet x = `1`;\n```');
+	});
+
+	it('sends direct messages to the author', async() => {
+		const { client, channel, sent } = setup();
+		const direct = [];
+		client.users.cache.get('1').send = async options => {
+			direct.push(options);
+			return null;
+		};
+		await dispatch(channel, '!echo direct');
+		assert.deepStrictEqual(sent, []);
+		assert.deepStrictEqual(direct, [{ content: 'Psst' }]);
+	});
+
+	it('edits its responses when the command message is edited', async() => {
+		const { channel, sent } = setup();
+		const message = await dispatch(channel, '!echo reply');
+		const response = channel.messages.cache.last();
+		await dispatch(channel, '!echo lines', { edits: message });
+		assert.strictEqual(sent.length, 2);
+		assert.strictEqual(sent[1].edit, response.id);
+		assert.strictEqual(sent[1].content, 'Several\nlines');
+	});
+});
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const FrameCommand = require('../../src/commands/command');
+const { createGuild, createMessage, dispatch } = require('../support/message');
+
+/**
+ * Creates a guild with the Mods (200) and Helpers (201) roles, which user 5 has and user 7 doesn't, and a category
+ * (310) with a channel (311) that has a thread (312)
+ */
+function setup() {
+	const data = createGuild();
+	const { client, guild } = data;
+	const roles = [['200', 'Mods'], ['201', 'Helpers']]
+		.map(([id, name]) => guild.roles._add({ id, name, permissions: '0' }));
+	guild.members._add({ user: { id: '5', username: 'member', discriminator: '0001' }, roles: ['200', '201'] });
+	guild.members._add({ user: { id: '7', username: 'other', discriminator: '0001' }, roles: [] });
+	const category = client.channels._add({ id: '310', type: 4, name: 'category' }, guild);
+	const child = client.channels._add({ id: '311', type: 0, name: 'child', parent_id: '310' }, guild);
+	const thread = client.channels._add({
+		id: '312',
+		type: 11,
+		name: 'thread',
+		parent_id: '311',
+		guild_id: guild.id,
+		thread_metadata: { archived: false }
+	}, guild);
+	return { ...data, roles, category, child, thread, ping: client.registry.commands.get('ping') };
+}
+
+describe('FrameGuild#resolvePermissionOverride', () => {
+	it('prefers user overrides over role overrides over channel overrides', () => {
+		const { guild, channel, roles, ping } = setup();
+		const member = createMessage(channel, '!ping', { author: '5' });
+		const other = createMessage(channel, '!ping', { author: '7' });
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), null);
+
+		guild.setPermissionOverride(ping, channel, false);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), false);
+		guild.setPermissionOverride(ping, roles[0], true);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), true);
+		// One role that allows the command is enough
+		guild.setPermissionOverride(ping, roles[1], false);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), true);
+		guild.setPermissionOverride(ping, member.member, false);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), false);
+
+		guild.setPermissionOverride(ping, member.member, null);
+		guild.setPermissionOverride(ping, roles[0], null);
+		guild.setPermissionOverride(ping, channel, true);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), false);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, other), true);
+		assert.strictEqual(guild.permissionOverrides.length, 2);
+	});
+
+	it('prefers the overrides of the command over the overrides of its group', () => {
+		const { client, guild, channel, roles, ping } = setup();
+		const member = createMessage(channel, '!ping', { author: '5' });
+		const prefix = client.registry.commands.get('prefix');
+		guild.setPermissionOverride('util', roles[0], false);
+		guild.setPermissionOverride(ping, channel, true);
+		assert.strictEqual(guild.resolvePermissionOverride(ping, member), true);
+		assert.strictEqual(guild.resolvePermissionOverride(prefix, member), false);
+		const other = createMessage(channel, '!ping', { author: '7' });
+		assert.strictEqual(guild.resolvePermissionOverride(ping, other), true);
+	});
+
+	it('applies the overrides of the category of a channel and the channel of a thread', () => {
+		const { guild, channel, category, child, thread, ping } = setup();
+		const usage = target => guild.resolvePermissionOverride(ping, createMessage(target, '!ping', { author: '5' }));
+		guild.setPermissionOverride(ping, category, false);
+		assert.deepStrictEqual([child, thread, channel].map(usage), [false, false, null]);
+		guild.setPermissionOverride(ping, child, true);
+		assert.deepStrictEqual([child, thread, channel].map(usage), [true, true, null]);
+		guild.setPermissionOverride(ping, thread, false);
+		assert.deepStrictEqual([child, thread, channel].map(usage), [true, false, null]);
+	});
+
+	it("doesn't let overrides allow owner-only commands", () => {
+		const { client, guild, channel } = setup();
+		const command = new FrameCommand(client, {
+			name: 'secret',
+			group: 'util',
+			memberName: 'secret',
+			description: 'Does secret things.',
+			ownerOnly: true
+		});
+		client.registry.registerCommand(command);
+		guild.setPermissionOverride(command, client.users.cache.get('5'), true);
+		guild.setPermissionOverride('util', channel, true);
+
+		const member = createMessage(channel, '!secret', { author: '5' });
+		assert.strictEqual(guild.resolvePermissionOverride(command, member), true);
+		assert.strictEqual(command.hasPermission(member), 'The `secret` command can only be used by the bot owner.');
+		assert.strictEqual(command.hasPermission(createMessage(channel, '!secret')), true);
+	});
+});
+
+describe('permissions command', () => {
+	it('lists, allows, denies and resets overrides', async() => {
+		const { guild, channel, sent } = setup();
+		for(const content of [
+			'!permissions list',
+			'!permissions deny ping <#300>',
+			'!permissions allow util <@&200>',
+			'!permissions allow ping member',
+			'!permissions list',
+			'!permissions reset ping member',
+			'!permissions reset ping',
+			'!permissions allow enable member'
+		]) {
+			await dispatch(channel, content); // eslint-disable-line no-await-in-loop
+		}
+		await dispatch(channel, '!permissions list', { author: '5' });
+		assert.deepStrictEqual(sent.map(data => data.content), [
+			'There are no permission overrides in this server.',
+			'Denied the `ping` command in <#300>.',
+			'Allowed the `Utility` group to the Mods role.',
+			'Allowed the `ping` command to member#0001.',
+			'__**Permission overrides**__\n' +
+				'**ping** (command): denied in <#300>, allowed to member#0001\n' +
+				'**util** (group): allowed to the Mods role',
+			'Removed the permission override of the `ping` command to member#0001.',
+			'Removed all permission overrides of the `ping` command.',
+			'The permissions of the `enable` command can\'t be changed.',
+			'You do not have permission to use the `permissions` command.'
+		]);
+		assert.deepStrictEqual(guild.permissionOverrides, [
+			{ type: 'group', name: 'util', target: 'role', id: '200', allow: true }
+		]);
+	});
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const FrameCommand = require('../../src/commands/command');
+const { createClient } = require('../support/client');
+
+function createCommand(client, info) {
+	return new FrameCommand(client, {
+		name: 'roll',
+		group: 'util',
+		memberName: 'roll',
+		description: 'Rolls dice.',
+		...info
+	});
+}
+
+describe('FrameCommand#toSlashCommand', () => {
+	it('creates an option for each argument', () => {
+		const client = createClient();
+		const command = createCommand(client, {
+			description: `Rolls dice. ${'x'.repeat(100)}`,
+			args: [
+				{ key: 'Sides', prompt: 'How many sides?', type: 'integer', oneOf: [4, 6, 20] },
+				{ key: 'count', prompt: 'How many dice?', type: 'integer', min: 1, max: 10, default: 1 },
+				{ key: 'modifier', prompt: 'What to add?', type: 'float', min: -5, default: 0 },
+				{ key: 'player', prompt: 'Who for?', type: 'member', default: '' },
+				{ key: 'table', prompt: 'Which table?', type: 'text-channel', default: '' },
+				{ key: 'label', prompt: `What label? ${'y'.repeat(100)}`, type: 'string', default: '' },
+				{
+					key: 'color',
+					prompt: 'Which color?',
+					type: 'string',
+					oneOf: Array.from({ length: 30 }, (_, i) => `color${i}`),
+					default: 'color0'
+				}
+			]
+		});
+
+		assert.deepStrictEqual(command.toSlashCommand(), {
+			type: 'CHAT_INPUT',
+			name: 'roll',
+			description: `Rolls dice. ${'x'.repeat(85)}...`,
+			options: [
+				{
+					type: 'INTEGER',
+					name: 'sides',
+					description: 'How many sides?',
+					required: true,
+					choices: [{ name: '4', value: 4 }, { name: '6', value: 6 }, { name: '20', value: 20 }]
+				},
+				{
+					type: 'INTEGER',
+					name: 'count',
+					description: 'How many dice?',
+					required: false,
+					minValue: 1,
+					maxValue: 10
+				},
+				{ type: 'NUMBER', name: 'modifier', description: 'What to add?', required: false, minValue: -5 },
+				{ type: 'USER', name: 'player', description: 'Who for?', required: false },
+				{
+					type: 'CHANNEL',
+					channelTypes: ['GUILD_TEXT', 'GUILD_NEWS'],
+					name: 'table',
+					description: 'Which table?',
+					required: false
+				},
+				{ type: 'STRING', name: 'label', description: `What label? ${'y'.repeat(85)}...`, required: false },
+				{ type: 'STRING', name: 'color', description: 'Which color?', required: false, autocomplete: true }
+			]
+		});
+	});
+
+	it('makes every option optional for commands that collect their arguments with a modal', () => {
+		const client = createClient();
+		const command = createCommand(client, {
+			argsModal: true,
+			args: [
+				{ key: 'sides', prompt: 'How many sides?', type: 'integer', min: 2 },
+				{ key: 'count', prompt: 'How many dice?', type: 'integer', default: 1 }
+			]
+		});
+		assert.deepStrictEqual(command.toSlashCommand().options, [
+			{ type: 'INTEGER', name: 'sides', description: 'How many sides?', required: false, minValue: 2 },
+			{ type: 'INTEGER', name: 'count', description: 'How many dice?', required: false }
+		]);
+		assert.deepStrictEqual(createCommand(client).toSlashCommand().options, []);
+	});
+
+	it('rejects argument keys that cannot be used as option names', () => {
+		const client = createClient();
+		const arg = key => ({ key, prompt: 'Which?', type: 'string' });
+		assert.throws(() => createCommand(client, { args: [arg('how many')] }), RangeError);
+		assert.throws(() => createCommand(client, { args: [arg('x'.repeat(33))] }), RangeError);
+		assert.throws(() => createCommand(client, { args: [arg('Name'), arg('name')] }), /unique/);
+		assert.throws(() => createCommand(client, {
+			subcommands: [{ name: 'show', description: 'Shows it.', args: [arg('what?')] }]
+		}), /Subcommand argument key "what\?"/);
+
+		createCommand(client, { args: [arg('with-dash_and_underscore'), arg('x'.repeat(32))] });
+		createCommand(client, { slash: false, args: [arg('how many'), arg('How many')] });
+	});
+});
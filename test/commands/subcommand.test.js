@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const FrameCommand = require('../../src/commands/command');
+const { createGuild, dispatch } = require('../support/message');
+
+class TagCommand extends FrameCommand {
+	constructor(client, info = {}) {
+		super(client, {
+			name: 'tag',
+			group: 'util',
+			memberName: 'tag',
+			description: 'Manages tags.',
+			subcommands: [
+				{
+					name: 'show',
+					description: 'Shows a tag.',
+					args: [{ key: 'Name', prompt: 'Which tag would you like to see?', type: 'string' }],
+					run(ctx, { Name }) {
+						return ctx.say(`Tag ${Name}`);
+					}
+				},
+				{
+					name: 'admin',
+					description: `Manages the tags of the server. ${'x'.repeat(100)}`,
+					subcommands: [
+						{
+							name: 'delete',
+							description: 'Deletes a tag.',
+							args: [
+								{ key: 'name', prompt: 'Which tag would you like to delete?', type: 'string' },
+								{ key: 'reason', prompt: 'Why?', type: 'string', default: '' }
+							],
+							run(ctx, { name }) {
+								return ctx.say(`Deleted ${name}`);
+							}
+						},
+						{ name: 'clear', description: 'Deletes all tags.' }
+					]
+				}
+			],
+			...info
+		});
+	}
+}
+
+describe('FrameCommand subcommands', () => {
+	it('matches the leading words of an argument string', () => {
+		const { client } = createGuild();
+		const command = new TagCommand(client);
+		const show = command.subcommands.get('show');
+		const admin = command.subcommands.get('admin');
+
+		assert.deepStrictEqual(command.matchSubcommand(' SHOW  foo bar'), { subcommand: show, argString: '  foo bar' });
+		assert.deepStrictEqual(command.matchSubcommand('admin delete foo'), {
+			subcommand: admin.subcommands.get('delete'),
+			argString: ' foo'
+		});
+		assert.deepStrictEqual(command.matchSubcommand('admin foo'), { subcommand: admin, argString: ' foo' });
+		assert.deepStrictEqual(command.matchSubcommand('unknown foo'), { subcommand: null, argString: 'unknown foo' });
+		assert.deepStrictEqual(command.matchSubcommand(''), { subcommand: null, argString: '' });
+	});
+
+	it('resolves subcommands by their path', () => {
+		const { client } = createGuild();
+		const command = new TagCommand(client);
+		const admin = command.subcommands.get('admin');
+
+		assert.strictEqual(command.resolveSubcommand(['show']), command.subcommands.get('show'));
+		assert.strictEqual(command.resolveSubcommand(['Admin', 'clear']), admin.subcommands.get('clear'));
+		assert.deepStrictEqual(admin.subcommands.get('clear').path, ['tag', 'admin', 'clear']);
+		assert.strictEqual(command.resolveSubcommand(['admin']), admin);
+		assert.strictEqual(command.resolveSubcommand(['admin', 'show']), null);
+		assert.strictEqual(command.resolveSubcommand([]), null);
+	});
+
+	it('creates slash command options for subcommands and subcommand groups', () => {
+		const { client } = createGuild();
+		const command = new TagCommand(client);
+		assert.deepStrictEqual(command.subcommands.map(sub => sub.toSlashOption()), [
+			{
+				type: 'SUB_COMMAND',
+				name: 'show',
+				description: 'Shows a tag.',
+				options: [
+					{ type: 'STRING', name: 'name', description: 'Which tag would you like to see?', required: true }
+				]
+			},
+			{
+				type: 'SUB_COMMAND_GROUP',
+				name: 'admin',
+				description: `Manages the tags of the server. ${'x'.repeat(65)}...`,
+				options: [
+					{
+						type: 'SUB_COMMAND',
+						name: 'delete',
+						description: 'Deletes a tag.',
+						options: [
+							{
+								type: 'STRING',
+								name: 'name',
+								description: 'Which tag would you like to delete?',
+								required: true
+							},
+							{ type: 'STRING', name: 'reason', description: 'Why?', required: false }
+						]
+					},
+					{ type: 'SUB_COMMAND', name: 'clear', description: 'Deletes all tags.', options: [] }
+				]
+			}
+		]);
+
+		const modal = new TagCommand(client, { argsModal: true });
+		assert.strictEqual(modal.subcommands.get('show').toSlashOption().options[0].required, false);
+	});
+
+	it('runs subcommands from messages', async() => {
+		const { client, channel, sent } = createGuild();
+		client.registry.registerCommand(TagCommand);
+		await dispatch(channel, '!tag show foo');
+		await dispatch(channel, '!tag admin delete bar');
+		assert.deepStrictEqual(sent.map(data => data.content), ['Tag foo', 'Deleted bar']);
+	});
+
+	it('asks for a subcommand without counting the usage towards the throttling', async() => {
+		const { client, channel, sent } = createGuild();
+		client.registry.registerCommand(new TagCommand(client, { throttling: { usages: 1, duration: 60 } }));
+		await dispatch(channel, '!tag', { author: '5' });
+		await dispatch(channel, '!tag admin', { author: '5' });
+		await dispatch(channel, '!tag show foo', { author: '5' });
+		assert.deepStrictEqual(sent.map(data => data.content), [
+			'Please specify one of the subcommands of `!tag` or `@bot#0001\xa0tag`: `show`, `admin`.',
+			'Please specify one of the subcommands of `!tag\xa0admin` or `@bot#0001\xa0tag\xa0admin`: ' +
+				'`delete`, `clear`.',
+			'Tag foo'
+		]);
+	});
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MemoryProvider = require('../../src/providers/memory');
+const { createClient } = require('../support/client');
+
+const throttle = { state: { start: 1, usages: 1 }, expires: Date.now() + 60000 };
+
+async function createProvider(settings, setup) {
+	const client = createClient();
+	if(setup) setup(client.registry);
+	const provider = new MemoryProvider(settings);
+	await client.setProvider(provider);
+	return provider;
+}
+
+describe('SettingProvider export and import', () => {
+	it("doesn't export throttle states", async() => {
+		const provider = await createProvider({
+			'123': { foo: 1 },
+			'user:2': { bar: 2, 'throttle-spam': throttle },
+			'user:3': { 'throttle-spam': throttle }
+		});
+		const data = provider.export();
+		assert.deepStrictEqual(data.settings, { '123': { foo: 1 }, 'user:2': { bar: 2 } });
+	});
+
+	it('keeps the current throttle states when importing', async() => {
+		const provider = await createProvider({ 'user:2': { bar: 2, 'throttle-spam': throttle } });
+		const data = provider.export();
+		data.settings['user:2'] = { baz: 3, 'throttle-spam': { state: { start: 1, usages: 0 }, expires: 0 } };
+		data.settings['user:3'] = { 'throttle-spam': throttle };
+
+		await provider.import(data);
+		assert.deepStrictEqual(provider.settings.get('user:2'), { baz: 3, 'throttle-spam': throttle });
+		assert.ok(!provider.settings.has('user:3') || !('throttle-spam' in provider.settings.get('user:3')));
+
+		await provider.import(data, { merge: true });
+		assert.deepStrictEqual(provider.settings.get('user:2'), { baz: 3, 'throttle-spam': throttle });
+	});
+
+	it('rejects data that is invalid JSON, not an export or from a newer version', async() => {
+		const provider = await createProvider({ '123': { foo: 1 } });
+		await assert.rejects(provider.import('{'), /^TypeError: The settings to import aren't valid JSON: /);
+		await assert.rejects(provider.import(Buffer.from('[]')), /must be settings exported with SettingProvider/);
+		await assert.rejects(provider.import({ format: 'other', settings: {} }), /must be settings exported/);
+		await assert.rejects(provider.import({ format: 'djsframe-settings', settings: { '123': [] } }),
+			/The settings to import for 123 must be an Object/);
+		await assert.rejects(provider.import({ format: 'djsframe-settings', version: 1, settings: {} }), {
+			name: 'RangeError',
+			message: 'The settings were exported at version 1, which is newer than this bot (0).'
+		});
+		assert.deepStrictEqual(provider.settings.get('123'), { foo: 1 });
+	});
+
+	it('replaces or merges the settings of the imported targets', async() => {
+		const provider = await createProvider({ '123': { foo: 1, bar: 2 }, '456': { baz: 3 } });
+		const data = JSON.stringify({ format: 'djsframe-settings', version: 0, settings: { '123': { foo: 5 } } });
+
+		assert.deepStrictEqual(await provider.import(data, { merge: true }), { targets: 1, settings: 1 });
+		assert.deepStrictEqual(provider.settings.get('123'), { foo: 5, bar: 2 });
+		assert.deepStrictEqual(provider.settings.get('456'), { baz: 3 });
+
+		assert.deepStrictEqual(await provider.import(data), { targets: 1, settings: 1 });
+		assert.deepStrictEqual(provider.settings.get('123'), { foo: 5 });
+		assert.deepStrictEqual(provider.settings.get('456'), { baz: 3 });
+	});
+
+	it('migrates settings exported at an older version', async() => {
+		const provider = await createProvider({ '123': { volume: 50 } }, registry => registry.registerMigration({
+			version: 1,
+			migrate: migration => migration.renameKey('vol', 'volume')
+		}));
+		assert.strictEqual(provider.get('global', 'settings-version'), 1);
+
+		const data = { format: 'djsframe-settings', version: 0, settings: { '456': { vol: 20 } } };
+		assert.deepStrictEqual(await provider.import(data), { targets: 1, settings: 1 });
+		assert.deepStrictEqual(provider.settings.get('456'), { volume: 20 });
+		assert.deepStrictEqual(provider.settings.get('123'), { volume: 50 });
+	});
+
+	it('stores nothing if the value of a registered setting is invalid', async() => {
+		const provider = await createProvider({ '123': { volume: 50 } }, registry => registry.registerSetting({
+			key: 'volume',
+			type: 'integer',
+			max: 100
+		}));
+		const data = {
+			format: 'djsframe-settings',
+			version: 0,
+			settings: { '123': { volume: 20 }, '456': { volume: 200 } }
+		};
+		await assert.rejects(provider.import(data, { merge: true }), { name: 'SettingValueError' });
+		assert.deepStrictEqual(provider.settings.get('123'), { volume: 50 });
+		assert.ok(!provider.settings.has('456'));
+	});
+
+	it('only exports the settings of a guild, its channels and members', async() => {
+		const provider = await createProvider({
+			'123': { foo: 1 },
+			'456': { foo: 2 },
+			'member:123:2': { bar: 3 },
+			'member:456:2': { bar: 4 },
+			'user:2': { baz: 5 }
+		});
+		const data = provider.export('123');
+		assert.strictEqual(data.guild, '123');
+		assert.deepStrictEqual(data.settings, { '123': { foo: 1 }, 'member:123:2': { bar: 3 } });
+		assert.throws(() => provider.export('global'), TypeError);
+	});
+});
@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MemoryProvider = require('../../src/providers/memory');
+const SQLiteProvider = require('../../src/providers/sqlite');
+const MigrationHelper = require('../../src/providers/migration');
+const MockDatabase = require('../support/sqlite-database');
+const { createClient } = require('../support/client');
+
+const volume = {
+	version: 1,
+	description: 'Store volumes as fractions',
+	migrate: migration => {
+		migration.renameKey('vol', 'volume', 'guild');
+		migration.transform('volume', vol => vol / 100);
+	}
+};
+
+const blacklist = {
+	version: 2,
+	migrate: migration => migration.moveScope('blacklist', 'global', ids => ids.map(id => ({ user: id })), {
+		toKey: 'blacklisted',
+		transform: () => true
+	})
+};
+
+describe('MigrationHelper', () => {
+	function createHelper() {
+		const settings = new Map([
+			['global', { blacklist: ['5', '6'] }],
+			['123', { vol: 50, prefix: '?' }],
+			['user:5', { vol: 20 }]
+		]);
+		return new MigrationHelper(new MemoryProvider(), settings);
+	}
+
+	it('gets, sets and removes settings of targets', () => {
+		const helper = createHelper();
+		assert.deepStrictEqual(helper.targets(), ['global', '123', 'user:5']);
+		assert.deepStrictEqual(helper.targets('user'), ['user:5']);
+		assert.strictEqual(helper.get('123', 'vol'), 50);
+		assert.strictEqual(helper.get({ user: '5' }, 'vol'), 20);
+		assert.strictEqual(helper.get('456', 'vol'), undefined);
+
+		helper.set('456', 'prefix', '!');
+		helper.set('123', 'prefix', undefined);
+		helper.remove('123', 'missing');
+		assert.deepStrictEqual(helper.settings.get('456'), { prefix: '!' });
+		assert.deepStrictEqual(helper.settings.get('123'), { vol: 50 });
+		assert.deepStrictEqual(helper.changes, ['Set prefix of 456 to "!"', 'Removed prefix of 123']);
+	});
+
+	it('renames, transforms and moves settings', () => {
+		const helper = createHelper();
+		volume.migrate(helper);
+		blacklist.migrate(helper);
+		helper.transform('volume', () => undefined, 'user');
+		assert.deepStrictEqual(Object.fromEntries(helper.settings), {
+			'global': {},
+			'123': { volume: 0.5, prefix: '?' },
+			'user:5': { vol: 20, blacklisted: true },
+			'user:6': { blacklisted: true }
+		});
+		assert.deepStrictEqual(helper.changes, [
+			'Renamed vol of 123 to volume',
+			'Transformed volume of 123 to 0.5',
+			'Moved blacklist of global to blacklisted of user:5, blacklisted of user:6'
+		]);
+	});
+});
+
+describe('SettingProvider#migrate', () => {
+	async function createProvider(provider, migrations) {
+		const client = createClient();
+		client.registry.registerMigrations(migrations);
+		const reports = [];
+		client.on('providerMigrate', report => reports.push(report));
+		await client.setProvider(provider);
+		return { client, reports };
+	}
+
+	it('runs the pending migrations in order when the provider is initialised', async() => {
+		const provider = new MemoryProvider({ 'global': { blacklist: ['5'] }, '123': { vol: 50 } });
+		const { reports } = await createProvider(provider, [blacklist, volume]);
+		assert.deepStrictEqual(reports, [{
+			from: 0,
+			to: 2,
+			dryRun: false,
+			migrations: [
+				{
+					version: 1,
+					description: 'Store volumes as fractions',
+					changes: ['Renamed vol of 123 to volume', 'Transformed volume of 123 to 0.5']
+				},
+				{ version: 2, description: null, changes: ['Moved blacklist of global to blacklisted of user:5'] }
+			]
+		}]);
+		assert.deepStrictEqual(Object.fromEntries(provider.settings), {
+			'global': { 'settings-version': 2 },
+			'123': { volume: 0.5 },
+			'user:5': { blacklisted: true }
+		});
+		assert.strictEqual(await provider.migrate(), null);
+	});
+
+	it('only reports the changes of a dry run', async() => {
+		const provider = new MemoryProvider({ 'global': { 'settings-version': 1, 'blacklist': ['5'] } });
+		const { client, reports } = await createProvider(provider, []);
+		client.registry.registerMigrations([volume, blacklist]);
+
+		const report = await provider.migrate({ dryRun: true });
+		assert.deepStrictEqual(report, {
+			from: 1,
+			to: 2,
+			dryRun: true,
+			migrations: [
+				{ version: 2, description: null, changes: ['Moved blacklist of global to blacklisted of user:5'] }
+			]
+		});
+		assert.deepStrictEqual(reports, [report]);
+		assert.deepStrictEqual(Object.fromEntries(provider.settings), {
+			global: { 'settings-version': 1, 'blacklist': ['5'] }
+		});
+	});
+
+	it('stores the changes and the new version in one transaction', async() => {
+		const db = new MockDatabase();
+		const provider = new SQLiteProvider(db);
+		const { client } = await createProvider(provider, []);
+		await provider.setMany([
+			{ guild: 'global', key: 'blacklist', val: ['5'] },
+			{ guild: '123', key: 'vol', val: 50 }
+		]);
+		client.registry.registerMigrations([volume, blacklist]);
+
+		const run = db.run.bind(db);
+		db.run = async sql => {
+			if(sql === 'COMMIT') throw new Error('disk full');
+			return run(sql);
+		};
+		await assert.rejects(provider.migrate(), /disk full/);
+		assert.deepStrictEqual(db.row('settings', '0'), { blacklist: ['5'] });
+		assert.deepStrictEqual(db.row('settings', '123'), { vol: 50 });
+		assert.deepStrictEqual(provider.settings.get('global'), { blacklist: ['5'] });
+		assert.ok(!provider.settings.has('user:5'));
+
+		db.run = run;
+		const statements = db.statements.length;
+		await provider.migrate();
+		assert.strictEqual(db.statements.slice(statements).filter(sql => sql === 'BEGIN TRANSACTION').length, 1);
+		assert.deepStrictEqual(db.row('settings', '0'), { 'settings-version': 2 });
+		assert.deepStrictEqual(db.row('settings', '123'), { volume: 0.5 });
+		assert.deepStrictEqual(db.row('user_settings', '5'), { blacklisted: true });
+	});
+
+	it("doesn't store anything if a migrated value is invalid", async() => {
+		const provider = new MemoryProvider({ '123': { vol: 50, prefix: '?' } });
+		const client = createClient();
+		client.registry.registerSetting({ key: 'volume', type: 'integer', min: 1 });
+		client.registry.registerMigration(volume);
+		await assert.rejects(client.setProvider(provider), { name: 'SettingValueError' });
+		assert.deepStrictEqual(Object.fromEntries(provider.settings), { '123': { vol: 50, prefix: '?' } });
+	});
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MongoProvider = require('../../src/providers/mongo');
+const MockCollection = require('../support/mongo-collection');
+const { createClient } = require('../support/client');
+
+async function createProvider(docs) {
+	const client = createClient();
+	const collection = new MockCollection(docs);
+	const provider = new MongoProvider(collection);
+	await client.setProvider(provider);
+	return { client, collection, provider };
+}
+
+describe('MongoProvider', () => {
+	it('requires a collection', () => {
+		assert.throws(() => new MongoProvider({}), TypeError);
+	});
+
+	it('loads the documents that are already stored', async() => {
+		const warnings = [];
+		const client = createClient();
+		client.on('warn', warning => warnings.push(warning));
+		const collection = new MockCollection([
+			{ _id: '123', settings: { prefix: '?', 'a%2Eb': 1, '%24c': true } },
+			{ _id: 'user:5', settings: { lang: 'cs' } },
+			{ _id: '456', settings: null }
+		]);
+		const provider = new MongoProvider(collection);
+		await client.setProvider(provider);
+
+		assert.deepStrictEqual(provider.settings.get('123'), { prefix: '?', 'a.b': 1, $c: true });
+		assert.strictEqual(provider.get('user:5', 'lang'), 'cs');
+		assert.ok(!provider.settings.has('456'));
+		assert.ok(warnings.some(warning => warning.includes('456')));
+	});
+
+	it('only updates the setting that changed', async() => {
+		const { collection, provider } = await createProvider();
+
+		await provider.set('123', 'foo', { bar: 1 });
+		await provider.set('123', 'a.b', 'dotted');
+		assert.deepStrictEqual(provider.get('123', 'foo'), { bar: 1 });
+		assert.deepStrictEqual(collection.docs.get('123'), { _id: '123', settings: { foo: { bar: 1 }, 'a%2Eb': 'dotted' } });
+		assert.deepStrictEqual(collection.operations.pop(), {
+			op: 'updateOne',
+			filter: { _id: '123' },
+			update: { $set: { 'settings.a%2Eb': 'dotted' } },
+			options: { upsert: true }
+		});
+	});
+
+	it('removes settings', async() => {
+		const { collection, provider } = await createProvider([{ _id: '123', settings: { foo: 1, bar: 2 } }]);
+
+		assert.strictEqual(await provider.remove('123', 'foo'), 1);
+		assert.strictEqual(provider.get('123', 'foo'), undefined);
+		assert.deepStrictEqual(collection.docs.get('123').settings, { bar: 2 });
+
+		const operations = collection.operations.length;
+		assert.strictEqual(await provider.remove('123', 'missing'), undefined);
+		assert.strictEqual(collection.operations.length, operations);
+	});
+
+	it('clears the settings of a target', async() => {
+		const { collection, provider } = await createProvider([{ _id: '123', settings: { foo: 1 } }]);
+
+		await provider.clear('123');
+		assert.ok(!provider.settings.has('123'));
+		assert.ok(!collection.docs.has('123'));
+	});
+
+	it('stores several changes with one bulk write', async() => {
+		const { collection, provider } = await createProvider([
+			{ _id: '123', settings: { foo: 1, bar: 2 } },
+			{ _id: '456', settings: { foo: 3 } }
+		]);
+		const operations = collection.operations.length;
+
+		await provider.setMany([
+			{ guild: '123', key: 'foo', val: 4 },
+			{ guild: '123', key: 'bar', val: undefined },
+			{ guild: '456', key: 'foo', val: undefined },
+			{ guild: 'user:5', key: 'lang', val: 'cs' }
+		]);
+		assert.deepStrictEqual(Object.fromEntries(provider.settings), { '123': { foo: 4 }, 'user:5': { lang: 'cs' } });
+		assert.deepStrictEqual(collection.operations[operations], { op: 'bulkWrite', count: 3 });
+		assert.deepStrictEqual(collection.operations[operations + 1].update, {
+			$set: { 'settings.foo': 4 },
+			$unset: { 'settings.bar': '' }
+		});
+		assert.deepStrictEqual(collection.docs.get('123').settings, { foo: 4 });
+		assert.ok(!collection.docs.has('456'));
+		assert.deepStrictEqual(collection.docs.get('user:5').settings, { lang: 'cs' });
+	});
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MemoryProvider = require('../../src/providers/memory');
+const { createClient } = require('../support/client');
+const { createGuild } = require('../support/message');
+
+describe('SettingProvider', () => {
+	it('stores changes made through the client', async() => {
+		const client = createClient();
+		const provider = new MemoryProvider();
+		await client.setProvider(provider);
+
+		client.commandPrefix = '?';
+		client.registry.commands.get('ping').setEnabledIn(null, false);
+		await new Promise(setImmediate);
+		assert.deepStrictEqual(provider.settings.get('global'), { 'prefix': '?', 'cmd-ping': false });
+	});
+
+	it('stores the changes made in guilds before it was attached', async() => {
+		const { client, guild, channel } = createGuild();
+		guild.commandPrefix = '?';
+		guild.setCommandEnabled('ping', false);
+		guild.setPermissionOverride('prefix', channel, true);
+		const provider = new MemoryProvider({ 100: { 'prefix': '$', 'grp-util': false } });
+		await client.setProvider(provider);
+
+		assert.strictEqual(guild.commandPrefix, '?');
+		assert.ok(!guild.isCommandEnabled('ping'));
+		assert.ok(!guild.isGroupEnabled('util'));
+		assert.deepStrictEqual(provider.settings.get('100'), {
+			'prefix': '?',
+			'grp-util': false,
+			'cmd-ping': false,
+			'permission-overrides': [{ type: 'command', name: 'prefix', target: 'channel', id: '300', allow: true }]
+		});
+		assert.deepStrictEqual(guild._commandState, {});
+
+		// Later changes are only kept by the provider
+		guild.commandPrefix = null;
+		await new Promise(setImmediate);
+		assert.strictEqual(provider.get(guild, 'prefix'), null);
+		assert.strictEqual(guild.commandPrefix, '!');
+		assert.deepStrictEqual(guild._commandState, {});
+	});
+
+	it('emits the changes made through the client that fail to be stored', async() => {
+		const client = createClient();
+		const provider = new MemoryProvider();
+		await client.setProvider(provider);
+		provider.set = async() => {
+			throw new Error('disk full');
+		};
+		const errors = [];
+		client.on('providerError', (err, source) => errors.push([err.message, source]));
+
+		client.commandPrefix = '?';
+		client.registry.commands.get('ping').setEnabledIn(null, false);
+		await new Promise(setImmediate);
+		assert.deepStrictEqual(errors, [['disk full', provider], ['disk full', provider]]);
+	});
+});
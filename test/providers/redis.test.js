@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const RedisProvider = require('../../src/providers/redis');
+const RespServer = require('../support/resp-server');
+const { createClient, waitFor } = require('../support/client');
+
+const prefix = 'test:';
+
+describe('RedisProvider', () => {
+	let server;
+	let providers;
+
+	async function createProvider() {
+		const client = createClient();
+		const provider = new RedisProvider({ port: server.port, prefix, reconnectDelay: 10 });
+		await client.setProvider(provider);
+		providers.push(provider);
+		return provider;
+	}
+
+	beforeEach(async() => {
+		server = new RespServer();
+		await server.start();
+		providers = [];
+	});
+
+	afterEach(async() => {
+		await Promise.all(providers.map(provider => provider.destroy()));
+		await server.stop();
+	});
+
+	it('loads the settings that are already stored', async() => {
+		server.hash(`${prefix}123`).set('prefix', '"?"');
+		server.set(`${prefix}guilds`).add('123');
+
+		const provider = await createProvider();
+		assert.strictEqual(provider.get('123', 'prefix'), '?');
+	});
+
+	it('stores, removes and clears settings', async() => {
+		const provider = await createProvider();
+
+		await provider.set('123', 'foo', { bar: 1 });
+		assert.deepStrictEqual(provider.get('123', 'foo'), { bar: 1 });
+		assert.strictEqual(server.hash(`${prefix}123`).get('foo'), '{"bar":1}');
+		assert.ok(server.set(`${prefix}guilds`).has('123'));
+
+		assert.deepStrictEqual(await provider.remove('123', 'foo'), { bar: 1 });
+		assert.strictEqual(provider.get('123', 'foo'), undefined);
+		assert.ok(!server.hash(`${prefix}123`).has('foo'));
+
+		await provider.set('123', 'foo', 'baz');
+		await provider.clear('123');
+		assert.strictEqual(provider.get('123', 'foo'), undefined);
+		assert.ok(!server.data.has(`${prefix}123`));
+		assert.ok(!server.set(`${prefix}guilds`).has('123'));
+	});
+
+	it('applies the changes made by other processes', async() => {
+		const first = await createProvider();
+		const second = await createProvider();
+
+		await first.set('123', 'foo', 'bar');
+		await waitFor(() => second.get('123', 'foo') === 'bar');
+
+		await first.remove('123', 'foo');
+		await waitFor(() => typeof second.get('123', 'foo') === 'undefined');
+
+		await first.set('123', 'foo', 'bar');
+		await waitFor(() => second.get('123', 'foo') === 'bar');
+		await first.clear('123');
+		await waitFor(() => !second.settings.has('123'));
+	});
+
+	it('ignores its own change notifications', async() => {
+		const provider = await createProvider();
+		await provider.set('123', 'foo', 'bar');
+		provider.settings.get('123').foo = 'local';
+		server.publish(provider.channel, JSON.stringify({ origin: provider.id, guild: '123', key: 'foo', value: '"x"' }));
+		await new Promise(resolve => setTimeout(resolve, 50));
+		assert.strictEqual(provider.get('123', 'foo'), 'local');
+	});
+
+	it('reconnects, subscribes again and reloads the settings after the server restarts', async() => {
+		const first = await createProvider();
+		const second = await createProvider();
+		await first.set('123', 'foo', 'before');
+		await waitFor(() => second.get('123', 'foo') === 'before');
+
+		await server.stop();
+		await assert.rejects(first.set('123', 'foo', 'offline'));
+		// A change that the providers miss while they are disconnected
+		server.hash(`${prefix}123`).set('foo', '"missed"');
+		await server.start();
+
+		await waitFor(() => first.get('123', 'foo') === 'missed' && second.get('123', 'foo') === 'missed');
+		await first.set('123', 'foo', 'after');
+		await waitFor(() => second.get('123', 'foo') === 'after');
+	});
+
+	it('stores several changes in one transaction', async() => {
+		const first = await createProvider();
+		const second = await createProvider();
+		await first.setMany([{ guild: '123', key: 'foo', val: 1 }, { guild: '456', key: 'foo', val: 2 }]);
+		const commands = server.commands.length;
+
+		await first.setMany([
+			{ guild: '123', key: 'foo', val: undefined },
+			{ guild: '456', key: 'bar', val: 'baz' },
+			{ guild: 'user:5', key: 'lang', val: 'cs' }
+		]);
+		const sent = server.commands.slice(commands).map(([name]) => name);
+		assert.strictEqual(sent[0], 'MULTI');
+		assert.strictEqual(sent[sent.length - 1], 'EXEC');
+		assert.ok(!server.data.has(`${prefix}123`));
+		assert.ok(!server.set(`${prefix}guilds`).has('123'));
+		assert.strictEqual(server.hash(`${prefix}456`).get('bar'), '"baz"');
+		assert.strictEqual(server.hash(`${prefix}user:5`).get('lang'), '"cs"');
+
+		await waitFor(() => second.get('user:5', 'lang') === 'cs');
+		assert.deepStrictEqual(Object.fromEntries(second.settings), {
+			'456': { foo: 2, bar: 'baz' },
+			'user:5': { lang: 'cs' }
+		});
+	});
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const MemoryProvider = require('../../src/providers/memory');
+const FrameSetting = require('../../src/providers/setting');
+const { createGuild } = require('../support/message');
+
+const volume = {
+	key: 'volume',
+	type: 'integer',
+	description: 'Volume of the music player',
+	min: 0,
+	max: 100,
+	default: 50
+};
+
+describe('FrameSetting', () => {
+	it('validates the settings registered in the schema', () => {
+		const { client } = createGuild();
+		client.registry.registerSetting(volume);
+		assert.ok(client.registry.settings.get('volume') instanceof FrameSetting);
+		assert.strictEqual(client.registry.settings.get('volume').type.id, 'integer');
+
+		assert.throws(() => client.registry.registerSetting(volume), /already registered/);
+		assert.throws(() => client.registry.registerSetting({ key: 'cmd-ping', type: 'boolean' }), /reserved/);
+		assert.throws(() => client.registry.registerSetting({ key: 'my setting', type: 'string' }), /whitespace/);
+		assert.throws(() => client.registry.registerSetting({ key: 'lang', type: 'language' }), RangeError);
+		assert.throws(() => client.registry.registerSetting({ key: 'lang', type: 'string', scope: 'server' }), /scope/);
+		assert.throws(() => client.registry.registerSetting({ key: 'lang' }), TypeError);
+	});
+
+	it('resolves values to the form they are stored in', async() => {
+		const { client, guild } = createGuild();
+		const setting = new FrameSetting(client, volume);
+		assert.strictEqual(await setting.resolve('40'), 40);
+		assert.strictEqual(await setting.resolve(40), 40);
+		await assert.rejects(setting.resolve('loud'), { name: 'SettingValueError', value: 'loud' });
+		await assert.rejects(setting.resolve(101), { name: 'SettingValueError', message: /100/ });
+
+		const channel = new FrameSetting(client, { key: 'log-channel', type: 'text-channel' });
+		const ctx = { client, guild, channel: null, author: null, member: null };
+		assert.strictEqual(await channel.resolve('<#300>', ctx), '300');
+		assert.strictEqual(await channel.resolve(guild.channels.cache.get('300'), ctx), '300');
+	});
+});
+
+describe('SettingProvider with registered settings', () => {
+	async function setup() {
+		const data = createGuild();
+		data.client.registry.registerSettings([volume, { key: 'greeting', type: 'string', scope: 'user', max: 10 }]);
+		await data.client.setProvider(new MemoryProvider());
+		return { ...data, provider: data.client.provider };
+	}
+
+	it('gets the defaults of settings that are not set', async() => {
+		const { guild, provider } = await setup();
+		assert.strictEqual(provider.get(guild, 'volume'), 50);
+		assert.strictEqual(provider.get(guild, 'volume', 20), 20);
+		assert.strictEqual(provider.get({ user: '5' }, 'greeting'), null);
+		assert.strictEqual(provider.get(guild, 'unregistered'), undefined);
+
+		await provider.set(guild, 'volume', '30');
+		assert.strictEqual(provider.get(guild, 'volume'), 30);
+		assert.strictEqual(provider.get('global', 'volume'), 50);
+		await provider.remove(guild, 'volume');
+		assert.strictEqual(provider.get(guild, 'volume'), 50);
+	});
+
+	it('validates values before storing them', async() => {
+		const { guild, provider } = await setup();
+		await assert.rejects(provider.set(guild, 'volume', 'loud'), { name: 'SettingValueError' });
+		await assert.rejects(provider.set({ user: '5' }, 'greeting', 'Hello there!'), { name: 'SettingValueError' });
+		await assert.rejects(provider.set(guild, 'greeting', 'Hi'), /only be set for the user scope/);
+		assert.strictEqual(provider.settings.size, 0);
+
+		assert.strictEqual(await provider.set('global', 'volume', 10), 10);
+		assert.strictEqual(await provider.set({ user: '5' }, 'greeting', 'Hi'), 'Hi');
+		assert.deepStrictEqual(await provider.set(guild, 'unregistered', { any: 'value' }), { any: 'value' });
+		await assert.rejects(provider.setMany([
+			{ guild, key: 'volume', val: 20 },
+			{ guild, key: 'volume', val: -1 }
+		]), { name: 'SettingValueError' });
+		assert.strictEqual(provider.get(guild, 'volume'), 50);
+	});
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const SQLiteProvider = require('../../src/providers/sqlite');
+const MockDatabase = require('../support/sqlite-database');
+const { createClient } = require('../support/client');
+
+async function createProvider(options) {
+	const client = createClient();
+	const db = new MockDatabase();
+	const provider = new SQLiteProvider(db, options);
+	await client.setProvider(provider);
+	return { client, db, provider };
+}
+
+describe('SQLiteProvider', () => {
+	it('stores settings of every scope in their tables', async() => {
+		const { db, provider } = await createProvider();
+		await provider.set('123', 'foo', 1);
+		await provider.set('user:5', 'foo', 2);
+		await provider.set('member:123:5', 'foo', 3);
+		assert.deepStrictEqual(db.row('settings', '123'), { foo: 1 });
+		assert.deepStrictEqual(db.row('user_settings', '5'), { foo: 2 });
+		assert.deepStrictEqual(db.row('member_settings', '123', '5'), { foo: 3 });
+
+		await provider.clear('123');
+		assert.strictEqual(db.row('settings', '123'), null);
+	});
+
+	it('never overlaps transactions and other writes', async() => {
+		const { db, provider } = await createProvider();
+		await Promise.all([
+			provider.setMany([{ guild: '1', key: 'a', val: 1 }, { guild: '2', key: 'a', val: 1 }]),
+			provider.setMany([{ guild: '2', key: 'b', val: 2 }, { guild: '3', key: 'b', val: 2 }]),
+			provider.set('1', 'c', 3),
+			provider.clear('3')
+		]);
+
+		assert.deepStrictEqual(db.row('settings', '1'), { a: 1, c: 3 });
+		assert.deepStrictEqual(db.row('settings', '2'), { a: 1, b: 2 });
+		assert.strictEqual(db.row('settings', '3'), null);
+		assert.strictEqual(db.statements.filter(sql => sql === 'BEGIN TRANSACTION').length, 2);
+		assert.ok(!db.statements.includes('ROLLBACK'));
+	});
+
+	it('restores the cache when a transaction fails', async() => {
+		const { db, provider } = await createProvider();
+		await provider.set('1', 'a', 1);
+		const run = db.run.bind(db);
+		db.run = async sql => {
+			if(sql === 'COMMIT') throw new Error('disk full');
+			return run(sql);
+		};
+
+		await assert.rejects(provider.setMany([{ guild: '1', key: 'a', val: 2 }, { guild: '2', key: 'a', val: 2 }]));
+		assert.strictEqual(provider.get('1', 'a'), 1);
+		assert.ok(!provider.settings.has('2'));
+	});
+
+	it('collects changes until they are flushed', async() => {
+		const { db, provider } = await createProvider({ flushInterval: 60000 });
+		await provider.set('1', 'a', 1);
+		await provider.setMany([{ guild: '2', key: 'a', val: 2 }]);
+		assert.strictEqual(db.row('settings', '1'), null);
+
+		await Promise.all([provider.flush(), provider.flush()]);
+		assert.deepStrictEqual(db.row('settings', '1'), { a: 1 });
+		assert.deepStrictEqual(db.row('settings', '2'), { a: 2 });
+		await provider.destroy();
+	});
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { ApplicationCommand, ApplicationCommandManager, Collection } = require('discord.js');
+const { createClient } = require('../support/client');
+const { snowflake } = require('../support/message');
+
+/**
+ * Creates a client with an application whose command manager records the requests instead of sending them to Discord
+ * @param {Function} deploy - Function that gets the commands built by the registry and returns the deployed ones
+ */
+function setup(deploy) {
+	const client = createClient();
+	const requests = [];
+	const deployed = deploy(client.registry.buildSlashCommands()).map(data => {
+		const raw = ApplicationCommandManager.transformCommand(data);
+		// Discord fills in the defaults of what the command data leaves out
+		return new ApplicationCommand(client, {
+			...raw,
+			options: raw.options || [],
+			default_permission: true,
+			dm_permission: true,
+			id: snowflake(),
+			application_id: '6',
+			version: '1'
+		});
+	});
+	client.application = {
+		commands: {
+			fetch: async options => {
+				requests.push(['fetch', options]);
+				return new Collection(deployed.map(command => [command.id, command]));
+			},
+			create: async(data, guildId) => requests.push(['create', data.name, guildId]),
+			edit: async(command, data, guildId) => requests.push(['edit', command.name, data.description, guildId]),
+			delete: async(command, guildId) => requests.push(['delete', `${command.type}:${command.name}`, guildId])
+		}
+	};
+	return { client, requests };
+}
+
+/**
+ * Deploys the built commands except for `ping`, along with an outdated `prefix` command and commands that were removed
+ */
+function outdated(built) {
+	return [
+		...built.filter(data => data.name !== 'ping')
+			.map(data => data.name === 'prefix' ? { ...data, description: 'Old description.' } : data),
+		{ type: 'CHAT_INPUT', name: 'old', description: 'Removed command.' },
+		{ type: 'USER', name: 'help' }
+	];
+}
+
+describe('FrameRegistry#syncSlashCommands', () => {
+	it('creates, updates and deletes only the commands that changed', async() => {
+		const { client, requests } = setup(outdated);
+		const reports = [];
+		client.on('slashCommandSync', report => reports.push(report));
+
+		const report = await client.registry.syncSlashCommands();
+		assert.deepStrictEqual(report, {
+			guild: null,
+			dryRun: false,
+			created: ['ping'],
+			updated: ['prefix'],
+			deleted: ['old', 'help'],
+			unchanged: [
+				'help', 'config', 'eval', 'groups', 'enable', 'disable', 'reload', 'load', 'unload', 'permissions'
+			]
+		});
+		assert.deepStrictEqual(reports, [report]);
+		assert.deepStrictEqual(requests, [
+			['fetch', undefined],
+			['edit', 'prefix', 'Shows or sets the command prefix.', null],
+			['delete', 'CHAT_INPUT:old', null],
+			['delete', 'USER:help', null],
+			['create', 'ping', null]
+		]);
+	});
+
+	it('only reports the changes of a dry run', async() => {
+		const { client, requests } = setup(outdated);
+		const report = await client.registry.syncSlashCommands({ dryRun: true });
+		assert.strictEqual(report.dryRun, true);
+		assert.deepStrictEqual(report.created, ['ping']);
+		assert.deepStrictEqual(report.updated, ['prefix']);
+		assert.deepStrictEqual(report.deleted, ['old', 'help']);
+		assert.deepStrictEqual(requests, [['fetch', undefined]]);
+	});
+
+	it('syncs the commands of a guild', async() => {
+		const { client, requests } = setup(built => built.filter(data => data.name !== 'ping'));
+		client.guilds._add({ id: '100', name: 'Guild', roles: [], channels: [], members: [] });
+		const report = await client.registry.syncSlashCommands({ guild: '100' });
+		assert.strictEqual(report.guild, '100');
+		assert.deepStrictEqual(requests, [['fetch', { guildId: '100' }], ['create', 'ping', '100']]);
+		await assert.rejects(client.registry.syncSlashCommands({ guild: {} }), TypeError);
+
+		client.application = null;
+		await assert.rejects(client.registry.syncSlashCommands(), /must be logged in/);
+	});
+});
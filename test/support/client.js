@@ -0,0 +1,28 @@
+const FrameClient = require('../../src/client');
+
+/**
+ * Creates a client that never logs in, for testing the parts of the framework that don't need Discord
+ * @param {Object} [options] - Additional client options
+ * @return {FrameClient}
+ */
+function createClient(options = {}) {
+	const client = new FrameClient({ owners: ['1'], intents: [], ...options });
+	client.registry.registerDefaults();
+	return client;
+}
+
+/**
+ * Waits until a condition is met
+ * @param {Function} condition - Function that returns whether the condition is met
+ * @param {number} [timeout=2000] - How long to wait at most (in milliseconds)
+ * @return {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+	const start = Date.now();
+	while(!await condition()) {
+		if(Date.now() - start > timeout) throw new Error('Timed out waiting for the condition.');
+		await new Promise(resolve => setTimeout(resolve, 10)); // eslint-disable-line no-await-in-loop
+	}
+}
+
+module.exports = { createClient, waitFor };
@@ -0,0 +1,129 @@
+const { MessagePayload, Permissions } = require('discord.js');
+const FrameMessage = require('../../src/message');
+const { createClient } = require('./client');
+
+let nextID = 1000;
+
+/**
+ * Creates a unique snowflake
+ * @return {string}
+ */
+function snowflake() {
+	return String(nextID++);
+}
+
+/**
+ * Resolves what discord.js would send to the API for a message, throwing where discord.js would
+ * @param {Channel|Message} target - Channel or message the payload is for
+ * @param {MessagePayload|MessageOptions} options - Options of the message
+ * @return {Object}
+ */
+function resolvePayload(target, options) {
+	const payload = options instanceof MessagePayload ? options : MessagePayload.create(target, options);
+	const { data } = payload.resolveData();
+	// Leave out what isn't set, like the API does
+	return Object.fromEntries(Object.entries(data).filter(([, value]) => typeof value !== 'undefined'));
+}
+
+/**
+ * Makes a channel record the messages sent and edited in it instead of sending them to Discord
+ * @param {TextBasedChannels} channel - Channel to stub
+ * @param {Object[]} sent - Array that the sent and edited payloads are pushed to (with `edit` set for edits)
+ * @return {TextBasedChannels} The channel
+ */
+function stubChannel(channel, sent) {
+	const { client } = channel;
+	channel.send = async options => {
+		const data = resolvePayload(channel, options);
+		sent.push(data);
+		return channel.messages._add({
+			...data,
+			id: snowflake(),
+			channel_id: channel.id,
+			author: { id: client.user.id, username: client.user.username, discriminator: client.user.discriminator }
+		});
+	};
+	channel.messages.edit = async(message, options) => {
+		const data = resolvePayload(message, options);
+		sent.push({ ...data, edit: message.id });
+		message._patch({ ...data, id: message.id });
+		return message;
+	};
+	channel.messages.delete = async message => {
+		sent.push({ delete: channel.messages.resolveId(message) });
+	};
+	channel.sendTyping = async() => null;
+	return channel;
+}
+
+/**
+ * Creates a client that never logs in, with a guild that everyone may send messages in. User 1 owns the bot,
+ * user 5 is a member of the guild and user 6 is the client user.
+ * @param {Object} [options] - Additional client options
+ * @return {{client: FrameClient, guild: Guild, channel: TextChannel, sent: Object[]}}
+ */
+function createGuild(options) {
+	const client = createClient(options);
+	client.user = client.users._add({ id: '6', username: 'bot', discriminator: '0001', bot: true });
+	const { FLAGS } = Permissions;
+	const guild = client.guilds._add({
+		id: '100',
+		name: 'Guild',
+		owner_id: '9',
+		roles: [{ id: '100', name: '@everyone', permissions: String(FLAGS.VIEW_CHANNEL | FLAGS.SEND_MESSAGES) }],
+		channels: [{ id: '300', type: 0, name: 'text' }],
+		members: [
+			{ user: { id: '1', username: 'owner', discriminator: '0001' }, roles: [] },
+			{ user: { id: '5', username: 'member', discriminator: '0001' }, roles: [] },
+			{ user: { id: '6', username: 'bot', discriminator: '0001', bot: true }, roles: [] }
+		]
+	});
+	const sent = [];
+	return { client, guild, channel: stubChannel(client.channels.cache.get('300'), sent), sent };
+}
+
+/**
+ * Creates a message (as the client receives it) without handling it
+ * @param {TextBasedChannels} channel - Channel the message is sent in
+ * @param {string} content - Content of the message
+ * @param {Object} [options] - Options for the message
+ * @param {string} [options.author=1] - ID of the user that sends the message
+ * @param {string} [options.id] - ID of the message, to create an edited version of another message
+ * @param {Object[]} [options.attachments=[]] - Attachments of the message
+ * @return {FrameMessage}
+ */
+function createMessage(channel, content, { author = '1', id = snowflake(), attachments = [] } = {}) {
+	const { client } = channel;
+	const user = client.users.cache.get(author);
+	const message = new FrameMessage(client, {
+		id,
+		channel_id: channel.id,
+		guild_id: channel.guild ? channel.guild.id : undefined,
+		author: { id: user.id, username: user.username, discriminator: user.discriminator },
+		content,
+		attachments,
+		embeds: [],
+		mentions: [],
+		type: 0
+	});
+	channel.messages.cache.set(message.id, message);
+	return message;
+}
+
+/**
+ * Creates a command message and handles it with the client's dispatcher
+ * @param {TextBasedChannels} channel - Channel the message is sent in
+ * @param {string} content - Content of the message
+ * @param {Object} [options] - Options for the message (see {@link createMessage})
+ * @param {FrameMessage} [options.edits] - Message that the new message is an edited version of
+ * @return {Promise<FrameMessage>}
+ */
+async function dispatch(channel, content, options = {}) {
+	const { edits, ...messageOptions } = options;
+	if(edits) messageOptions.id = edits.id;
+	const message = createMessage(channel, content, messageOptions);
+	await channel.client.dispatcher.handleMessage(message, edits);
+	return message;
+}
+
+module.exports = { createGuild, createMessage, dispatch, stubChannel, snowflake };
@@ -0,0 +1,91 @@
+/**
+ * An in-memory stand-in for a MongoDB collection, supporting the parts of the driver's API used by MongoProvider
+ */
+class MockCollection {
+	/**
+	 * @param {Object[]} [docs] - Documents the collection starts with
+	 */
+	constructor(docs = []) {
+		/**
+		 * Documents in the collection, mapped by their `_id`
+		 * @type {Map<*, Object>}
+		 */
+		this.docs = new Map(docs.map(doc => [doc._id, clone(doc)]));
+
+		/**
+		 * Operations that were run, in order
+		 * @type {Array<Object>}
+		 */
+		this.operations = [];
+	}
+
+	find(filter) {
+		this.operations.push({ op: 'find', filter });
+		const docs = Array.from(this.docs.values()).filter(doc => matches(doc, filter));
+		return { toArray: async() => docs.map(clone) };
+	}
+
+	async updateOne(filter, update, options = {}) {
+		this.operations.push({ op: 'updateOne', filter, update, options });
+		let doc = Array.from(this.docs.values()).find(item => matches(item, filter));
+		if(!doc) {
+			if(!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+			doc = { ...filter };
+			this.docs.set(doc._id, doc);
+		}
+		for(const [path, val] of Object.entries(update.$set || {})) {
+			const { parent, key } = resolvePath(doc, path, true);
+			parent[key] = clone(val);
+		}
+		for(const path of Object.keys(update.$unset || {})) {
+			const { parent, key } = resolvePath(doc, path, false);
+			if(parent) delete parent[key];
+		}
+		return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+	}
+
+	async bulkWrite(operations) {
+		this.operations.push({ op: 'bulkWrite', count: operations.length });
+		for(const operation of operations) {
+			/* eslint-disable no-await-in-loop */
+			if(operation.updateOne) {
+				const { filter, update, upsert } = operation.updateOne;
+				await this.updateOne(filter, update, { upsert });
+			}
+			if(operation.deleteOne) await this.deleteOne(operation.deleteOne.filter);
+			/* eslint-enable no-await-in-loop */
+		}
+		return { ok: 1 };
+	}
+
+	async deleteOne(filter) {
+		this.operations.push({ op: 'deleteOne', filter });
+		const doc = Array.from(this.docs.values()).find(item => matches(item, filter));
+		if(!doc) return { deletedCount: 0 };
+		this.docs.delete(doc._id);
+		return { deletedCount: 1 };
+	}
+}
+
+function matches(doc, filter) {
+	return Object.entries(filter).every(([key, val]) => doc[key] === val);
+}
+
+function resolvePath(doc, path, create) {
+	const keys = path.split('.');
+	let parent = doc;
+	for(const key of keys.slice(0, -1)) {
+		if(typeof parent[key] !== 'object' || parent[key] === null) {
+			if(!create) return { parent: null, key: null };
+			parent[key] = {};
+		}
+		parent = parent[key];
+	}
+	return { parent, key: keys[keys.length - 1] };
+}
+
+function clone(val) {
+	return typeof val === 'undefined' ? val : JSON.parse(JSON.stringify(val));
+}
+
+module.exports = MockCollection;
@@ -0,0 +1,220 @@
+const net = require('net');
+const RedisConnection = require('../../src/providers/resp');
+
+/**
+ * A small in-process stand-in for a Redis server, supporting the commands used by RedisProvider and RedisThrottleStore.
+ * It keeps its data when it is stopped, so it can be started again to simulate a server restart.
+ */
+class RespServer {
+	constructor() {
+		/**
+		 * Stored hashes, sets and strings, mapped by key
+		 * @type {Map<string, Map<string, string>|Set<string>|string>}
+		 */
+		this.data = new Map();
+
+		/**
+		 * When keys with an expiry expire, mapped by key
+		 * @type {Map<string, number>}
+		 */
+		this.expires = new Map();
+
+		/**
+		 * Number of times each key was changed, used to abort the transactions of sockets watching it
+		 * @type {Map<string, number>}
+		 */
+		this.versions = new Map();
+
+		/**
+		 * Sockets subscribed to channels, mapped by channel
+		 * @type {Map<string, Set<Socket>>}
+		 */
+		this.subscribers = new Map();
+
+		/**
+		 * All open sockets
+		 * @type {Set<Socket>}
+		 */
+		this.sockets = new Set();
+
+		/**
+		 * Commands received, in order
+		 * @type {Array<string[]>}
+		 */
+		this.commands = [];
+
+		this.server = null;
+		this.port = 0;
+	}
+
+	/**
+	 * Starts listening, on the same port as before if the server was started already
+	 * @return {Promise<number>} The port
+	 */
+	start() {
+		this.server = net.createServer(socket => this.handle(socket));
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(this.port, '127.0.0.1', () => {
+				this.port = this.server.address().port;
+				resolve(this.port);
+			});
+		});
+	}
+
+	/**
+	 * Stops listening and drops all connections
+	 * @return {Promise<void>}
+	 */
+	stop() {
+		for(const socket of this.sockets) socket.destroy();
+		this.sockets.clear();
+		this.subscribers.clear();
+		return new Promise(resolve => this.server.close(() => resolve()));
+	}
+
+	handle(socket) {
+		this.sockets.add(socket);
+		// Versions of the watched keys and the commands queued with MULTI
+		socket.transaction = { watched: new Map(), queued: null };
+		let buffer = Buffer.alloc(0);
+		socket.on('data', data => {
+			buffer = Buffer.concat([buffer, data]);
+			let parsed;
+			while((parsed = RedisConnection.parse(buffer, 0))) {
+				buffer = buffer.slice(parsed.offset);
+				this.commands.push(parsed.value);
+				const reply = this.run(socket, parsed.value);
+				if(reply !== null) socket.write(reply);
+			}
+		});
+		socket.on('error', () => null);
+		socket.on('close', () => {
+			this.sockets.delete(socket);
+			for(const sockets of this.subscribers.values()) sockets.delete(socket);
+		});
+	}
+
+	run(socket, [name, ...args]) { // eslint-disable-line complexity
+		const { transaction } = socket;
+		const command = name.toUpperCase();
+		if(transaction.queued && !['MULTI', 'EXEC', 'WATCH'].includes(command)) {
+			transaction.queued.push([name, ...args]);
+			return encode('QUEUED', true);
+		}
+
+		switch(command) {
+			case 'AUTH':
+			case 'SELECT':
+				return encode('OK', true);
+			case 'HSET':
+				this.hash(args[0]).set(args[1], args[2]);
+				this.touch(args[0]);
+				return encode(1);
+			case 'HDEL':
+				this.touch(args[0]);
+				return encode(this.hash(args[0]).delete(args[1]) ? 1 : 0);
+			case 'HGETALL':
+				return encode([].concat(...this.hash(args[0])));
+			case 'SADD':
+				this.set(args[0]).add(args[1]);
+				this.touch(args[0]);
+				return encode(1);
+			case 'SREM':
+				this.touch(args[0]);
+				return encode(this.set(args[0]).delete(args[1]) ? 1 : 0);
+			case 'SMEMBERS':
+				return encode([...this.set(args[0])]);
+			case 'DEL':
+				this.touch(args[0]);
+				this.expires.delete(args[0]);
+				return encode(this.data.delete(args[0]) ? 1 : 0);
+			case 'GET':
+				return encode(this.string(args[0]));
+			case 'SET':
+				this.data.set(args[0], args[1]);
+				if(String(args[2]).toUpperCase() === 'PX') this.expires.set(args[0], Date.now() + Number(args[3]));
+				else this.expires.delete(args[0]);
+				this.touch(args[0]);
+				return encode('OK', true);
+			case 'WATCH':
+				transaction.watched.set(args[0], this.versions.get(args[0]) || 0);
+				return encode('OK', true);
+			case 'UNWATCH':
+				transaction.watched.clear();
+				return encode('OK', true);
+			case 'MULTI':
+				transaction.queued = [];
+				return encode('OK', true);
+			case 'EXEC': {
+				const { watched, queued } = transaction;
+				transaction.watched = new Map();
+				transaction.queued = null;
+				if([...watched].some(([key, version]) => (this.versions.get(key) || 0) !== version)) return '*-1\r\n';
+				const replies = queued.map(cmd => this.run(socket, cmd));
+				return `*${replies.length}\r\n${replies.join('')}`;
+			}
+			case 'SUBSCRIBE':
+				if(!this.subscribers.has(args[0])) this.subscribers.set(args[0], new Set());
+				this.subscribers.get(args[0]).add(socket);
+				return encode(['subscribe', args[0], 1]);
+			case 'PUBLISH':
+				return encode(this.publish(args[0], args[1]));
+			case 'QUIT':
+				socket.end(encode('OK', true));
+				return null;
+			default:
+				return `-ERR unknown command '${name}'\r\n`;
+		}
+	}
+
+	/**
+	 * Publishes a message to the subscribers of a channel
+	 * @param {string} channel - Channel to publish on
+	 * @param {string} message - Message to publish
+	 * @return {number} Number of subscribers that received the message
+	 */
+	publish(channel, message) {
+		const sockets = this.subscribers.get(channel) || new Set();
+		for(const socket of sockets) socket.write(encode(['message', channel, message]));
+		return sockets.size;
+	}
+
+	hash(key) {
+		if(!this.data.has(key)) this.data.set(key, new Map());
+		return this.data.get(key);
+	}
+
+	set(key) {
+		if(!this.data.has(key)) this.data.set(key, new Set());
+		return this.data.get(key);
+	}
+
+	/**
+	 * Obtains a string value, removing it if it has expired
+	 * @param {string} key - Key of the value
+	 * @return {?string}
+	 */
+	string(key) {
+		if(this.expires.has(key) && this.expires.get(key) <= Date.now()) {
+			this.data.delete(key);
+			this.expires.delete(key);
+			this.touch(key);
+		}
+		return this.data.has(key) ? this.data.get(key) : null;
+	}
+
+	touch(key) {
+		this.versions.set(key, (this.versions.get(key) || 0) + 1);
+	}
+}
+
+function encode(value, simple = false) {
+	if(value === null) return '$-1\r\n';
+	if(typeof value === 'number') return `:${value}\r\n`;
+	if(Array.isArray(value)) return `*${value.length}\r\n${value.map(item => encode(item)).join('')}`;
+	if(simple) return `+${value}\r\n`;
+	return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+module.exports = RespServer;
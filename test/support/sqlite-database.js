@@ -0,0 +1,108 @@
+/**
+ * An in-memory stand-in for a database of the sqlite package, supporting the statements used by SQLiteProvider.
+ * Like SQLite, a connection can only have one transaction at a time, and every call resolves asynchronously.
+ */
+class MockDatabase {
+	constructor() {
+		/**
+		 * Rows of the tables, mapped by table name and the JSON of the identifying columns
+		 * @type {Map<string, Map<string, Object>>}
+		 */
+		this.tables = new Map();
+
+		/**
+		 * Copy of the tables from the start of the current transaction, or null if there is none
+		 * @type {?Map<string, Map<string, Object>>}
+		 */
+		this.snapshot = null;
+
+		/**
+		 * Statements that were run, in order
+		 * @type {string[]}
+		 */
+		this.statements = [];
+	}
+
+	async run(sql) {
+		await tick();
+		this.statements.push(sql);
+		const create = sql.match(/^CREATE TABLE IF NOT EXISTS (\w+) \((.+), settings TEXT/);
+		if(create) {
+			if(!this.tables.has(create[1])) this.tables.set(create[1], new Map());
+			return;
+		}
+		switch(sql) {
+			case 'BEGIN TRANSACTION':
+				if(this.snapshot) throw new Error('SQLITE_ERROR: cannot start a transaction within a transaction');
+				this.snapshot = copy(this.tables);
+				return;
+			case 'COMMIT':
+				if(!this.snapshot) throw new Error('SQLITE_ERROR: cannot commit - no transaction is active');
+				this.snapshot = null;
+				return;
+			case 'ROLLBACK':
+				if(!this.snapshot) throw new Error('SQLITE_ERROR: cannot rollback - no transaction is active');
+				this.tables = this.snapshot;
+				this.snapshot = null;
+				return;
+			default:
+				throw new Error(`Unsupported statement: ${sql}`);
+		}
+	}
+
+	async all(sql) {
+		await tick();
+		const table = sql.match(/FROM (\w+)/)[1];
+		return Array.from(this.tables.get(table).values()).map(row => ({ ...row }));
+	}
+
+	async prepare(sql) {
+		await tick();
+		const insert = sql.match(/^INSERT OR REPLACE INTO (\w+)/);
+		const del = sql.match(/^DELETE FROM (\w+) WHERE (.+)$/);
+		const table = (insert || del)[1];
+		const columns = del ? del[2].split(' AND ').map(cond => cond.split(' ')[0]) : null;
+		return {
+			run: async(...params) => {
+				await tick();
+				this.statements.push(sql);
+				const rows = this.tables.get(table);
+				if(insert) {
+					const ids = params.slice(0, -1).map(String);
+					const names = ids.length === 1 ? [tableColumn(table)] : ['guild', 'user'];
+					const row = { settings: params[params.length - 1] };
+					names.forEach((name, i) => { row[name] = ids[i]; });
+					rows.set(JSON.stringify(ids), row);
+				} else {
+					rows.delete(JSON.stringify(params.slice(0, columns.length).map(String)));
+				}
+			},
+			finalize: async() => null
+		};
+	}
+
+	/**
+	 * Gets the parsed settings of a row
+	 * @param {string} table - Name of the table
+	 * @param {...string} ids - Values of the identifying columns
+	 * @return {?Object}
+	 */
+	row(table, ...ids) {
+		const row = this.tables.get(table).get(JSON.stringify(ids.map(String)));
+		return row ? JSON.parse(row.settings) : null;
+	}
+}
+
+function tableColumn(table) {
+	return { settings: 'guild', user_settings: 'user', channel_settings: 'channel' }[table];
+}
+
+function copy(tables) {
+	return new Map(Array.from(tables, ([name, rows]) => [name, new Map(rows)]));
+}
+
+function tick() {
+	return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = MockDatabase;
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const FrameCommand = require('../../src/commands/command');
+const MemoryProvider = require('../../src/providers/memory');
+const ProviderThrottleStore = require('../../src/throttles/provider');
+const RedisThrottleStore = require('../../src/throttles/redis');
+const RespServer = require('../support/resp-server');
+const { createClient } = require('../support/client');
+
+function createCommand(client, throttling) {
+	return new FrameCommand(client, {
+		name: 'spam',
+		group: 'util',
+		memberName: 'spam',
+		description: 'Spams.',
+		throttling
+	});
+}
+
+function context(command, id = '2') {
+	const author = command.client.users._add({ id, username: `user${id}`, discriminator: '0001' });
+	return { author, member: null, guild: null, channel: null };
+}
+
+async function countUsages(command, times) {
+	const throttles = await Promise.all(Array.from({ length: times }, () => command.throttle(context(command))));
+	return throttles.filter(throts => throts.every(throttle => throttle.remaining === 0)).length;
+}
+
+describe('ThrottleBucket', () => {
+	for(const algorithm of ['fixed', 'sliding']) {
+		it(`counts usages at the same time one by one (${algorithm})`, async() => {
+			const command = createCommand(createClient(), { usages: 2, duration: 10, algorithm });
+			assert.strictEqual(await countUsages(command, 5), 2);
+
+			const [throttle] = await command.throttle(context(command));
+			assert.strictEqual(throttle.usages, 2);
+			assert.ok(throttle.remaining > 9000 && throttle.remaining <= 10000);
+			assert.strictEqual(throttle.counted, false);
+		});
+
+		it(`takes back released usages (${algorithm})`, async() => {
+			const command = createCommand(createClient(), { usages: 1, duration: 10, algorithm });
+			const throttles = await command.throttle(context(command));
+			assert.strictEqual(throttles[0].counted, true);
+			await command.releaseThrottle(throttles);
+			assert.strictEqual(throttles[0].counted, false);
+
+			const [throttle] = await command.throttle(context(command));
+			assert.strictEqual(throttle.remaining, 0);
+			assert.strictEqual(throttle.usages, 1);
+		});
+	}
+
+	it("doesn't count a usage in any bucket when one of them is full", async() => {
+		const command = createCommand(createClient(), [
+			{ usages: 5, duration: 10, bucket: 'user' },
+			{ usages: 1, duration: 10, scope: 'global', bucket: 'global' }
+		]);
+		await command.throttle(context(command));
+		const throttles = await command.throttle(context(command));
+		assert.deepStrictEqual(throttles.map(throttle => throttle.remaining > 0), [false, true]);
+
+		const state = await command.client.throttleStore.get('user:2', 'user');
+		assert.strictEqual(state.usages, 1);
+	});
+
+	it('counts usages at the same time one by one with a ProviderThrottleStore', async() => {
+		const client = createClient({ throttleStore: new ProviderThrottleStore() });
+		await client.setProvider(new MemoryProvider());
+		const command = createCommand(client, { usages: 3, duration: 10 });
+		assert.strictEqual(await countUsages(command, 6), 3);
+		assert.strictEqual(client.provider.get('user:2', 'throttle-spam').state.usages, 3);
+	});
+
+	describe('with a RedisThrottleStore', () => {
+		let server;
+		let stores;
+
+		beforeEach(async() => {
+			server = new RespServer();
+			await server.start();
+			stores = [];
+		});
+
+		afterEach(async() => {
+			await Promise.all(stores.map(store => store.destroy()));
+			await server.stop();
+		});
+
+		function createRedisCommand(throttling) {
+			const store = new RedisThrottleStore({ port: server.port, prefix: 'test:' });
+			stores.push(store);
+			return createCommand(createClient({ throttleStore: store }), throttling);
+		}
+
+		it('counts usages from several processes at the same time one by one', async() => {
+			const first = createRedisCommand({ usages: 4, duration: 10, algorithm: 'sliding' });
+			const second = createRedisCommand({ usages: 4, duration: 10, algorithm: 'sliding' });
+			const counted = await Promise.all([countUsages(first, 5), countUsages(second, 5)]);
+			assert.strictEqual(counted[0] + counted[1], 4);
+			assert.strictEqual(JSON.parse(server.string('test:throttle:user:2:spam')).hits.length, 4);
+			// Some of the transactions had to be retried after the other process changed the state
+			assert.ok(server.commands.filter(([name]) => name === 'EXEC').length > 4);
+		});
+
+		it('expires the states along with the time frame', async() => {
+			const command = createRedisCommand({ usages: 1, duration: 10 });
+			await command.throttle(context(command));
+			assert.ok(server.expires.get('test:throttle:user:2:spam') > Date.now() + 9000);
+
+			server.expires.set('test:throttle:user:2:spam', Date.now());
+			const [throttle] = await command.throttle(context(command));
+			assert.strictEqual(throttle.remaining, 0);
+		});
+	});
+});
@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { Permissions } = require('discord.js');
+const FrameCommand = require('../../src/commands/command');
+const CommandContext = require('../../src/context');
+const { missingPermissions } = require('../../src/util');
+const { createClient } = require('../support/client');
+
+const { FLAGS } = Permissions;
+const required = ['MANAGE_MESSAGES', 'SEND_MESSAGES'];
+
+function user(id) {
+	return { id, username: `user${id}`, discriminator: '0001' };
+}
+
+/**
+ * Creates a client with a guild where @everyone may send messages (except in the locked channel and its threads), and
+ * members of the Mods role (such as user 5) may also manage them. User 6 is the client user.
+ * @param {bigint} [threads=0n] - Permission of @everyone to send messages in threads
+ */
+function createGuild(threads = 0n) {
+	const client = createClient();
+	client.user = client.users._add(user('6'));
+	const guild = client.guilds._add({
+		id: '100',
+		name: 'Guild',
+		owner_id: '9',
+		roles: [
+			{ id: '100', name: '@everyone', permissions: String(FLAGS.VIEW_CHANNEL | FLAGS.SEND_MESSAGES | threads) },
+			{ id: '200', name: 'Mods', permissions: String(FLAGS.MANAGE_MESSAGES) }
+		],
+		channels: [
+			{ id: '300', type: 0, name: 'text' },
+			{ id: '301', type: 5, name: 'news' },
+			{ id: '302', type: 2, name: 'voice' },
+			{ id: '303', type: 13, name: 'stage' },
+			{
+				id: '304',
+				type: 0,
+				name: 'locked',
+				permission_overwrites: [
+					{ id: '100', type: 0, deny: String(FLAGS.SEND_MESSAGES | FLAGS.SEND_MESSAGES_IN_THREADS) }
+				]
+			}
+		],
+		members: [{ user: user('5'), roles: ['200'] }, { user: user('6'), roles: [] }]
+	});
+	return { client, guild };
+}
+
+function addThread(client, guild, id, parent) {
+	return client.channels._add({
+		id,
+		type: 11,
+		name: `thread${id}`,
+		parent_id: parent,
+		guild_id: guild.id,
+		thread_metadata: { archived: false }
+	}, guild);
+}
+
+describe('missingPermissions', () => {
+	for(const [id, type] of [['300', 'GUILD_TEXT'], ['301', 'GUILD_NEWS'], ['302', 'GUILD_VOICE'],
+		['303', 'GUILD_STAGE_VOICE']]) {
+		it(`resolves the permissions in ${type} channels`, () => {
+			const { client } = createGuild();
+			const channel = client.channels.cache.get(id);
+			assert.strictEqual(channel.type, type);
+			const [mod, member] = ['5', '6'].map(id => client.users.cache.get(id));
+			assert.deepStrictEqual(missingPermissions(channel, mod, required), []);
+			assert.deepStrictEqual(missingPermissions(channel, member, required), ['MANAGE_MESSAGES']);
+		});
+	}
+
+	it('applies the overwrites of the channel', () => {
+		const { client } = createGuild();
+		const channel = client.channels.cache.get('304');
+		assert.deepStrictEqual(missingPermissions(channel, client.users.cache.get('5'), required), ['SEND_MESSAGES']);
+	});
+
+	it('requires sending messages in threads and resolves the permissions from the parent in threads', () => {
+		const denied = createGuild();
+		const deniedThread = addThread(denied.client, denied.guild, '310', '300');
+		assert.deepStrictEqual(missingPermissions(deniedThread, denied.client.users.cache.get('5'), required), [
+			'SEND_MESSAGES_IN_THREADS'
+		]);
+
+		const { client, guild } = createGuild(FLAGS.SEND_MESSAGES_IN_THREADS);
+		const thread = addThread(client, guild, '310', '300');
+		assert.deepStrictEqual(missingPermissions(thread, client.users.cache.get('5'), required), []);
+		assert.deepStrictEqual(missingPermissions(thread, client.users.cache.get('6'), required), ['MANAGE_MESSAGES']);
+
+		// The overwrites of a locked parent apply to its threads
+		const locked = addThread(client, guild, '311', '304');
+		assert.deepStrictEqual(missingPermissions(locked, client.users.cache.get('5'), required), [
+			'SEND_MESSAGES_IN_THREADS'
+		]);
+	});
+
+	it("doesn't require any permissions in DMs", () => {
+		const client = createClient();
+		const dm = client.channels._add({ id: '400', type: 1, recipients: [user('5')] });
+		assert.strictEqual(dm.type, 'DM');
+		assert.deepStrictEqual(missingPermissions(dm, client.users._add(user('5')), required), []);
+	});
+});
+
+describe('CommandContext permission checks', () => {
+	function createContext(client, guild, channel, author) {
+		const command = new FrameCommand(client, {
+			name: 'purge',
+			group: 'util',
+			memberName: 'purge',
+			description: 'Purges messages.',
+			userPermissions: ['SEND_MESSAGES'],
+			clientPermissions: ['SEND_MESSAGES']
+		});
+		const interaction = {
+			client,
+			user: author,
+			member: null,
+			guild,
+			channel,
+			replied: false,
+			deferred: false,
+			isCommand: () => false,
+			reply: async() => null
+		};
+		return new CommandContext(command, interaction);
+	}
+
+	it('fetches uncached members and thread parents before checking permissions', async() => {
+		const { client, guild } = createGuild(FLAGS.SEND_MESSAGES_IN_THREADS);
+		const author = client.users._add(user('7'));
+		guild.members.cache.delete('6');
+		const thread = addThread(client, guild, '312', '305');
+		assert.strictEqual(thread.parent, null);
+
+		const fetched = [];
+		guild.members.fetch = async member => {
+			const id = client.users.resolveId(member);
+			fetched.push(`member ${id}`);
+			return guild.members._add({ user: user(id), roles: [] });
+		};
+		guild.channels.fetch = async id => {
+			fetched.push(`channel ${id}`);
+			return client.channels._add({ id, type: 0, name: 'uncached' }, guild);
+		};
+
+		const blocks = [];
+		client.on('commandBlock', (source, reason, data) => blocks.push([reason, data]));
+		assert.strictEqual(await createContext(client, guild, thread, author).check(false), null);
+		assert.deepStrictEqual(blocks, []);
+		assert.deepStrictEqual(fetched, ['member 7', 'member 6', 'channel 305']);
+	});
+
+	it('reports the permissions the client is missing', async() => {
+		const { client, guild } = createGuild();
+		const blocks = [];
+		client.on('commandBlock', (source, reason, data) => blocks.push([reason, data]));
+		const channel = client.channels.cache.get('304');
+		const ctx = createContext(client, guild, channel, client.users.cache.get('5'));
+		ctx.command.userPermissions = null;
+
+		const block = await ctx.check(false);
+		assert.strictEqual(block.reason, 'clientPermissions');
+		assert.deepStrictEqual(blocks, [['clientPermissions', { missing: ['SEND_MESSAGES'] }]]);
+	});
+});